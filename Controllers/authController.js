@@ -53,16 +53,10 @@ exports.login = async (req, res, next) => {
     if (user.status === 'blocked')
       return res.status(403).json({ ok: false, message: 'Cuenta bloqueada' });
 
-    const ok = await bcrypt.compare(password, user.password);
-    if (!ok) {
-      await User.findByIdAndUpdate(user._id, { $inc: { failedLoginCount: 1 } });
-      return res.status(400).json({ ok: false, message: 'Credenciales inválidas' });
-    }
+    const ok = await user.checkPassword(password);
+    if (!ok) return res.status(400).json({ ok: false, message: 'Credenciales inválidas' });
 
-    await User.findByIdAndUpdate(user._id, {
-      failedLoginCount: 0,
-      lastLoginAt: new Date(),
-    });
+    await User.findByIdAndUpdate(user._id, { lastLoginAt: new Date() });
 
     const token = signToken(user);
     return res.json({ ok: true, data: { user: user.toSafeObject(), token } });
@@ -0,0 +1,103 @@
+// Controllers/classificationController.js
+const mongoose = require('mongoose');
+const MedicationClassification = require('../Models/MedicationClassification');
+const Hospital = require('../Models/Hospital');
+const { computeClassification } = require('../Utils/classification');
+
+/* =========================
+   1) listClassifications
+   ========================= */
+/**
+ * GET /api/classifications
+ * query: hospital, abc? ('A' | 'A,B'), xyz? ('X' | 'Y,Z'), page?, limit?
+ * Filas por medicamento ordenadas por valor anual, con la matriz ABC×XYZ del hospital en meta.
+ */
+exports.listClassifications = async (req, res, next) => {
+  try {
+    const { hospital, abc, xyz, page = 1, limit = 50 } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const hId = new mongoose.Types.ObjectId(hospital);
+    const filter = { hospital: hId };
+    if (abc) filter.abc = { $in: String(abc).toUpperCase().split(',').map(s => s.trim()) };
+    if (xyz) filter.xyz = { $in: String(xyz).toUpperCase().split(',').map(s => s.trim()) };
+
+    const pg = Math.max(parseInt(page, 10) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pg - 1) * lim;
+
+    const [rows, total, matrixRows] = await Promise.all([
+      MedicationClassification.find(filter)
+        .sort({ annualValue: -1 })
+        .skip(skip)
+        .limit(lim)
+        .populate('medication', 'name code uom unitPrice')
+        .lean(),
+      MedicationClassification.countDocuments(filter),
+      MedicationClassification.aggregate([
+        { $match: { hospital: hId } },
+        {
+          $group: {
+            _id: { abc: '$abc', xyz: '$xyz' },
+            count: { $sum: 1 },
+            annualValue: { $sum: '$annualValue' },
+            computedAt: { $max: '$computedAt' },
+          }
+        },
+      ]),
+    ]);
+
+    const matrix = {};
+    let computedAt = null;
+    for (const r of matrixRows) {
+      matrix[r._id.abc + r._id.xyz] = { count: r.count, annualValue: r.annualValue };
+      if (!computedAt || r.computedAt > computedAt) computedAt = r.computedAt;
+    }
+
+    return res.json({
+      ok: true,
+      data: rows.map(r => ({ ...r, segment: `${r.abc}${r.xyz}` })),
+      meta: {
+        page: pg, limit: lim, total, pages: Math.ceil(total / lim),
+        hospital,
+        computedAt,
+        periodFrom: rows[0]?.periodFrom || null,
+        periodTo: rows[0]?.periodTo || null,
+        matrix,
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) runClassification
+   ========================= */
+/**
+ * POST /api/classifications/run
+ * body: { hospital, months?: 12, thresholds?: { a, b, x, y } }
+ * Recalcula la clasificación del hospital y reemplaza la anterior.
+ */
+exports.runClassification = async (req, res, next) => {
+  try {
+    const { hospital, months, thresholds } = req.body;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const exists = await Hospital.exists({ _id: hospital });
+    if (!exists) return res.status(404).json({ ok: false, message: 'Hospital not found' });
+
+    const result = await computeClassification({ hospitalId: hospital, months, thresholds });
+    return res.json({
+      ok: true,
+      message: `Clasificados ${result.total} medicamento(s)`,
+      data: result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,149 @@
+// Controllers/controlledLogController.js
+const mongoose = require('mongoose');
+const ControlledLogEntry = require('../Models/ControlledLogEntry');
+const Hospital = require('../Models/Hospital');
+const { verifyChain } = require('../Utils/controlled');
+const { dateRangeFilter } = require('../Utils/dateRange');
+
+/* =========================
+   Helpers
+   ========================= */
+
+// Filtro común: hospital (requerido), medication, dateFrom/dateTo sobre `at`
+async function buildFilter(query) {
+  const { hospital, medication, dateFrom, dateTo } = query;
+  const filter = { hospital: new mongoose.Types.ObjectId(hospital) };
+  if (medication) filter.medication = new mongoose.Types.ObjectId(medication);
+  if (dateFrom || dateTo) {
+    filter.at = await dateRangeFilter({ hospitalId: hospital, dateFrom, dateTo });
+  }
+  return filter;
+}
+
+// Escapa un valor para CSV (comillas dobles y separadores)
+function csvCell(value) {
+  if (value == null) return '';
+  const s = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/* =========================
+   1) listEntries
+   ========================= */
+/**
+ * GET /api/controlled-log
+ * query: hospital, medication?, dateFrom?, dateTo?, page?, limit?
+ * Entradas del libro de control en orden consecutivo.
+ */
+exports.listEntries = async (req, res, next) => {
+  try {
+    const { hospital, page = 1, limit = 50 } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const filter = await buildFilter(req.query);
+    const pg = Math.max(parseInt(page, 10) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pg - 1) * lim;
+
+    const [rows, total] = await Promise.all([
+      ControlledLogEntry.find(filter)
+        .sort({ seq: 1 })
+        .skip(skip)
+        .limit(lim)
+        .populate('medication', 'name code strength form')
+        .populate('performedBy', 'name email')
+        .populate('witnessedBy', 'name email')
+        .lean(),
+      ControlledLogEntry.countDocuments(filter),
+    ]);
+
+    return res.json({
+      ok: true,
+      data: rows,
+      meta: { page: pg, limit: lim, total, pages: Math.ceil(total / lim) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) verify
+   ========================= */
+/**
+ * GET /api/controlled-log/verify
+ * query: hospital
+ * Recalcula la cadena de hashes del hospital; ok=false indica la primera entrada alterada o faltante.
+ */
+exports.verify = async (req, res, next) => {
+  try {
+    const { hospital } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const result = await verifyChain({ hospitalId: hospital });
+    return res.json({ ok: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) exportLog
+   ========================= */
+/**
+ * GET /api/controlled-log/export
+ * query: hospital, medication?, dateFrom?, dateTo?, format? ('csv' | 'json', default 'csv')
+ * Exporta el libro de control (consecutivo, fecha, medicamento, movimiento, existencia, firmas y hashes)
+ * con el resultado de la verificación de la cadena.
+ */
+exports.exportLog = async (req, res, next) => {
+  try {
+    const { hospital, format = 'csv' } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ ok: false, message: 'format inválido (csv | json)' });
+    }
+
+    const hospitalDoc = await Hospital.findById(hospital, 'name code').lean();
+    if (!hospitalDoc) return res.status(404).json({ ok: false, message: 'Hospital not found' });
+
+    const [rows, chain] = await Promise.all([
+      ControlledLogEntry.find(await buildFilter(req.query))
+        .sort({ seq: 1 })
+        .populate('medication', 'name code strength form')
+        .populate('performedBy', 'name email')
+        .populate('witnessedBy', 'name email')
+        .lean(),
+      verifyChain({ hospitalId: hospital }),
+    ]);
+
+    if (format === 'json') {
+      return res.json({ ok: true, data: rows, meta: { hospital: hospitalDoc, chain } });
+    }
+
+    const header = [
+      'seq', 'fecha', 'codigo', 'medicamento', 'concentracion', 'forma',
+      'tipo', 'signo', 'razon', 'cantidad', 'uom', 'existencia',
+      'lote', 'caducidad', 'referencia', 'registro', 'testigo', 'prevHash', 'hash',
+    ];
+    const lines = rows.map(r => [
+      r.seq, r.at, r.medication?.code, r.medication?.name, r.medication?.strength, r.medication?.form,
+      r.type, r.signedQty < 0 ? '-' : '+', r.reason, r.qty, r.uom, r.balanceAfter,
+      r.lot, r.expiryDate, r.refCode, r.performedBy?.name, r.witnessedBy?.name, r.prevHash, r.hash,
+    ].map(csvCell).join(','));
+
+    const filename = `libro-control-${hospitalDoc.code}-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('X-Chain-Valid', String(chain.ok));
+    return res.send([header.join(','), ...lines].join('\n'));
+  } catch (err) {
+    next(err);
+  }
+};
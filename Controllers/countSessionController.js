@@ -0,0 +1,540 @@
+// Controllers/countSessionController.js
+const mongoose = require('mongoose');
+const CountSession = require('../Models/CountSession');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const Medication = require('../Models/Medication');
+const Location = require('../Models/Location');
+const MedicationClassification = require('../Models/MedicationClassification');
+const StockBalance = require('../Models/StockBalance');
+const {
+  EPSILON, signedQtyExpr, listLotBalances, getLotUnitCosts, lotKey, locationFilter, stockConflict
+} = require('../Utils/stockLedger');
+const { classifiedMedicationIds, CYCLE_COUNT_DAYS } = require('../Utils/classification');
+const { witnessFor } = require('../Utils/controlled');
+const { createNumbered } = require('../Utils/numbering');
+
+/* =========================
+   Helpers
+   ========================= */
+
+// Diferencias por línea con valor (qty × costo del lote, o unitPrice del catálogo)
+async function buildVariances(count) {
+  const match = { hospital: count.hospital };
+  const meds = await Medication.find(
+    { _id: { $in: [...new Set(count.lines.map(l => String(l.medication)))] } },
+    'name code uom unitPrice'
+  ).lean();
+  const medMap = new Map(meds.map(m => [String(m._id), m]));
+  const unitCosts = await getLotUnitCosts(match);
+
+  return count.lines.map(l => {
+    const med = medMap.get(String(l.medication)) || {};
+    const unitCost = unitCosts.get(lotKey(l)) ?? med.unitPrice ?? 0;
+    const variance = l.variance;
+    return {
+      lineId: l._id,
+      medication: l.medication,
+      medicationName: med.name,
+      medicationCode: med.code,
+      location: l.location,
+      lot: l.lot,
+      expiryDate: l.expiryDate,
+      expectedQty: l.expectedQty,
+      countedQty: l.countedQty ?? null,
+      variance,
+      varianceValue: variance == null ? null : variance * unitCost,
+      approved: l.approved,
+      postedVariance: l.postedVariance ?? null,
+      postedTx: l.postedTx || null,
+    };
+  });
+}
+
+/**
+ * Existencia del renglón contado (ubicación + lote + caducidad exactos) dentro de la transacción:
+ * { current: saldo actual, atCount: saldo al momento del conteo = actual - movimientos posteriores a countedAt }.
+ * Así lo que entró o salió mientras el conteo estaba abierto no se cuenta dos veces.
+ */
+async function lineBookQty({ hospital, line, session }) {
+  const key = StockBalance.keyOf({ hospital, ...line.toObject() });
+  const row = await StockBalance.findOne(key).session(session).lean();
+  const current = row?.qty || 0;
+
+  const since = await InventoryTransaction.aggregate([
+    {
+      $match: {
+        hospital: key.hospital,
+        medication: key.medication,
+        location: key.location,
+        lot: key.lot || { $in: [null, ''] },
+        expiryDate: key.expiryDate,
+        createdAt: { $gt: line.countedAt || new Date(0) },
+      }
+    },
+    { $group: { _id: null, qty: { $sum: signedQtyExpr } } },
+  ]).session(session);
+
+  return { current, atCount: current - (since[0]?.qty || 0) };
+}
+
+/* =========================
+   1) openCount
+   ========================= */
+/**
+ * POST /api/count-sessions
+ * body: { hospital, medications?: [id], lots?: [string], location?, abc?: 'A,B', xyz?: 'X', notes? }
+ * Abre un conteo y congela las cantidades esperadas (StockBalance) del alcance indicado.
+ * Con location se cuenta solo esa ubicación y sus sububicaciones (una línea por ubicación+lote).
+ * Con abc/xyz el alcance son los medicamentos de esas clases en el hospital (conteo cíclico).
+ */
+exports.openCount = async (req, res, next) => {
+  try {
+    const { hospital, lots = [], location, abc, xyz, notes } = req.body;
+    let { medications = [] } = req.body;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+    if (!Array.isArray(medications) || !Array.isArray(lots)) {
+      return res.status(400).json({ ok: false, message: 'medications y lots deben ser arreglos' });
+    }
+
+    const classified = await classifiedMedicationIds({ hospitalId: hospital, abc, xyz });
+    if (classified) {
+      const ids = classified.map(String);
+      if (medications.length) {
+        const wanted = new Set(medications.map(String));
+        medications = ids.filter(id => wanted.has(id));
+      } else {
+        medications = ids;
+      }
+      if (!medications.length) {
+        return res.status(400).json({ ok: false, message: 'No hay medicamentos clasificados en las clases indicadas' });
+      }
+    }
+
+    const filter = { hospital: new mongoose.Types.ObjectId(hospital) };
+    if (medications.length) filter.medication = { $in: medications.map(id => new mongoose.Types.ObjectId(id)) };
+    if (lots.length) filter.lot = { $in: lots };
+    if (location) filter.location = await locationFilter(location);
+
+    const balances = await listLotBalances(filter);
+
+    const count = await createNumbered({ hospitalId: hospital, docType: 'COUNT', build: code => new CountSession({
+      code,
+      hospital,
+      status: 'OPEN',
+      scope: {
+        medications,
+        lots,
+        location: location || null,
+        abc: abc ? String(abc).toUpperCase().split(',').map(c => c.trim()) : [],
+        xyz: xyz ? String(xyz).toUpperCase().split(',').map(c => c.trim()) : [],
+      },
+      lines: balances.map(b => ({
+        medication: b.medication,
+        location: b.location,
+        lot: b.lot,
+        expiryDate: b.expiryDate,
+        expectedQty: b.qty,
+      })),
+      notes,
+      openedBy: req.user?.id,
+    }) });
+
+    return res.status(201).json({ ok: true, data: count });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) listCounts
+   ========================= */
+/**
+ * GET /api/count-sessions
+ * Filtros: hospital, status; Paginación: page, limit
+ */
+exports.listCounts = async (req, res, next) => {
+  try {
+    const { hospital, status, page = 1, limit = 20, sort = '-createdAt' } = req.query;
+
+    const filter = {};
+    if (hospital) filter.hospital = hospital;
+    if (status)   filter.status = status;
+
+    const pg = Math.max(parseInt(page, 10) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200);
+    const skip = (pg - 1) * lim;
+
+    const [rows, total] = await Promise.all([
+      CountSession.find(filter, '-lines')
+        .sort(sort)
+        .skip(skip)
+        .limit(lim)
+        .lean(),
+      CountSession.countDocuments(filter)
+    ]);
+
+    return res.json({
+      ok: true,
+      data: rows,
+      meta: { page: pg, limit: lim, total, pages: Math.ceil(total / lim) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2b) cycleCountSchedule
+   ========================= */
+/**
+ * GET /api/count-sessions/schedule
+ * query: hospital, abc?, xyz?, overdueOnly?=true
+ * Calendario de conteo cíclico por medicamento según su clase ABC (A cada 30 días, B 90, C 365),
+ * a partir del último conteo registrado (POSTED) que lo incluyó. Nunca contado = vencido.
+ */
+exports.cycleCountSchedule = async (req, res, next) => {
+  try {
+    const { hospital, abc, xyz, overdueOnly } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const hId = new mongoose.Types.ObjectId(hospital);
+    const filter = { hospital: hId };
+    if (abc) filter.abc = { $in: String(abc).toUpperCase().split(',').map(s => s.trim()) };
+    if (xyz) filter.xyz = { $in: String(xyz).toUpperCase().split(',').map(s => s.trim()) };
+
+    const classes = await MedicationClassification.find(filter, 'medication abc xyz')
+      .populate('medication', 'name code uom')
+      .lean();
+
+    const lastCounts = await CountSession.aggregate([
+      { $match: { hospital: hId, status: 'POSTED' } },
+      { $unwind: '$lines' },
+      { $group: { _id: '$lines.medication', lastCountedAt: { $max: '$postedAt' } } },
+    ]);
+    const lastMap = new Map(lastCounts.map(r => [String(r._id), r.lastCountedAt]));
+
+    const now = new Date();
+    const DAY = 24 * 60 * 60 * 1000;
+    let data = classes.map(c => {
+      const lastCountedAt = lastMap.get(String(c.medication?._id)) || null;
+      const frequencyDays = CYCLE_COUNT_DAYS[c.abc];
+      const dueAt = lastCountedAt ? new Date(lastCountedAt.getTime() + frequencyDays * DAY) : null;
+      return {
+        medication: c.medication?._id,
+        medicationName: c.medication?.name,
+        medicationCode: c.medication?.code,
+        abc: c.abc,
+        xyz: c.xyz,
+        frequencyDays,
+        lastCountedAt,
+        dueAt,
+        overdue: !dueAt || dueAt <= now,
+      };
+    });
+    if (String(overdueOnly) === 'true') data = data.filter(r => r.overdue);
+
+    // Vencidos primero (nunca contados al inicio), luego por fecha
+    data.sort((a, b) => (a.dueAt?.getTime() ?? 0) - (b.dueAt?.getTime() ?? 0));
+
+    return res.json({
+      ok: true,
+      data,
+      meta: { hospital, total: data.length, overdue: data.filter(r => r.overdue).length, frequencyDays: CYCLE_COUNT_DAYS }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) getCountById
+   ========================= */
+/**
+ * GET /api/count-sessions/:id
+ */
+exports.getCountById = async (req, res, next) => {
+  try {
+    const count = await CountSession.findById(req.params.id)
+      .populate('hospital', 'name code')
+      .populate('lines.medication', 'name code uom');
+    if (!count) return res.status(404).json({ ok: false, message: 'Conteo no encontrado' });
+    return res.json({ ok: true, data: count });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4) submitCounts
+   ========================= */
+/**
+ * POST /api/count-sessions/:id/counts
+ * body: { counts: [{ medication, location?, lot?, expiryDate?, countedQty, notes? }] }
+ * Captura (o corrige) cantidades contadas. Lotes no esperados se agregan con expectedQty 0.
+ */
+exports.submitCounts = async (req, res, next) => {
+  try {
+    const { counts = [] } = req.body;
+    if (!Array.isArray(counts) || counts.length === 0) {
+      return res.status(400).json({ ok: false, message: 'counts es requerido y no puede estar vacío' });
+    }
+
+    const count = await CountSession.findById(req.params.id);
+    if (!count) return res.status(404).json({ ok: false, message: 'Conteo no encontrado' });
+    if (count.status !== 'OPEN') {
+      return res.status(409).json({ ok: false, message: `Solo un conteo OPEN acepta capturas (actual: ${count.status})` });
+    }
+
+    // Ubicaciones válidas si el conteo está acotado a una ubicación
+    const scopeLocations = count.scope?.location
+      ? new Set((await Location.subtreeIds(count.scope.location)).map(String))
+      : null;
+
+    for (const c of counts) {
+      const qty = Number(c.countedQty);
+      if (!c.medication || c.countedQty == null || !Number.isFinite(qty) || qty < 0) {
+        return res.status(400).json({ ok: false, message: 'Cada conteo requiere medication y countedQty >= 0' });
+      }
+      const outOfLocation = scopeLocations && !scopeLocations.has(String(c.location || ''));
+      if (outOfLocation || !count.inScope({ medication: c.medication, lot: c.lot || null })) {
+        return res.status(400).json({ ok: false, message: 'Conteo fuera del alcance de la sesión' });
+      }
+
+      let line = count.findLine(c);
+      if (!line) {
+        count.lines.push({
+          medication: c.medication,
+          location: c.location || null,
+          lot: c.lot || null,
+          expiryDate: c.expiryDate || null,
+          expectedQty: 0,
+        });
+        line = count.lines[count.lines.length - 1];
+      }
+      line.countedQty = qty;
+      line.countedBy = req.user?.id;
+      line.countedAt = new Date();
+      if (c.notes) line.notes = c.notes;
+    }
+
+    await count.save();
+    return res.json({ ok: true, data: count, meta: count.summary });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   5) closeCount (a revisión)
+   ========================= */
+/**
+ * POST /api/count-sessions/:id/review
+ * Cierra la captura (OPEN -> REVIEW) y devuelve las diferencias.
+ */
+exports.closeCount = async (req, res, next) => {
+  try {
+    const count = await CountSession.findById(req.params.id);
+    if (!count) return res.status(404).json({ ok: false, message: 'Conteo no encontrado' });
+    if (count.status !== 'OPEN') {
+      return res.status(409).json({ ok: false, message: `Solo un conteo OPEN puede pasar a revisión (actual: ${count.status})` });
+    }
+
+    count.status = 'REVIEW';
+    count.reviewedBy = req.user?.id;
+    count.reviewedAt = new Date();
+    await count.save();
+
+    const variances = await buildVariances(count);
+    return res.json({ ok: true, data: { count, variances }, meta: count.summary });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   6) getVariances
+   ========================= */
+/**
+ * GET /api/count-sessions/:id/variances
+ * query: onlyDiffs? ('true')
+ */
+exports.getVariances = async (req, res, next) => {
+  try {
+    const count = await CountSession.findById(req.params.id);
+    if (!count) return res.status(404).json({ ok: false, message: 'Conteo no encontrado' });
+
+    let rows = await buildVariances(count);
+    if (String(req.query.onlyDiffs).toLowerCase() === 'true') {
+      rows = rows.filter(r => r.variance != null && r.variance !== 0);
+    }
+
+    const totalVarianceValue = rows.reduce((acc, r) => acc + (r.varianceValue || 0), 0);
+    return res.json({ ok: true, data: rows, meta: { ...count.summary, totalVarianceValue } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   7) approveLines
+   ========================= */
+/**
+ * POST /api/count-sessions/:id/approve
+ * body: { lineIds?: [id], approved?: boolean (default true) }
+ * Sin lineIds aprueba todas las líneas contadas con diferencia.
+ */
+exports.approveLines = async (req, res, next) => {
+  try {
+    const { lineIds, approved = true } = req.body;
+
+    const count = await CountSession.findById(req.params.id);
+    if (!count) return res.status(404).json({ ok: false, message: 'Conteo no encontrado' });
+    if (count.status !== 'REVIEW') {
+      return res.status(409).json({ ok: false, message: `Solo un conteo en REVIEW puede aprobarse (actual: ${count.status})` });
+    }
+
+    const ids = Array.isArray(lineIds) && lineIds.length ? new Set(lineIds.map(String)) : null;
+    let updated = 0;
+    for (const l of count.lines) {
+      const selected = ids ? ids.has(String(l._id)) : !!l.variance;
+      if (!selected || l.countedQty == null) continue;
+      l.approved = !!approved;
+      updated += 1;
+    }
+
+    await count.save();
+    return res.json({ ok: true, data: count, meta: { updated } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   8) postCount
+   ========================= */
+/**
+ * POST /api/count-sessions/:id/post
+ * Registra las diferencias aprobadas como ADJUST (refType 'ADJ', refId = sesión) en una sola transacción.
+ * El ajuste se recalcula al registrar: contado - existencia del lote al momento de contarlo (saldo actual
+ * menos los movimientos posteriores a countedAt), no contra el expectedQty congelado al abrir.
+ * Rechaza (409) si algún lote quedaría negativo o si el conteo ya se registró. No aplica safetyStock porque refleja existencias físicas.
+ * body: { witness?: { email, password } } (obligatorio si hay diferencias de medicamentos controlados)
+ */
+exports.postCount = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const count = await CountSession.findById(req.params.id);
+    if (!count) return res.status(404).json({ ok: false, message: 'Conteo no encontrado' });
+    if (count.status !== 'REVIEW') {
+      return res.status(409).json({ ok: false, message: `Solo un conteo en REVIEW puede registrarse (actual: ${count.status})` });
+    }
+
+    const toPost = count.lines.filter(l => l.approved && l.countedQty != null);
+    if (!toPost.length) {
+      return res.status(409).json({ ok: false, message: 'No hay diferencias aprobadas para registrar' });
+    }
+
+    const meds = await Medication.find({ _id: { $in: toPost.map(l => l.medication) } }, 'uom').lean();
+    const uomMap = new Map(meds.map(m => [String(m._id), m.uom]));
+    const witnessedBy = await witnessFor({
+      medicationIds: toPost.map(l => l.medication),
+      witness: req.body?.witness,
+      userId: req.user?.id,
+      hospitalId: count.hospital,
+    });
+
+    let posted = 0;
+    await session.withTransaction(async () => {
+      posted = 0;
+      // REVIEW -> POSTED condicional antes de cualquier ADJUST: un doble envío (o el reintento
+      // de la transacción tras un conflicto) no registra las diferencias dos veces
+      const claimed = await CountSession.updateOne(
+        { _id: count._id, status: 'REVIEW' },
+        { $set: { status: 'POSTED' } },
+        { session }
+      );
+      if (claimed.modifiedCount !== 1) throw stockConflict('El conteo ya fue registrado o dejó de estar en REVIEW');
+
+      for (const l of toPost) {
+        l.postedTx = undefined;
+        const { current, atCount } = await lineBookQty({ hospital: count.hospital, line: l, session });
+        const delta = l.countedQty - atCount;
+        l.postedVariance = delta;
+        if (Math.abs(delta) <= EPSILON) continue;
+        if (current + delta < -EPSILON) {
+          throw stockConflict(
+            `El ajuste de ${l.lot || 's/lote'} dejaría el lote en ${current + delta} (saldo actual ${current}); recuenta el lote`
+          );
+        }
+
+        const tx = new InventoryTransaction({
+          hospital: count.hospital,
+          medication: l.medication,
+          type: 'ADJUST',
+          adjustSign: delta > 0 ? 'IN' : 'OUT',
+          qty: Math.abs(delta),
+          uom: uomMap.get(String(l.medication)) || 'unit',
+          location: l.location || undefined,
+          lot: l.lot || undefined,
+          expiryDate: l.expiryDate || undefined,
+          reason: delta > 0 ? 'ADJUST_POS' : 'ADJUST_NEG',
+          refType: 'ADJ',
+          refId: count._id,
+          refCode: count.code,
+          notes: l.notes || `Conteo físico ${count.code}`,
+          createdBy: req.user?.id,
+          witnessedBy,
+        });
+        await tx.save({ session });
+        l.postedTx = tx._id;
+        posted += 1;
+      }
+
+      count.status = 'POSTED';
+      count.postedBy = req.user?.id;
+      count.postedAt = new Date();
+      await count.save({ session });
+    });
+
+    return res.status(201).json({
+      ok: true,
+      message: 'Diferencias de conteo registradas',
+      data: count,
+      meta: { posted }
+    });
+  } catch (err) {
+    next(err);
+  } finally {
+    session.endSession();
+  }
+};
+
+/* =========================
+   9) cancelCount
+   ========================= */
+/**
+ * POST /api/count-sessions/:id/cancel
+ * body: { reason? }
+ */
+exports.cancelCount = async (req, res, next) => {
+  try {
+    const count = await CountSession.findById(req.params.id);
+    if (!count) return res.status(404).json({ ok: false, message: 'Conteo no encontrado' });
+    if (!['OPEN', 'REVIEW'].includes(count.status)) {
+      return res.status(409).json({ ok: false, message: `No se puede cancelar un conteo ${count.status}` });
+    }
+
+    count.status = 'CANCELLED';
+    count.cancelledAt = new Date();
+    if (req.body.reason) count.notes = (count.notes ? count.notes + '\n' : '') + `Cancelled: ${req.body.reason}`;
+    await count.save();
+
+    return res.json({ ok: true, data: count });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,497 @@
+// Controllers/dispenseOrderController.js
+const mongoose = require('mongoose');
+const DispenseOrder = require('../Models/DispenseOrder');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const Medication = require('../Models/Medication');
+const {
+  EPSILON, signedQtyExpr, getCurrentStock, allocateFEFO, assertSafetyStock
+} = require('../Utils/stockLedger');
+const { maybeTriggerReorder } = require('../Utils/replenishment');
+const { witnessFor } = require('../Utils/controlled');
+const { toBaseQty } = require('../Utils/uom');
+const { applyScan } = require('../Utils/gs1');
+const { createNumbered } = require('../Utils/numbering');
+const { dateRangeFilter } = require('../Utils/dateRange');
+
+/* =========================
+   Helpers
+   ========================= */
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Carga la orden y valida que esté en alguno de los estados permitidos
+async function loadOrder(id, allowed, action) {
+  const order = await DispenseOrder.findById(id);
+  if (!order) throw httpError('Orden de surtido no encontrada', 404);
+  if (!allowed.includes(order.status)) {
+    throw httpError(`No se puede ${action} una orden ${order.status}`, 409);
+  }
+  return order;
+}
+
+/* =========================
+   1) createDispense
+   ========================= */
+/**
+ * POST /api/dispense-orders
+ * body: { hospital, ward, patientId?, encounter?, location?, lines: [{ medication | barcode, qty, uom?, notes? }], notes? }
+ * Crea la orden en REQUESTED (no mueve inventario). qty se normaliza a la unidad base;
+ * un medicamento solo puede ir en una línea.
+ */
+exports.createDispense = async (req, res, next) => {
+  try {
+    const { hospital, ward, patientId, encounter, location, notes } = req.body;
+
+    if (!hospital || !ward) {
+      return res.status(400).json({ ok: false, message: 'hospital y ward son requeridos' });
+    }
+    if (!Array.isArray(req.body.lines) || req.body.lines.length === 0) {
+      return res.status(400).json({ ok: false, message: 'Debe incluir al menos una línea' });
+    }
+
+    const lines = [];
+    for (const l of req.body.lines) lines.push(await applyScan(l));
+    for (const l of lines) {
+      if (!l.medication || !l.qty || Number(l.qty) <= 0) {
+        return res.status(400).json({ ok: false, message: 'Cada línea requiere medication y qty>0' });
+      }
+    }
+    const medIds = lines.map(l => String(l.medication));
+    if (new Set(medIds).size !== medIds.length) {
+      return res.status(400).json({ ok: false, message: 'Un medicamento solo puede ir en una línea' });
+    }
+
+    const meds = await Medication.find({ _id: { $in: medIds } }, 'code uom packSize conversions').lean();
+    const medMap = new Map(meds.map(m => [String(m._id), m]));
+    if (medMap.size !== medIds.length) {
+      return res.status(404).json({ ok: false, message: 'Medication not found' });
+    }
+
+    const order = await createNumbered({ hospitalId: hospital, docType: 'DISPENSE', build: code => new DispenseOrder({
+      code,
+      hospital,
+      location: location || null,
+      ward,
+      patientId: patientId || undefined,
+      encounter: encounter || undefined,
+      status: 'REQUESTED',
+      lines: lines.map(l => {
+        const conv = toBaseQty(medMap.get(String(l.medication)), l.qty, l.uom);
+        return {
+          medication: l.medication,
+          qty: conv.qty,
+          uom: conv.uom,
+          enteredQty: conv.enteredQty,
+          enteredUom: conv.enteredUom,
+          notes: l.notes || undefined,
+        };
+      }),
+      notes,
+      requestedBy: req.user?.id,
+    }) });
+
+    return res.status(201).json({ ok: true, data: order });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) listDispenses
+   ========================= */
+/**
+ * GET /api/dispense-orders
+ * Filtros: hospital, status, ward, patientId, encounter, dateFrom, dateTo
+ * Paginación: page, limit; Orden: sort (ej. -createdAt)
+ */
+exports.listDispenses = async (req, res, next) => {
+  try {
+    const {
+      hospital, status, ward, patientId, encounter, dateFrom, dateTo,
+      page = 1, limit = 20, sort = '-createdAt'
+    } = req.query;
+
+    const filter = {};
+    if (hospital)  filter.hospital = hospital;
+    if (status)    filter.status = status;
+    if (ward)      filter.ward = String(ward).trim().toUpperCase();
+    if (patientId) filter.patientId = patientId;
+    if (encounter) filter.encounter = encounter;
+    if (dateFrom || dateTo) {
+      filter.createdAt = await dateRangeFilter({ hospitalId: hospital, dateFrom, dateTo });
+    }
+
+    const pg = Math.max(parseInt(page, 10) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200);
+    const skip = (pg - 1) * lim;
+
+    const [rows, total] = await Promise.all([
+      DispenseOrder.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(lim)
+        .populate('hospital', 'name code')
+        .lean(),
+      DispenseOrder.countDocuments(filter)
+    ]);
+
+    return res.json({
+      ok: true,
+      data: rows,
+      meta: { page: pg, limit: lim, total, pages: Math.ceil(total / lim) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) getDispenseById
+   ========================= */
+/**
+ * GET /api/dispense-orders/:id
+ */
+exports.getDispenseById = async (req, res, next) => {
+  try {
+    const order = await DispenseOrder.findById(req.params.id)
+      .populate('hospital', 'name code')
+      .populate('location', 'code name')
+      .populate('lines.medication', 'name code uom');
+    if (!order) return res.status(404).json({ ok: false, message: 'Orden de surtido no encontrada' });
+    return res.json({ ok: true, data: order });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4) pickDispense
+   ========================= */
+/**
+ * POST /api/dispense-orders/:id/pick
+ * REQUESTED | PICKED | PARTIAL -> PICKED
+ * Propone lotes por FEFO (sin lotes bloqueados ni vencidos) para lo pendiente de cada línea, desde
+ * la ubicación de la orden. No mueve inventario; si no alcanza, propone lo disponible y lo
+ * reporta en meta.shortages. Volver a hacer pick reemplaza la propuesta.
+ */
+exports.pickDispense = async (req, res, next) => {
+  try {
+    const order = await loadOrder(req.params.id, ['REQUESTED', 'PICKED', 'PARTIAL'], 'surtir');
+
+    const shortages = [];
+    for (const line of order.lines) {
+      const pending = line.qty - line.dispensedQty;
+      if (pending <= EPSILON) {
+        line.picks = [];
+        continue;
+      }
+      const allocation = await allocateFEFO({
+        hospitalId: order.hospital,
+        medicationId: line.medication,
+        qty: pending,
+        location: order.location || undefined,
+        partial: true,
+      });
+      line.picks = allocation.map(a => ({ location: a.location, lot: a.lot, expiryDate: a.expiryDate, qty: a.qty }));
+
+      const picked = allocation.reduce((acc, a) => acc + a.qty, 0);
+      if (pending - picked > EPSILON) {
+        shortages.push({ lineId: line._id, medication: line.medication, pending, picked, short: pending - picked });
+      }
+    }
+
+    if (!order.lines.some(l => l.picks.length)) {
+      return res.status(409).json({ ok: false, message: 'Sin stock disponible para ninguna línea', meta: { shortages } });
+    }
+
+    order.status = 'PICKED';
+    order.pickedBy = req.user?.id;
+    order.pickedAt = new Date();
+    await order.save();
+
+    return res.json({ ok: true, data: order, meta: { shortages } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   5) confirmDispense
+   ========================= */
+/**
+ * POST /api/dispense-orders/:id/confirm
+ * PICKED -> DISPENSED | PARTIAL
+ * body: { items?: [{ lineId, qty }], witness?: { email, password } }
+ * - items: cantidad surtida por línea (unidad base, <= lo propuesto); las no listadas se surten
+ *   completas según el pick. qty 0 deja la línea pendiente.
+ * - Genera un OUT CONSUMPTION (refType 'ISSUE', refId = orden) por lote; revalida cada lote
+ *   propuesto (stock, caducidad y bloqueos pudieron cambiar desde el pick).
+ * - Medicamentos controlados: requiere testigo (segunda firma, admin/manager).
+ */
+exports.confirmDispense = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const { items = [] } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ ok: false, message: 'items debe ser un arreglo' });
+    }
+
+    const order = await loadOrder(req.params.id, ['PICKED'], 'confirmar');
+
+    const qtyByLine = new Map();
+    for (const it of items) {
+      if (!order.lines.id(it.lineId)) {
+        return res.status(400).json({ ok: false, message: `Línea no encontrada: ${it.lineId}` });
+      }
+      qtyByLine.set(String(it.lineId), Number(it.qty));
+    }
+
+    // Cantidad a surtir por línea (la confirmada o todo lo propuesto)
+    const plan = [];
+    for (const line of order.lines) {
+      const picked = line.picks.reduce((acc, p) => acc + p.qty, 0);
+      const qty = qtyByLine.has(String(line._id)) ? qtyByLine.get(String(line._id)) : picked;
+      if (!(qty >= 0) || qty > picked + EPSILON) {
+        return res.status(400).json({ ok: false, message: `Línea ${line._id}: qty debe estar entre 0 y lo propuesto (${picked})` });
+      }
+      if (qty > EPSILON) plan.push({ line, qty });
+    }
+    if (!plan.length) {
+      return res.status(400).json({ ok: false, message: 'No hay cantidades por surtir' });
+    }
+
+    // Safety stock por medicamento y testigo si hay controlados
+    const meds = await Medication.find({ _id: { $in: plan.map(p => p.line.medication) } });
+    const witnessedBy = await witnessFor({
+      medicationIds: meds.map(m => m._id),
+      witness: req.body.witness,
+      userId: req.user?.id,
+      hospitalId: order.hospital,
+    });
+    for (const med of meds) {
+      const { qty } = plan.find(p => String(p.line.medication) === String(med._id));
+      const current = await getCurrentStock({ hospitalId: order.hospital, medicationId: med._id });
+      await assertSafetyStock({ hospitalId: order.hospital, medication: med, projected: current - qty });
+    }
+
+    const patient = [order.patientId, order.encounter].filter(Boolean).join(' / ');
+    await session.withTransaction(async () => {
+      for (const { line, qty } of plan) {
+        let remaining = qty;
+        for (const p of line.picks) {
+          if (remaining <= EPSILON) break;
+          const take = Math.min(p.qty, remaining);
+          const allocation = await allocateFEFO({
+            hospitalId: order.hospital,
+            medicationId: line.medication,
+            qty: take,
+            location: p.location,
+            lot: p.lot || undefined,
+            expiryDate: p.expiryDate || undefined,
+            session
+          });
+
+          for (const a of allocation) {
+            const tx = new InventoryTransaction({
+              hospital: order.hospital,
+              medication: line.medication,
+              type: 'OUT',
+              qty: a.qty,
+              uom: line.uom,
+              location: a.location || undefined,
+              lot: a.lot || undefined,
+              expiryDate: a.expiryDate || undefined,
+              reason: 'CONSUMPTION',
+              refType: 'ISSUE',
+              refId: order._id,
+              refCode: order.code,
+              notes: `Surtido a ${order.ward}${patient ? ` (${patient})` : ''}`,
+              createdBy: req.user?.id,
+              witnessedBy,
+            });
+            await tx.save({ session });
+
+            line.dispensed.push({
+              location: a.location,
+              lot: a.lot,
+              expiryDate: a.expiryDate,
+              qty: a.qty,
+              unitCost: tx.unitCost,
+              tx: tx._id,
+            });
+          }
+          remaining -= take;
+        }
+        line.dispensedQty += qty;
+      }
+
+      for (const line of order.lines) line.picks = [];
+      const complete = order.lines.every(l => l.dispensedQty >= l.qty - EPSILON);
+      order.status = complete ? 'DISPENSED' : 'PARTIAL';
+      order.dispensedBy = req.user?.id;
+      order.dispenseWitness = witnessedBy || order.dispenseWitness;
+      order.dispensedAt = new Date();
+      await order.save({ session });
+    });
+
+    // Punto de reorden por cada medicamento surtido
+    for (const med of meds) {
+      await maybeTriggerReorder({ hospitalId: order.hospital, medication: med });
+    }
+
+    return res.json({
+      ok: true,
+      message: order.status === 'DISPENSED' ? 'Orden surtida' : 'Orden surtida parcialmente',
+      data: order
+    });
+  } catch (err) {
+    next(err);
+  } finally {
+    session.endSession();
+  }
+};
+
+/* =========================
+   6) cancelDispense
+   ========================= */
+/**
+ * POST /api/dispense-orders/:id/cancel
+ * body: { reason? }
+ * REQUESTED | PICKED | PARTIAL -> CANCELLED (nada surtido) | CLOSED (cierra lo pendiente de un surtido parcial).
+ * Lo ya surtido no se revierte (para eso: void de cada transacción).
+ */
+exports.cancelDispense = async (req, res, next) => {
+  try {
+    const order = await loadOrder(req.params.id, ['REQUESTED', 'PICKED', 'PARTIAL'], 'cancelar');
+
+    for (const line of order.lines) line.picks = [];
+    if (order.lines.some(l => l.dispensedQty > 0)) {
+      order.status = 'CLOSED';
+      order.closedAt = new Date();
+    } else {
+      order.status = 'CANCELLED';
+      order.cancelledAt = new Date();
+    }
+    if (req.body.reason) order.notes = (order.notes ? order.notes + '\n' : '') + `Cancelled: ${req.body.reason}`;
+    await order.save();
+
+    return res.json({ ok: true, data: order });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   7) consumptionReport
+   ========================= */
+/**
+ * GET /api/dispense-orders/consumption
+ * query: hospital, groupBy? ('ward' | 'patient' | 'encounter', default 'ward'),
+ *        ward?, patientId?, encounter?, medication?, dateFrom?, dateTo?
+ * Consumo surtido por servicio, paciente o episodio (paciente + encounter) desde el ledger
+ * (OUT refType ISSUE, neto de anulaciones), con cantidad en unidad base y valor al costo.
+ */
+exports.consumptionReport = async (req, res, next) => {
+  try {
+    const { hospital, groupBy = 'ward', ward, patientId, encounter, medication, dateFrom, dateTo } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+    const KEYS = {
+      ward: '$order.ward',
+      patient: '$order.patientId',
+      encounter: { patientId: '$order.patientId', encounter: '$order.encounter' },
+    };
+    if (!KEYS[groupBy]) {
+      return res.status(400).json({ ok: false, message: 'groupBy inválido (ward | patient | encounter)' });
+    }
+
+    const match = {
+      hospital: new mongoose.Types.ObjectId(hospital),
+      refType: 'ISSUE',
+      type: { $in: ['IN', 'OUT'] },
+    };
+    if (medication) match.medication = new mongoose.Types.ObjectId(medication);
+    if (dateFrom || dateTo) {
+      match.createdAt = await dateRangeFilter({ hospitalId: hospital, dateFrom, dateTo });
+    }
+    const orderMatch = {};
+    if (ward)      orderMatch['order.ward'] = String(ward).trim().toUpperCase();
+    if (patientId) orderMatch['order.patientId'] = patientId;
+    if (encounter) orderMatch['order.encounter'] = encounter;
+
+    const rows = await InventoryTransaction.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: DispenseOrder.collection.name,
+          localField: 'refId',
+          foreignField: '_id',
+          as: 'order',
+          pipeline: [{ $project: { ward: 1, patientId: 1, encounter: 1 } }]
+        }
+      },
+      { $unwind: '$order' },
+      { $match: orderMatch },
+      {
+        $group: {
+          _id: { key: KEYS[groupBy], medication: '$medication' },
+          // Consumo = -(signed); el reverso (IN) de un surtido resta
+          qty: { $sum: { $multiply: [signedQtyExpr, -1] } },
+          value: {
+            $sum: {
+              $cond: [
+                { $eq: ['$type', 'OUT'] },
+                { $ifNull: ['$totalCost', 0] },
+                { $multiply: [{ $ifNull: ['$totalCost', 0] }, -1] }
+              ]
+            }
+          },
+          orders: { $addToSet: '$refId' }
+        }
+      },
+      { $match: { qty: { $gt: EPSILON } } },
+      {
+        $lookup: { from: Medication.collection.name, localField: '_id.medication', foreignField: '_id', as: 'med' }
+      },
+      { $unwind: '$med' },
+      {
+        $group: {
+          _id: '$_id.key',
+          qty: { $sum: '$qty' },
+          value: { $sum: '$value' },
+          orderSets: { $push: '$orders' },
+          medications: {
+            $push: { medication: '$_id.medication', code: '$med.code', name: '$med.name', uom: '$med.uom', qty: '$qty', value: '$value' }
+          }
+        }
+      },
+      { $sort: { value: -1 } }
+    ]);
+
+    const data = rows.map(r => ({
+      ...(groupBy === 'encounter' ? r._id : { [groupBy === 'ward' ? 'ward' : 'patientId']: r._id }),
+      qty: r.qty,
+      value: r.value,
+      orders: new Set(r.orderSets.flat().map(String)).size,
+      medications: r.medications.sort((a, b) => b.value - a.value),
+    }));
+
+    return res.json({
+      ok: true,
+      data,
+      meta: {
+        groupBy,
+        totalValue: data.reduce((acc, r) => acc + r.value, 0),
+        dateFrom: dateFrom || null,
+        dateTo: dateTo || null,
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
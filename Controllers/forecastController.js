@@ -0,0 +1,144 @@
+// Controllers/forecastController.js
+const {
+  parseForecastOptions, buildForecasts, applySuggestions
+} = require('../Utils/forecasting');
+const Hospital = require('../Models/Hospital');
+
+/* =========================
+   Helpers
+   ========================= */
+
+// Etiquetas 'YYYY-MM' de los `count` meses siguientes a `last`
+function nextPeriods(last, count) {
+  const [y, m] = last.split('-').map(Number);
+  const out = [];
+  for (let i = 1; i <= count; i++) {
+    const d = new Date(Date.UTC(y, m - 1 + i, 1));
+    out.push(`${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`);
+  }
+  return out;
+}
+
+// Opciones: query/body sobre los defaults guardados en el hospital
+async function loadOptions(hospitalId, input) {
+  const hospital = await Hospital.findById(hospitalId, 'settings.forecast').lean();
+  if (!hospital) {
+    const err = new Error('Hospital not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  return parseForecastOptions(input, hospital.settings?.forecast || {});
+}
+
+/* =========================
+   1) listSuggestions
+   ========================= */
+/**
+ * GET /api/forecasts
+ * query: hospital, medication?, method?, months?, window?, alpha?, beta?, gamma?, serviceLevel?, horizon?
+ * Por medicamento: pronóstico de los próximos meses y política sugerida (avgMonthlyConsumption,
+ * reorderPoint, safetyStock) contra la política efectiva actual. No modifica nada.
+ */
+exports.listSuggestions = async (req, res, next) => {
+  try {
+    const { hospital, medication } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const options = await loadOptions(hospital, req.query);
+    const { periods, rows } = await buildForecasts({ hospitalId: hospital, medicationId: medication, options });
+    const horizonPeriods = periods.length ? nextPeriods(periods[periods.length - 1], options.horizon) : [];
+
+    const data = rows.map(({ history, fitted, ...r }) => ({ ...r, forecastPeriods: horizonPeriods }));
+    return res.json({ ok: true, data, meta: { hospital, options, periods } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) forecastVsActual
+   ========================= */
+/**
+ * GET /api/forecasts/accuracy
+ * query: hospital, medication, method?, months?, window?, alpha?, beta?, gamma?, horizon?
+ * Serie mensual de consumo real contra el pronóstico a un paso (lo que el modelo habría
+ * pronosticado con la información de ese momento), con MAE/MAPE/RMSE/sesgo y los meses futuros.
+ */
+exports.forecastVsActual = async (req, res, next) => {
+  try {
+    const { hospital, medication } = req.query;
+    if (!hospital || !medication) {
+      return res.status(400).json({ ok: false, message: 'hospital y medication son requeridos' });
+    }
+
+    const options = await loadOptions(hospital, req.query);
+    const { periods, rows } = await buildForecasts({ hospitalId: hospital, medicationId: medication, options });
+    const r = rows[0];
+    if (!r) return res.status(404).json({ ok: false, message: 'Medication not found' });
+
+    const series = periods.map((period, i) => ({
+      period,
+      actual: r.history[i],
+      forecast: r.fitted[i],
+      error: r.fitted[i] == null ? null : r.fitted[i] - r.history[i],
+    }));
+    const future = nextPeriods(periods[periods.length - 1], options.horizon)
+      .map((period, i) => ({ period, actual: null, forecast: r.forecast[i], error: null }));
+
+    return res.json({
+      ok: true,
+      data: [...series, ...future],
+      meta: {
+        hospital,
+        medication: r.medication,
+        medicationName: r.medicationName,
+        method: options.method,
+        methodUsed: r.methodUsed,
+        metrics: r.metrics,
+        insufficientHistory: r.insufficientHistory,
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) applyForecast
+   ========================= */
+/**
+ * POST /api/forecasts/apply
+ * body: { hospital, medications?: [id], method?, months?, serviceLevel?, ... }
+ * Escribe la política sugerida como override del hospital (HospitalMedicationPolicy, source FORECAST).
+ * Sin medications aplica a todos los medicamentos con consumo; los que no tienen historia suficiente se omiten.
+ */
+exports.applyForecast = async (req, res, next) => {
+  try {
+    const { hospital, medications } = req.body;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+    if (medications != null && !Array.isArray(medications)) {
+      return res.status(400).json({ ok: false, message: 'medications debe ser un arreglo' });
+    }
+
+    const options = await loadOptions(hospital, req.body);
+    let { rows } = await buildForecasts({ hospitalId: hospital, options });
+    if (medications?.length) {
+      const wanted = new Set(medications.map(String));
+      rows = rows.filter(r => wanted.has(String(r.medication)));
+    }
+
+    const result = await applySuggestions({ hospitalId: hospital, rows, options, userId: req.user?.id });
+    return res.json({
+      ok: true,
+      message: `Política actualizada para ${result.applied.length} medicamento(s)`,
+      data: result,
+      meta: { hospital, options }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
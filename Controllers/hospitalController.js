@@ -3,6 +3,10 @@ const Hospital = require('../Models/Hospital');
 const User = require('../Models/User');
 const InventoryTransaction = require('../Models/InventoryTransaction');
 const PurchaseOrder = require('../Models/PurchaseOrder');
+const { rebuildCostLayers } = require('../Utils/costing');
+const { parseHorizons } = require('../Utils/expiry');
+const { parseApprovalLevels } = require('../Utils/poApproval');
+const { parseNumberingPrefixes } = require('../Utils/numbering');
 
 // POST /api/hospitals
 exports.createHospital = async (req, res, next) => {
@@ -84,3 +88,59 @@ exports.listHospitals = async (req, res, next) => {
     next(err);
   }
 };
+
+// PATCH /api/hospitals/:id/settings
+// body: { timezone?, currency?, costingMethod? ('WAVG'|'FIFO'), forecast?: { autoApply?, method?, serviceLevel?, months? },
+//         deadStock?: { notify?, days?, recentDays?, slowCoverDays? }, expiry?: { scan?, horizons?, autoWriteOff? },
+//         poApproval?: { required?, levels?: [{ minTotal, currency, role: 'manager'|'admin' }] },
+//         numbering?: { prefixes?: { PO?, TRANSFER?, COUNT?, DISPENSE? } } }
+// Al cambiar el método de costeo se reconstruyen las capas de costo desde el stock actual.
+exports.updateSettings = async (req, res, next) => {
+  try {
+    if (!req.user?.isSuperUser && req.user?.role !== 'admin') {
+      return res.status(403).json({ ok: false, message: 'Forbidden' });
+    }
+
+    const h = await Hospital.findById(req.params.id);
+    if (!h) return res.status(404).json({ ok: false, message: 'Hospital not found' });
+
+    const prevMethod = h.settings?.costingMethod || 'WAVG';
+    for (const key of ['timezone', 'currency', 'costingMethod']) {
+      if (req.body[key] !== undefined) h.settings[key] = req.body[key];
+    }
+    if (req.body.forecast) {
+      for (const key of ['autoApply', 'method', 'serviceLevel', 'months']) {
+        if (req.body.forecast[key] !== undefined) h.settings.forecast[key] = req.body.forecast[key];
+      }
+    }
+    if (req.body.deadStock) {
+      for (const key of ['notify', 'days', 'recentDays', 'slowCoverDays']) {
+        if (req.body.deadStock[key] !== undefined) h.settings.deadStock[key] = req.body.deadStock[key];
+      }
+    }
+    if (req.body.expiry) {
+      for (const key of ['scan', 'autoWriteOff']) {
+        if (req.body.expiry[key] !== undefined) h.settings.expiry[key] = req.body.expiry[key];
+      }
+      if (req.body.expiry.horizons !== undefined) h.settings.expiry.horizons = parseHorizons(req.body.expiry.horizons);
+    }
+    if (req.body.poApproval) {
+      if (req.body.poApproval.required !== undefined) h.settings.poApproval.required = req.body.poApproval.required;
+      if (req.body.poApproval.levels !== undefined) h.settings.poApproval.levels = parseApprovalLevels(req.body.poApproval.levels);
+    }
+    if (req.body.numbering?.prefixes !== undefined) {
+      const prefixes = parseNumberingPrefixes(req.body.numbering.prefixes);
+      for (const [type, prefix] of Object.entries(prefixes)) h.settings.numbering.prefixes[type] = prefix;
+    }
+    await h.save();
+
+    let costLayers = null;
+    if (h.settings.costingMethod !== prevMethod) {
+      costLayers = await rebuildCostLayers({ hospitalId: h._id });
+    }
+
+    return res.json({ ok: true, data: h, meta: { costLayers } });
+  } catch (err) {
+    next(err);
+  }
+};
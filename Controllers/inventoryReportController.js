@@ -0,0 +1,309 @@
+// Controllers/inventoryReportController.js
+const mongoose = require('mongoose');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const Medication = require('../Models/Medication');
+const Hospital = require('../Models/Hospital');
+const { signedQtyExpr, EPSILON } = require('../Utils/stockLedger');
+const { getCostingMethod, rebuildCostLayers, getValuation } = require('../Utils/costing');
+const { parseDeadStockOptions, buildDeadStockReport } = require('../Utils/deadStock');
+const { parseDateBound, hospitalTimezone } = require('../Utils/dateRange');
+
+/* =========================
+   Helpers
+   ========================= */
+
+// Razones de salida que son costo de lo emitido (consumo y mermas)
+const COGS_REASONS = ['CONSUMPTION', 'WRITE_OFF', 'ADJUST_NEG'];
+
+// Parsea fecha de query; devuelve null si no viene y lanza 400 si es inválida.
+// Una fecha sin hora es un día en la zona horaria del hospital; endOfDay: cuenta hasta el final de ese día
+function parseDate(value, name, { timezone, endOfDay = false } = {}) {
+  const d = parseDateBound(value, { timezone, endOfDay });
+  if (d == null) return null;
+  if (Number.isNaN(d.getTime())) {
+    const err = new Error(`${name} inválida`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return d;
+}
+
+// Agrega nombre/código del medicamento a filas { medication, ... } y ordena por nombre
+async function attachMedicationInfo(rows) {
+  const ids = [...new Set(rows.map(r => String(r.medication)))];
+  const meds = await Medication.find({ _id: { $in: ids } }, 'name code uom').lean();
+  const map = new Map(meds.map(m => [String(m._id), m]));
+
+  return rows
+    .map(r => {
+      const m = map.get(String(r.medication)) || {};
+      return { ...r, medicationName: m.name, medicationCode: m.code, uom: m.uom };
+    })
+    .sort((a, b) =>
+      String(a.medicationName || '').localeCompare(String(b.medicationName || '')) ||
+      String(a.lot || '').localeCompare(String(b.lot || ''))
+    );
+}
+
+/* =========================
+   1) stockOnHand
+   ========================= */
+/**
+ * GET /api/inventory-reports/stock-on-hand
+ * query: hospital, asOf?, dateFrom?, dateTo?, medication?, byLot? ('true')
+ * - Con asOf (o sin fechas = ahora): stock por medicamento (y opcionalmente por lote) a esa fecha.
+ * - Con dateFrom + dateTo (modo comparación): saldo inicial, entradas, salidas y saldo final del periodo.
+ * Se calcula desde el ledger usando createdAt de InventoryTransaction.
+ * Los movimientos entre ubicaciones (LOCATION_MOVE) no cuentan como entradas/salidas del hospital.
+ */
+exports.stockOnHand = async (req, res, next) => {
+  try {
+    const { hospital, medication, byLot } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const timezone = await hospitalTimezone(hospital);
+    const dateFrom = parseDate(req.query.dateFrom, 'dateFrom', { timezone });
+    const dateTo = parseDate(req.query.dateTo, 'dateTo', { timezone, endOfDay: true });
+    // asOf sin hora = cierre de ese día
+    const asOf = parseDate(req.query.asOf, 'asOf', { timezone, endOfDay: true });
+
+    const compare = !!(dateFrom || dateTo);
+    if (compare && !(dateFrom && dateTo)) {
+      return res.status(400).json({ ok: false, message: 'dateFrom y dateTo son requeridos en modo comparación' });
+    }
+    if (compare && dateFrom > dateTo) {
+      return res.status(400).json({ ok: false, message: 'dateFrom debe ser <= dateTo' });
+    }
+
+    const closingAt = compare ? dateTo : (asOf || new Date());
+    const perLot = String(byLot).toLowerCase() === 'true';
+
+    const match = {
+      hospital: new mongoose.Types.ObjectId(hospital),
+      createdAt: { $lte: closingAt },
+    };
+    if (medication) match.medication = new mongoose.Types.ObjectId(medication);
+
+    const groupId = perLot
+      ? { medication: '$medication', lot: '$lot', expiryDate: '$expiryDate' }
+      : { medication: '$medication' };
+
+    const group = { _id: groupId, closing: { $sum: '$signedQty' } };
+    if (compare) {
+      const inPeriod = { $and: [{ $gte: ['$createdAt', dateFrom] }, { $ne: ['$reason', 'LOCATION_MOVE'] }] };
+      group.opening = { $sum: { $cond: [{ $lt: ['$createdAt', dateFrom] }, '$signedQty', 0] } };
+      group.inbound = {
+        $sum: { $cond: [{ $and: [inPeriod, { $gt: ['$signedQty', 0] }] }, '$signedQty', 0] }
+      };
+      group.outbound = {
+        $sum: { $cond: [{ $and: [inPeriod, { $lt: ['$signedQty', 0] }] }, { $multiply: ['$signedQty', -1] }, 0] }
+      };
+    }
+
+    const agg = await InventoryTransaction.aggregate([
+      { $match: match },
+      { $set: { signedQty: signedQtyExpr } },
+      { $group: group },
+    ]);
+
+    const rows = agg
+      .filter(r => [r.closing, r.opening, r.inbound, r.outbound].some(v => Math.abs(v || 0) > EPSILON))
+      .map(r => {
+        const row = { medication: r._id.medication };
+        if (perLot) {
+          row.lot = r._id.lot || null;
+          row.expiryDate = r._id.expiryDate || null;
+        }
+        if (compare) {
+          row.opening = r.opening;
+          row.inbound = r.inbound;
+          row.outbound = r.outbound;
+        }
+        row.closing = r.closing;
+        return row;
+      });
+
+    const data = await attachMedicationInfo(rows);
+
+    const totals = data.reduce((acc, r) => {
+      for (const k of ['opening', 'inbound', 'outbound', 'closing']) {
+        if (r[k] != null) acc[k] = (acc[k] || 0) + r[k];
+      }
+      return acc;
+    }, {});
+
+    return res.json({
+      ok: true,
+      data,
+      meta: compare
+        ? { mode: 'comparison', hospital, dateFrom, dateTo, byLot: perLot, totals }
+        : { mode: 'asOf', hospital, asOf: closingAt, byLot: perLot, totals }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) valuation
+   ========================= */
+/**
+ * GET /api/inventory-reports/valuation
+ * query: hospital, medication?
+ * Valor del inventario por medicamento según el método de costeo del hospital (WAVG | FIFO).
+ */
+exports.valuation = async (req, res, next) => {
+  try {
+    const { hospital, medication } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const { method, rows } = await getValuation({ hospitalId: hospital, medicationId: medication });
+    const data = await attachMedicationInfo(rows);
+    const totalValue = data.reduce((acc, r) => acc + r.value, 0);
+
+    return res.json({ ok: true, data, meta: { hospital, method, totalValue } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) rebuildValuation
+   ========================= */
+/**
+ * POST /api/inventory-reports/valuation/rebuild
+ * body: { hospital, medication? }
+ * Reconstruye las capas de costo desde el stock actual por lote (al activar valuación o cambiar de método).
+ */
+exports.rebuildValuation = async (req, res, next) => {
+  try {
+    const { hospital, medication } = req.body;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const result = await rebuildCostLayers({ hospitalId: hospital, medicationId: medication });
+    return res.json({ ok: true, message: 'Capas de costo reconstruidas', data: result });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4) cogs (costo de lo emitido)
+   ========================= */
+/**
+ * GET /api/inventory-reports/cogs
+ * query: hospital, dateFrom, dateTo, medication?, period? ('day'|'week'|'month'|'none', default 'month')
+ * Suma el costo estampado (totalCost) de salidas OUT y ADJUST-OUT por periodo y medicamento,
+ * sin movimientos anulados ni sus reversos. Solo cuentan consumo, bajas y ajustes negativos
+ * (COGS_REASONS): devoluciones a proveedor, transferencias y movimientos internos no son costo.
+ */
+exports.cogs = async (req, res, next) => {
+  try {
+    const { hospital, medication, period = 'month' } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+    if (!['day', 'week', 'month', 'none'].includes(period)) {
+      return res.status(400).json({ ok: false, message: 'period inválido' });
+    }
+
+    const timezone = await hospitalTimezone(hospital);
+    const dateFrom = parseDate(req.query.dateFrom, 'dateFrom', { timezone });
+    const dateTo = parseDate(req.query.dateTo, 'dateTo', { timezone, endOfDay: true });
+    if (!dateFrom || !dateTo) {
+      return res.status(400).json({ ok: false, message: 'dateFrom y dateTo son requeridos' });
+    }
+
+    const match = {
+      hospital: new mongoose.Types.ObjectId(hospital),
+      createdAt: { $gte: dateFrom, $lte: dateTo },
+      $or: [{ type: 'OUT' }, { type: 'ADJUST', adjustSign: 'OUT' }],
+      reason: { $in: COGS_REASONS },
+      // Anulaciones fuera: el original anulado y su reverso se cancelan
+      reversalOf: null,
+      reversedBy: null,
+    };
+    if (medication) match.medication = new mongoose.Types.ObjectId(medication);
+
+    const groupId = { medication: '$medication' };
+    if (period !== 'none') {
+      groupId.period = { $dateTrunc: { date: '$createdAt', unit: period, timezone } };
+    }
+
+    const agg = await InventoryTransaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: groupId,
+          qty: { $sum: '$qty' },
+          cogs: { $sum: { $ifNull: ['$totalCost', 0] } },
+          unvaluedQty: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$totalCost', null] }, null] }, '$qty', 0] } },
+        }
+      },
+    ]);
+
+    const rows = agg.map(r => ({
+      period: r._id.period || null,
+      medication: r._id.medication,
+      qty: r.qty,
+      cogs: r.cogs,
+      unvaluedQty: r.unvaluedQty, // salidas previas a la valuación (sin costo estampado)
+    }));
+
+    const data = (await attachMedicationInfo(rows))
+      .sort((a, b) => (a.period && b.period ? new Date(a.period) - new Date(b.period) : 0));
+    const totalCogs = data.reduce((acc, r) => acc + r.cogs, 0);
+    const method = await getCostingMethod(hospital);
+
+    return res.json({
+      ok: true,
+      data,
+      meta: { hospital, method, period, dateFrom, dateTo, totalCogs }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   5) deadStock (sin movimiento / lento movimiento)
+   ========================= */
+/**
+ * GET /api/inventory-reports/dead-stock
+ * query: hospital, days? (180), recentDays? (90), slowCoverDays? (365), status? ('DEAD'|'SLOW'), medication?
+ * Stock sin salidas en los últimos `days` días (DEAD) o que al ritmo actual dura más de
+ * `slowCoverDays` (SLOW), con su valor, caducidad más próxima y traspasos sugeridos a hospitales
+ * con consumo del mismo medicamento en los últimos `recentDays` días.
+ * Los defaults salen de settings.deadStock del hospital.
+ */
+exports.deadStock = async (req, res, next) => {
+  try {
+    const { hospital, medication, status } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+    if (status && !['DEAD', 'SLOW'].includes(status)) {
+      return res.status(400).json({ ok: false, message: 'status inválido (DEAD | SLOW)' });
+    }
+
+    const hospitalDoc = await Hospital.findById(hospital, 'settings').lean();
+    if (!hospitalDoc) return res.status(404).json({ ok: false, message: 'Hospital not found' });
+
+    const options = parseDeadStockOptions(req.query, hospitalDoc.settings?.deadStock || {});
+    const { rows, totals } = await buildDeadStockReport({ hospitalId: hospital, medicationId: medication, options, status });
+
+    return res.json({
+      ok: true,
+      data: rows,
+      meta: { hospital, currency: hospitalDoc.settings?.currency || 'MXN', options, totals }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
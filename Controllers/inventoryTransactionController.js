@@ -2,70 +2,34 @@
 const mongoose = require('mongoose');
 const InventoryTransaction = require('../Models/InventoryTransaction');
 const Medication = require('../Models/Medication');
-
-/* =========================
-   Helpers
-   ========================= */
-
-// Expresión para qty con signo en pipelines
-const signedQtyExpr = {
-  $switch: {
-    branches: [
-      { case: { $eq: ['$type', 'IN'] }, then: '$qty' },
-      { case: { $eq: ['$type', 'OUT'] }, then: { $multiply: ['$qty', -1] } },
-      {
-        case: { $and: [{ $eq: ['$type', 'ADJUST'] }, { $eq: ['$adjustSign', 'IN'] }] },
-        then: '$qty'
-      },
-      {
-        case: { $and: [{ $eq: ['$type', 'ADJUST'] }, { $eq: ['$adjustSign', 'OUT'] }] },
-        then: { $multiply: ['$qty', -1] }
-      }
-    ],
-    default: 0
-  }
-};
-
-// Stock actual total por hospital+medicación (opcional por lote/expiración)
-async function getCurrentStock({ hospitalId, medicationId, lot, expiryDate }) {
-  const match = {
-    hospital: new mongoose.Types.ObjectId(hospitalId),
-    medication: new mongoose.Types.ObjectId(medicationId),
-  };
-  if (lot) match.lot = lot;
-  if (expiryDate) match.expiryDate = expiryDate;
-
-  const agg = await InventoryTransaction.aggregate([
-    { $match: match },
-    { $group: { _id: null, stock: { $sum: signedQtyExpr } } },
-  ]);
-  return agg[0]?.stock || 0;
-}
-
-// Valida que la operación no deje el stock por debajo de safetyStock
-async function assertSafetyStock({ hospitalId, medication, projected }) {
-  const safety = medication.policy?.safetyStock || 0;
-  if (safety > 0 && projected < safety) {
-    const name = medication.name || 'medication';
-    const msg = `Operación bloqueada: el stock proyectado de ${name} (${projected}) quedaría por debajo del safetyStock (${safety}).`;
-    const err = new Error(msg);
-    err.statusCode = 409;
-    throw err;
-  }
-}
+const StockBalance = require('../Models/StockBalance');
+const Location = require('../Models/Location');
+const DispenseOrder = require('../Models/DispenseOrder');
+const PurchaseOrder = require('../Models/PurchaseOrder');
+const {
+  EPSILON, signedQtyExpr, locationFilter, getCurrentStock, allocateFEFO, assertSafetyStock
+} = require('../Utils/stockLedger');
+const { maybeTriggerReorder } = require('../Utils/replenishment');
+const { writeOffExpiredLots } = require('../Utils/expiry');
+const { verifyWitness } = require('../Utils/controlled');
+const { toBaseQty, txQtyFields } = require('../Utils/uom');
+const { applyScan } = require('../Utils/gs1');
+const { syncReceiptStatus } = require('../Utils/poReceipts');
+const { dateRangeFilter } = require('../Utils/dateRange');
 
 /* =========================
    1) listTransactions
    ========================= */
 /**
  * GET /api/inventory-transactions
- * Filtros: hospital, medication, type, refType, refId, lot, dateFrom, dateTo
+ * Filtros: hospital, medication, location (incluye sububicaciones), type, refType, refId, lot,
+ *          reversed(true|false), dateFrom, dateTo
  * Paginación: page, limit
  */
 exports.listTransactions = async (req, res, next) => {
   try {
     const {
-      hospital, medication, type, refType, refId, lot,
+      hospital, medication, location, type, refType, refId, lot, reversed,
       dateFrom, dateTo,
       page = 1, limit = 20, sort = '-createdAt'
     } = req.query;
@@ -73,14 +37,19 @@ exports.listTransactions = async (req, res, next) => {
     const filter = {};
     if (hospital)  filter.hospital  = new mongoose.Types.ObjectId(hospital);
     if (medication) filter.medication = new mongoose.Types.ObjectId(medication);
+    if (location)  filter.location  = await locationFilter(location);
     if (type)      filter.type      = type;
     if (refType)   filter.refType   = refType;
     if (refId)     filter.refId     = new mongoose.Types.ObjectId(refId);
     if (lot)       filter.lot       = lot;
+    // reversed=true: solo pares de anulación; reversed=false: solo movimientos vigentes
+    if (typeof reversed === 'string') {
+      const pair = [{ reversalOf: { $ne: null } }, { reversedBy: { $ne: null } }];
+      if (reversed.toLowerCase() === 'true')  filter.$or = pair;
+      if (reversed.toLowerCase() === 'false') filter.$nor = pair;
+    }
     if (dateFrom || dateTo) {
-      filter.createdAt = {};
-      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
-      if (dateTo)   filter.createdAt.$lte = new Date(dateTo);
+      filter.createdAt = await dateRangeFilter({ hospitalId: hospital, dateFrom, dateTo });
     }
 
     const pg = Math.max(parseInt(page, 10) || 1, 1);
@@ -92,6 +61,8 @@ exports.listTransactions = async (req, res, next) => {
         .sort(sort)
         .skip(skip)
         .limit(lim)
+        .populate('reversalOf', 'type adjustSign qty createdAt')
+        .populate('reversedBy', 'type adjustSign qty createdAt')
         .lean(),
       InventoryTransaction.countDocuments(filter),
     ]);
@@ -130,15 +101,17 @@ exports.getTransactionById = async (req, res, next) => {
    ========================= */
 /**
  * POST /api/inventory-transactions/in
- * body: { hospital, medication, qty, lot?, expiryDate?, unitCost?, reason?, refType?, refId?, refCode? }
+ * body: { hospital, medication | barcode, qty, uom?, location?, lot?, expiryDate?, unitCost?, reason?, refType?, refId?, refCode? }
+ * qty y unitCost en `uom` (box, blister...; default la unidad base); se normalizan a la unidad base.
+ * Con barcode (GS1) se toman del código medication, lot, expiryDate y uom del empaque (qty default 1).
  */
 exports.createIn = async (req, res, next) => {
   const session = await mongoose.startSession();
   try {
     const {
-      hospital, medication, qty, lot, expiryDate,
+      hospital, medication, qty, uom, location, lot, expiryDate,
       unitCost, reason = 'PURCHASE_RECEIPT', refType = 'OTHER', refId, refCode
-    } = req.body;
+    } = await applyScan(req.body);
 
     if (!hospital || !medication || !qty) {
       return res.status(400).json({ ok: false, message: 'hospital, medication y qty son requeridos' });
@@ -146,11 +119,12 @@ exports.createIn = async (req, res, next) => {
 
     const med = await Medication.findById(medication);
     if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+    const conv = toBaseQty(med, qty, uom);
 
     const hId = new mongoose.Types.ObjectId(hospital);
     const mId = new mongoose.Types.ObjectId(medication);
     const current = await getCurrentStock({ hospitalId: hId, medicationId: mId });
-    const projected = current + Number(qty);
+    const projected = current + conv.qty;
 
     // Entradas no violan safety stock (safety es mínimo), así que no validamos límite superior.
 
@@ -159,11 +133,12 @@ exports.createIn = async (req, res, next) => {
         hospital: hId,
         medication: mId,
         type: 'IN',
-        qty: Number(qty),
-        uom: med.uom || 'unit',
+        ...txQtyFields(conv, conv.qty),
+        location: location || undefined,
         lot: lot || undefined,
         expiryDate: expiryDate || undefined,
-        unitCost: unitCost ?? med.unitPrice ?? 0,
+        // unitCost capturado es por la unidad capturada; el ledger guarda costo por unidad base
+        unitCost: unitCost != null ? unitCost / conv.factor : (med.unitPrice ?? 0),
         reason,
         refType,
         refId: refId ? new mongoose.Types.ObjectId(refId) : undefined,
@@ -187,15 +162,20 @@ exports.createIn = async (req, res, next) => {
    ========================= */
 /**
  * POST /api/inventory-transactions/out
- * body: { hospital, medication, qty, lot?, expiryDate?, reason?, refType?, refId?, refCode? }
+ * body: { hospital, medication | barcode, qty, uom?, location?, lot?, expiryDate?, reason?, refType?, refId?, refCode? }
+ * Sin lot se asigna por FEFO (puede generar varias transacciones); los lotes vencidos se rechazan.
+ * Con location solo se toma stock de esa ubicación (y sus sububicaciones).
+ * Con barcode (GS1) se toman del código medication, lot, expiryDate y uom del empaque (qty default 1).
+ * Después de registrar revisa el punto de reorden (LOW_STOCK / PO sugerida).
+ * Medicamento controlado: requiere witness: { email, password } (segunda firma, admin/manager).
  */
 exports.createOut = async (req, res, next) => {
   const session = await mongoose.startSession();
   try {
     const {
-      hospital, medication, qty, lot, expiryDate,
+      hospital, medication, qty, uom, location, lot, expiryDate,
       reason = 'CONSUMPTION', refType = 'OTHER', refId, refCode
-    } = req.body;
+    } = await applyScan(req.body);
 
     if (!hospital || !medication || !qty) {
       return res.status(400).json({ ok: false, message: 'hospital, medication y qty son requeridos' });
@@ -203,36 +183,56 @@ exports.createOut = async (req, res, next) => {
 
     const med = await Medication.findById(medication);
     if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+    const conv = toBaseQty(med, qty, uom);
+
+    // Controlados: segunda firma obligatoria
+    const witnessedBy = med.isControlled
+      ? await verifyWitness({ witness: req.body.witness, userId: req.user?.id, hospitalId: hospital })
+      : undefined;
 
     const hId = new mongoose.Types.ObjectId(hospital);
     const mId = new mongoose.Types.ObjectId(medication);
 
     const current = await getCurrentStock({ hospitalId: hId, medicationId: mId });
-    const projected = current - Number(qty);
+    const projected = current - conv.qty;
 
     // Regla de safety stock: no permitir bajar por debajo
     await assertSafetyStock({ hospitalId: hId, medication: med, projected });
 
+    // FEFO: una transacción OUT por cada lote asignado
+    let allocation = [];
     await session.withTransaction(async () => {
-      const tx = new InventoryTransaction({
-        hospital: hId,
-        medication: mId,
-        type: 'OUT',
-        qty: Number(qty),
-        uom: med.uom || 'unit',
-        lot: lot || undefined,
-        expiryDate: expiryDate || undefined,
-        reason,
-        refType,
-        refId: refId ? new mongoose.Types.ObjectId(refId) : undefined,
-        refCode,
-        createdBy: req.user?.id,
+      allocation = await allocateFEFO({
+        hospitalId: hId, medicationId: mId, qty: conv.qty, location, lot, expiryDate, session,
+        // Devolución al proveedor y bajas sí pueden sacar lotes retenidos/retirados
+        allowBlocked: ['RETURN_OUT', 'WRITE_OFF'].includes(reason)
       });
-      await tx.save({ session });
+      for (const a of allocation) {
+        const tx = new InventoryTransaction({
+          hospital: hId,
+          medication: mId,
+          type: 'OUT',
+          ...txQtyFields(conv, a.qty),
+          location: a.location || undefined,
+          lot: a.lot || undefined,
+          expiryDate: a.expiryDate || undefined,
+          reason,
+          refType,
+          refId: refId ? new mongoose.Types.ObjectId(refId) : undefined,
+          refCode,
+          createdBy: req.user?.id,
+          witnessedBy,
+        });
+        await tx.save({ session });
+      }
     });
 
     const after = await getCurrentStock({ hospitalId: hId, medicationId: mId });
-    return res.status(201).json({ ok: true, message: 'Salida registrada', data: { before: current, after, projected } });
+    const trigger = await maybeTriggerReorder({ hospitalId: hId, medication: med });
+    return res.status(201).json({
+      ok: true, message: 'Salida registrada',
+      data: { before: current, after, projected, allocation, triggerReorder: trigger.created }
+    });
   } catch (err) {
     next(err);
   } finally {
@@ -245,14 +245,15 @@ exports.createOut = async (req, res, next) => {
    ========================= */
 /**
  * POST /api/inventory-transactions/adjust
- * body: { hospital, medication, qty, adjustSign: 'IN'|'OUT', lot?, expiryDate?, reason?, refType?, refId? }
+ * body: { hospital, medication, qty, uom?, adjustSign: 'IN'|'OUT', location?, lot?, expiryDate?, reason?, refType?, refId? }
+ * Medicamento controlado: requiere witness: { email, password } (segunda firma, admin/manager).
  */
 exports.createAdjust = async (req, res, next) => {
   const session = await mongoose.startSession();
   try {
     const {
-      hospital, medication, qty, adjustSign,
-      lot, expiryDate, reason = (adjustSign === 'IN' ? 'ADJUST_POS' : 'ADJUST_NEG'),
+      hospital, medication, qty, uom, adjustSign,
+      location, lot, expiryDate, reason = (adjustSign === 'IN' ? 'ADJUST_POS' : 'ADJUST_NEG'),
       refType = 'ADJ', refId, refCode
     } = req.body;
 
@@ -265,43 +266,61 @@ exports.createAdjust = async (req, res, next) => {
 
     const med = await Medication.findById(medication);
     if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+    const conv = toBaseQty(med, qty, uom);
+
+    // Controlados: segunda firma obligatoria
+    const witnessedBy = med.isControlled
+      ? await verifyWitness({ witness: req.body.witness, userId: req.user?.id, hospitalId: hospital })
+      : undefined;
 
     const hId = new mongoose.Types.ObjectId(hospital);
     const mId = new mongoose.Types.ObjectId(medication);
     const current = await getCurrentStock({ hospitalId: hId, medicationId: mId });
 
     let projected = current;
-    if (adjustSign === 'IN') projected = current + Number(qty);
-    else projected = current - Number(qty);
+    if (adjustSign === 'IN') projected = current + conv.qty;
+    else projected = current - conv.qty;
 
     // Safety: solo aplica si reduce stock
     if (adjustSign === 'OUT') {
       await assertSafetyStock({ hospitalId: hId, medication: med, projected });
     }
 
+    // Ajuste negativo: se reparte por FEFO; positivo: entra al lote indicado
+    let allocation = [];
     await session.withTransaction(async () => {
-      const tx = new InventoryTransaction({
-        hospital: hId,
-        medication: mId,
-        type: 'ADJUST',
-        adjustSign,
-        qty: Number(qty),
-        uom: med.uom || 'unit',
-        lot: lot || undefined,
-        expiryDate: expiryDate || undefined,
-        reason,
-        refType,
-        refId: refId ? new mongoose.Types.ObjectId(refId) : undefined,
-        refCode,
-        createdBy: req.user?.id,
-      });
-      await tx.save({ session });
+      allocation = adjustSign === 'OUT'
+        ? await allocateFEFO({ hospitalId: hId, medicationId: mId, qty: conv.qty, location, lot, expiryDate, allowBlocked: true, session })
+        : [{ location: location || null, lot: lot || null, expiryDate: expiryDate || null, qty: conv.qty }];
+
+      for (const a of allocation) {
+        const tx = new InventoryTransaction({
+          hospital: hId,
+          medication: mId,
+          type: 'ADJUST',
+          adjustSign,
+          ...txQtyFields(conv, a.qty),
+          location: a.location || undefined,
+          lot: a.lot || undefined,
+          expiryDate: a.expiryDate || undefined,
+          reason,
+          refType,
+          refId: refId ? new mongoose.Types.ObjectId(refId) : undefined,
+          refCode,
+          createdBy: req.user?.id,
+          witnessedBy,
+        });
+        await tx.save({ session });
+      }
     });
 
     const after = await getCurrentStock({ hospitalId: hId, medicationId: mId });
+    const trigger = adjustSign === 'OUT'
+      ? await maybeTriggerReorder({ hospitalId: hId, medication: med })
+      : { created: false };
     return res.status(201).json({
       ok: true, message: 'Ajuste registrado',
-      data: { before: current, after, projected }
+      data: { before: current, after, projected, allocation, triggerReorder: trigger.created }
     });
   } catch (err) {
     next(err);
@@ -315,13 +334,16 @@ exports.createAdjust = async (req, res, next) => {
    ========================= */
 /**
  * POST /api/inventory-transactions/transfer
- * body: { fromHospital, toHospital, medication, qty, lot?, expiryDate?, refCode? }
- * Crea OUT en origen y IN en destino en una sola transacción (session).
+ * body: { fromHospital, toHospital, medication, qty, uom?, fromLocation?, toLocation?, lot?, expiryDate?, refCode? }
+ * Crea OUT en origen y IN en destino en una sola transacción (session), un par por lote asignado (FEFO).
+ * Medicamento controlado: requiere witness: { email, password } (segunda firma, admin/manager).
  */
 exports.transferBetweenHospitals = async (req, res, next) => {
   const session = await mongoose.startSession();
   try {
-    const { fromHospital, toHospital, medication, qty, lot, expiryDate, refCode } = req.body;
+    const {
+      fromHospital, toHospital, medication, qty, uom, fromLocation, toLocation, lot, expiryDate, refCode
+    } = req.body;
     if (!fromHospital || !toHospital || !medication || !qty) {
       return res.status(400).json({ ok: false, message: 'fromHospital, toHospital, medication y qty son requeridos' });
     }
@@ -331,6 +353,12 @@ exports.transferBetweenHospitals = async (req, res, next) => {
 
     const med = await Medication.findById(medication);
     if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+    const conv = toBaseQty(med, qty, uom);
+
+    // Controlados: segunda firma obligatoria
+    const witnessedBy = med.isControlled
+      ? await verifyWitness({ witness: req.body.witness, userId: req.user?.id, hospitalId: fromHospital })
+      : undefined;
 
     const fromId = new mongoose.Types.ObjectId(fromHospital);
     const toId   = new mongoose.Types.ObjectId(toHospital);
@@ -338,53 +366,66 @@ exports.transferBetweenHospitals = async (req, res, next) => {
 
     // Validar safety stock en origen
     const currentFrom = await getCurrentStock({ hospitalId: fromId, medicationId: mId });
-    const projectedFrom = currentFrom - Number(qty);
+    const projectedFrom = currentFrom - conv.qty;
     await assertSafetyStock({ hospitalId: fromId, medication: med, projected: projectedFrom });
 
+    // FEFO en origen; el destino recibe los mismos lotes/caducidades
+    let allocation = [];
     await session.withTransaction(async () => {
-      // OUT en origen
-      const outTx = new InventoryTransaction({
-        hospital: fromId,
-        medication: mId,
-        type: 'OUT',
-        qty: Number(qty),
-        uom: med.uom || 'unit',
-        lot: lot || undefined,
-        expiryDate: expiryDate || undefined,
-        reason: 'TRANSFER_OUT',
-        refType: 'XFER',
-        refCode,
-        createdBy: req.user?.id,
+      allocation = await allocateFEFO({
+        hospitalId: fromId, medicationId: mId, qty: conv.qty, location: fromLocation, lot, expiryDate, session
       });
-      await outTx.save({ session });
 
-      // IN en destino
-      const inTx = new InventoryTransaction({
-        hospital: toId,
-        medication: mId,
-        type: 'IN',
-        qty: Number(qty),
-        uom: med.uom || 'unit',
-        lot: lot || undefined,
-        expiryDate: expiryDate || undefined,
-        reason: 'TRANSFER_IN',
-        refType: 'XFER',
-        refId: outTx._id, // vínculo opcional
-        refCode,
-        createdBy: req.user?.id,
-      });
-      await inTx.save({ session });
+      for (const a of allocation) {
+        // OUT en origen
+        const outTx = new InventoryTransaction({
+          hospital: fromId,
+          medication: mId,
+          type: 'OUT',
+          ...txQtyFields(conv, a.qty),
+          location: a.location || undefined,
+          lot: a.lot || undefined,
+          expiryDate: a.expiryDate || undefined,
+          reason: 'TRANSFER_OUT',
+          refType: 'XFER',
+          refCode,
+          createdBy: req.user?.id,
+          witnessedBy,
+        });
+        await outTx.save({ session });
+
+        // IN en destino
+        const inTx = new InventoryTransaction({
+          hospital: toId,
+          medication: mId,
+          type: 'IN',
+          ...txQtyFields(conv, a.qty),
+          location: toLocation || undefined,
+          lot: a.lot || undefined,
+          expiryDate: a.expiryDate || undefined,
+          unitCost: outTx.unitCost, // costo de origen (estampado al guardar el OUT)
+          reason: 'TRANSFER_IN',
+          refType: 'XFER',
+          refId: outTx._id, // vínculo opcional
+          refCode,
+          createdBy: req.user?.id,
+          witnessedBy,
+        });
+        await inTx.save({ session });
+      }
     });
 
     const afterFrom = await getCurrentStock({ hospitalId: fromId, medicationId: mId });
     const afterTo   = await getCurrentStock({ hospitalId: toId,   medicationId: mId });
+    const trigger = await maybeTriggerReorder({ hospitalId: fromId, medication: med });
 
     return res.status(201).json({
       ok: true,
       message: 'Transferencia registrada',
       data: {
-        from: { before: currentFrom, after: afterFrom },
-        to:   { after: afterTo }
+        from: { before: currentFrom, after: afterFrom, triggerReorder: trigger.created },
+        to:   { after: afterTo },
+        allocation
       }
     });
   } catch (err) {
@@ -399,71 +440,36 @@ exports.transferBetweenHospitals = async (req, res, next) => {
    ========================= */
 /**
  * POST /api/inventory-transactions/writeoff-expired
- * body: { hospital, cutoffDate, medication? }
+ * body: { hospital, cutoffDate, medication?, witness?: { email, password } }
  * Busca lotes con expiración <= cutoffDate y stock > 0 y genera OUT por esa cantidad.
+ * Los medicamentos controlados solo se dan de baja si viene witness (segunda firma).
  */
 exports.writeOffExpired = async (req, res, next) => {
-  const session = await mongoose.startSession();
   try {
     const { hospital, cutoffDate, medication } = req.body;
     if (!hospital || !cutoffDate) {
       return res.status(400).json({ ok: false, message: 'hospital y cutoffDate son requeridos' });
     }
-    const hId = new mongoose.Types.ObjectId(hospital);
-    const cutoff = new Date(cutoffDate);
 
-    const match = { hospital: hId, expiryDate: { $ne: null, $lte: cutoff } };
-    if (medication) match.medication = new mongoose.Types.ObjectId(medication);
-
-    // Agrupa por med+lot+expiry para hallar stock por lote
-    const lots = await InventoryTransaction.aggregate([
-      { $match: match },
-      {
-        $group: {
-          _id: { medication: '$medication', lot: '$lot', expiryDate: '$expiryDate' },
-          stock: { $sum: signedQtyExpr }
-        }
-      },
-      { $match: { stock: { $gt: 0 } } }
-    ]);
+    // Con testigo también se dan de baja los controlados; sin él se omiten
+    const witnessedBy = req.body.witness
+      ? await verifyWitness({ witness: req.body.witness, userId: req.user?.id, hospitalId: hospital })
+      : undefined;
+
+    const lots = await writeOffExpiredLots({
+      hospitalId: hospital,
+      cutoff: new Date(cutoffDate),
+      medicationId: medication,
+      userId: req.user?.id,
+      witnessedBy,
+    });
 
     if (!lots.length) {
       return res.json({ ok: true, message: 'No hay lotes vencidos con stock positivo', data: [] });
     }
-
-    await session.withTransaction(async () => {
-      for (const l of lots) {
-        const mId = l._id.medication;
-        const medDoc = await Medication.findById(mId).session(session);
-        if (!medDoc) continue;
-
-        // Validar safety en total (baja por caducidad no debe dejar por debajo del safety)
-        const totalCurrent = await getCurrentStock({ hospitalId: hId, medicationId: mId });
-        const projected = totalCurrent - l.stock;
-        await assertSafetyStock({ hospitalId: hId, medication: medDoc, projected });
-
-        const tx = new InventoryTransaction({
-          hospital: hId,
-          medication: mId,
-          type: 'OUT',
-          qty: l.stock,
-          uom: medDoc.uom || 'unit',
-          lot: l._id.lot || undefined,
-          expiryDate: l._id.expiryDate || undefined,
-          reason: 'WRITE_OFF',
-          refType: 'OTHER',
-          notes: 'Write-off por caducidad',
-          createdBy: req.user?.id
-        });
-        await tx.save({ session });
-      }
-    });
-
     return res.status(201).json({ ok: true, message: 'Bajas por caducidad registradas', data: lots });
   } catch (err) {
     next(err);
-  } finally {
-    session.endSession();
   }
 };
 
@@ -472,12 +478,14 @@ exports.writeOffExpired = async (req, res, next) => {
    ========================= */
 /**
  * GET /api/inventory-transactions/kardex
- * query: hospital, medication, dateFrom?, dateTo?
+ * query: hospital, medication, location?, groupBy?(location), dateFrom?, dateTo?
  * Devuelve movimientos con columna de saldo acumulado (requiere MongoDB 5+: $setWindowFields)
+ * Cada fila incluye reversalStatus (POSTED | REVERSED | REVERSAL) y reversalPair (id del otro lado).
+ * groupBy=location: el saldo acumulado se calcula por ubicación (filas ordenadas por ubicación y fecha).
  */
 exports.kardexByMedication = async (req, res, next) => {
   try {
-    const { hospital, medication, dateFrom, dateTo } = req.query;
+    const { hospital, medication, location, groupBy, dateFrom, dateTo } = req.query;
     if (!hospital || !medication) {
       return res.status(400).json({ ok: false, message: 'hospital y medication son requeridos' });
     }
@@ -486,22 +494,36 @@ exports.kardexByMedication = async (req, res, next) => {
       hospital: new mongoose.Types.ObjectId(hospital),
       medication: new mongoose.Types.ObjectId(medication),
     };
+    if (location) match.location = await locationFilter(location);
+    if (groupBy && groupBy !== 'location') {
+      return res.status(400).json({ ok: false, message: 'groupBy inválido (solo location)' });
+    }
     if (dateFrom || dateTo) {
-      match.createdAt = {};
-      if (dateFrom) match.createdAt.$gte = new Date(dateFrom);
-      if (dateTo)   match.createdAt.$lte = new Date(dateTo);
+      match.createdAt = await dateRangeFilter({ hospitalId: hospital, dateFrom, dateTo });
     }
 
+    const byLocation = groupBy === 'location';
+    const sortBy = byLocation ? { location: 1, createdAt: 1, _id: 1 } : { createdAt: 1, _id: 1 };
+
     const rows = await InventoryTransaction.aggregate([
       { $match: match },
-      { $sort: { createdAt: 1, _id: 1 } },
+      { $sort: sortBy },
       {
         $set: {
-          signedQty: signedQtyExpr
+          signedQty: signedQtyExpr,
+          // Pares de anulación: cada lado apunta al otro
+          reversalStatus: {
+            $cond: [
+              { $ifNull: ['$reversalOf', false] }, 'REVERSAL',
+              { $cond: [{ $ifNull: ['$reversedBy', false] }, 'REVERSED', 'POSTED'] }
+            ]
+          },
+          reversalPair: { $ifNull: ['$reversalOf', '$reversedBy'] }
         }
       },
       {
         $setWindowFields: {
+          ...(byLocation ? { partitionBy: '$location' } : {}),
           sortBy: { createdAt: 1, _id: 1 },
           output: {
             runningBalance: {
@@ -518,3 +540,211 @@ exports.kardexByMedication = async (req, res, next) => {
     next(err);
   }
 };
+
+/* =========================
+   9) voidTransaction (anulación)
+   ========================= */
+/**
+ * POST /api/inventory-transactions/:id/void
+ * body: { reason? }
+ * Crea un movimiento en sentido contrario que referencia al original (reversalOf) y marca el original (reversedBy).
+ * Rechaza: anular dos veces, anular un reverso, transferencias, y reversos que rompan safetyStock o dejen el lote negativo.
+ * Surtidos (refType ISSUE): el lote sale del surtido de la orden y su línea vuelve a quedar pendiente.
+ * Recepciones de OC (refType PO): el estado de la PO se recalcula (RECEIVED -> SENT si queda pendiente).
+ * El reverso lleva el unitCost del original (sale o regresa al mismo costo con que entró o salió).
+ * Medicamento controlado: requiere witness: { email, password } (segunda firma, admin/manager).
+ */
+exports.voidTransaction = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const { reason } = req.body;
+
+    const original = await InventoryTransaction.findById(req.params.id);
+    if (!original) return res.status(404).json({ ok: false, message: 'Transaction not found' });
+    if (original.isReversed()) {
+      return res.status(409).json({ ok: false, message: 'La transacción ya fue anulada' });
+    }
+    if (original.isReversal()) {
+      return res.status(409).json({ ok: false, message: 'No se puede anular un reverso' });
+    }
+    if (original.refType === 'XFER') {
+      return res.status(409).json({ ok: false, message: 'Las transferencias no se anulan por movimiento individual' });
+    }
+
+    const med = await Medication.findById(original.medication);
+    if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+
+    // Controlados: segunda firma obligatoria
+    const witnessedBy = med.isControlled
+      ? await verifyWitness({ witness: req.body.witness, userId: req.user?.id, hospitalId: original.hospital })
+      : undefined;
+
+    const reverseSigned = -original.getSignedQty();
+    const current = await getCurrentStock({ hospitalId: original.hospital, medicationId: original.medication });
+    const projected = current + reverseSigned;
+
+    let reversal;
+    await session.withTransaction(async () => {
+      // El reverso resta stock: validar safety y saldo del lote
+      if (reverseSigned < 0) {
+        await assertSafetyStock({ hospitalId: original.hospital, medication: med, projected });
+
+        // Saldo exacto de la fila (hospital+med+ubicación+lote+caducidad) del original
+        const row = await StockBalance.findOne(StockBalance.keyOf(original)).session(session).lean();
+        const lotStock = row ? row.qty : 0;
+        if (lotStock + reverseSigned < -EPSILON) {
+          const err = new Error(`El reverso dejaría el lote ${original.lot || 's/lote'} en negativo (${lotStock + reverseSigned})`);
+          err.statusCode = 409;
+          throw err;
+        }
+      }
+
+      // Marcar original de forma condicional (evita doble anulación concurrente)
+      const reversalId = new mongoose.Types.ObjectId();
+      const marked = await InventoryTransaction.updateOne(
+        { _id: original._id, reversedBy: null },
+        { $set: { reversedBy: reversalId, reversedAt: new Date(), updatedBy: req.user?.id } },
+        { session }
+      );
+      if (marked.modifiedCount !== 1) {
+        const err = new Error('La transacción ya fue anulada');
+        err.statusCode = 409;
+        throw err;
+      }
+
+      const type = original.type === 'ADJUST' ? 'ADJUST' : (original.type === 'IN' ? 'OUT' : 'IN');
+      reversal = new InventoryTransaction({
+        _id: reversalId,
+        hospital: original.hospital,
+        medication: original.medication,
+        type,
+        adjustSign: original.type === 'ADJUST' ? (original.adjustSign === 'IN' ? 'OUT' : 'IN') : undefined,
+        qty: original.qty,
+        uom: original.uom,
+        enteredQty: original.enteredQty,
+        enteredUom: original.enteredUom,
+        location: original.location || undefined,
+        lot: original.lot || undefined,
+        expiryDate: original.expiryDate || undefined,
+        // Mismo costo que el original: una salida regresa al costo con que salió y una entrada sale al costo con que entró
+        unitCost: original.unitCost,
+        reason: original.reason, // misma razón para que los reportes por razón netéen
+        refType: original.refType,
+        refId: original.refId,
+        refCode: original.refCode,
+        reversalOf: original._id,
+        notes: `Reverso de ${original._id}${reason ? `: ${reason}` : ''}`,
+        createdBy: req.user?.id,
+        witnessedBy,
+      });
+      await reversal.save({ session });
+
+      // Surtido anulado: la orden deja de contarlo como surtido
+      if (original.refType === 'ISSUE' && original.refId) {
+        const order = await DispenseOrder.findById(original.refId).session(session);
+        if (order?.removeDispensedTx(original._id)) await order.save({ session });
+      }
+
+      // Recepción anulada: la PO vuelve a tener pendiente
+      if (original.refType === 'PO' && original.refId) {
+        const po = await PurchaseOrder.findById(original.refId).session(session);
+        if (po) await syncReceiptStatus({ po, userId: req.user?.id, session });
+      }
+    });
+
+    const after = await getCurrentStock({ hospitalId: original.hospital, medicationId: original.medication });
+    return res.status(201).json({
+      ok: true,
+      message: 'Transacción anulada',
+      data: { original: original._id, reversal, before: current, after }
+    });
+  } catch (err) {
+    next(err);
+  } finally {
+    session.endSession();
+  }
+};
+
+/* =========================
+   10) moveBetweenLocations (movimiento interno)
+   ========================= */
+/**
+ * POST /api/inventory-transactions/move
+ * body: { hospital, medication, qty, uom?, fromLocation?, toLocation, lot?, expiryDate?, refCode?, notes? }
+ * Mueve stock entre ubicaciones del mismo hospital: un par OUT/IN (reason LOCATION_MOVE) por lote asignado (FEFO).
+ * fromLocation omitido = stock sin ubicación asignada. No cambia el total del hospital ni su valuación.
+ * Si toLocation está dentro de fromLocation (ej. de un almacén a uno de sus anaqueles) no toma el stock que
+ * ya está en toLocation o su subárbol.
+ * Medicamento controlado: requiere witness: { email, password } (segunda firma, admin/manager).
+ */
+exports.moveBetweenLocations = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const {
+      hospital, medication, qty, uom, fromLocation = null, toLocation, lot, expiryDate, refCode, notes
+    } = req.body;
+
+    if (!hospital || !medication || !qty || !toLocation) {
+      return res.status(400).json({ ok: false, message: 'hospital, medication, qty y toLocation son requeridos' });
+    }
+    if (fromLocation && String(fromLocation) === String(toLocation)) {
+      return res.status(400).json({ ok: false, message: 'fromLocation y toLocation no pueden ser iguales' });
+    }
+
+    const med = await Medication.findById(medication);
+    if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+    const conv = toBaseQty(med, qty, uom);
+
+    // Controlados: segunda firma obligatoria
+    const witnessedBy = med.isControlled
+      ? await verifyWitness({ witness: req.body.witness, userId: req.user?.id, hospitalId: hospital })
+      : undefined;
+
+    const hId = new mongoose.Types.ObjectId(hospital);
+    const mId = new mongoose.Types.ObjectId(medication);
+
+    const fromSubtree = fromLocation ? await Location.subtreeIds(fromLocation) : [];
+    const excludeLocation = fromSubtree.some(id => String(id) === String(toLocation)) ? toLocation : undefined;
+
+    let allocation = [];
+    await session.withTransaction(async () => {
+      // Un lote retenido sí se puede mover (ej. al área de cuarentena)
+      allocation = await allocateFEFO({
+        hospitalId: hId, medicationId: mId, qty: conv.qty, location: fromLocation, lot, expiryDate,
+        excludeLocation, allowBlocked: true, session
+      });
+
+      for (const a of allocation) {
+        const base = {
+          hospital: hId,
+          medication: mId,
+          ...txQtyFields(conv, a.qty),
+          lot: a.lot || undefined,
+          expiryDate: a.expiryDate || undefined,
+          reason: 'LOCATION_MOVE',
+          refType: 'XFER',
+          refCode,
+          notes,
+          createdBy: req.user?.id,
+          witnessedBy,
+        };
+
+        const outTx = new InventoryTransaction({ ...base, type: 'OUT', location: a.location || undefined });
+        await outTx.save({ session });
+
+        const inTx = new InventoryTransaction({ ...base, type: 'IN', location: toLocation, refId: outTx._id });
+        await inTx.save({ session });
+      }
+    });
+
+    return res.status(201).json({
+      ok: true,
+      message: 'Movimiento entre ubicaciones registrado',
+      data: { fromLocation, toLocation, allocation }
+    });
+  } catch (err) {
+    next(err);
+  } finally {
+    session.endSession();
+  }
+};
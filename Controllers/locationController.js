@@ -0,0 +1,205 @@
+// Controllers/locationController.js
+const mongoose = require('mongoose');
+const Location = require('../Models/Location');
+const StockBalance = require('../Models/StockBalance');
+const Medication = require('../Models/Medication');
+const { EPSILON, getStockByLocation } = require('../Utils/stockLedger');
+
+/* =========================
+   1) createLocation
+   ========================= */
+/**
+ * POST /api/locations
+ * body: { hospital, code, name, type?, parent?, notes? }
+ * El padre (si viene) debe ser del mismo hospital; los ancestros se calculan en el modelo.
+ */
+exports.createLocation = async (req, res, next) => {
+  try {
+    const { hospital, code, name, type, parent, notes } = req.body;
+    if (!hospital || !code || !name) {
+      return res.status(400).json({ ok: false, message: 'hospital, code y name son requeridos' });
+    }
+
+    const exists = await Location.findOne({ hospital, code: String(code).toUpperCase().trim() });
+    if (exists) {
+      return res.status(409).json({ ok: false, message: 'Código de ubicación ya registrado en el hospital' });
+    }
+
+    const doc = await Location.create({
+      hospital,
+      code,
+      name,
+      type,
+      parent: parent || null,
+      notes,
+      createdBy: req.user?.id,
+    });
+
+    return res.status(201).json({ ok: true, data: doc });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) listLocations
+   ========================= */
+/**
+ * GET /api/locations
+ * Filtros: hospital (requerido), parent ('root' = solo raíces), type, active(true|false), q (código o nombre)
+ * Ordenadas por profundidad y código (las raíces primero).
+ */
+exports.listLocations = async (req, res, next) => {
+  try {
+    const { hospital, parent, type, active, q } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const filter = { hospital: new mongoose.Types.ObjectId(hospital) };
+    if (parent === 'root') filter.parent = null;
+    else if (parent) filter.parent = new mongoose.Types.ObjectId(parent);
+    if (type) filter.type = type;
+    if (typeof active === 'string') filter.isActive = active.toLowerCase() === 'true';
+    if (q) filter.$or = [{ code: new RegExp(q, 'i') }, { name: new RegExp(q, 'i') }];
+
+    const rows = await Location.find(filter).lean();
+    rows.sort((a, b) =>
+      (a.ancestors?.length || 0) - (b.ancestors?.length || 0) || a.code.localeCompare(b.code)
+    );
+
+    return res.json({ ok: true, data: rows });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) getLocation
+   ========================= */
+/**
+ * GET /api/locations/:id
+ * Detalle con ruta de ancestros e hijos directos.
+ */
+exports.getLocation = async (req, res, next) => {
+  try {
+    const doc = await Location.findById(req.params.id)
+      .populate('ancestors', 'code name type')
+      .lean();
+    if (!doc) return res.status(404).json({ ok: false, message: 'Ubicación no encontrada' });
+
+    const children = await Location.find({ parent: doc._id }, 'code name type isActive').sort({ code: 1 }).lean();
+    return res.json({ ok: true, data: { ...doc, children } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4) updateLocation
+   ========================= */
+/**
+ * PATCH /api/locations/:id
+ * body: { name?, type?, parent?, isActive?, notes? }
+ * - Cambiar parent re-calcula los ancestros de la ubicación y de todo su subárbol.
+ * - No se puede desactivar una ubicación (o subárbol) que aún tiene stock.
+ */
+exports.updateLocation = async (req, res, next) => {
+  try {
+    const doc = await Location.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, message: 'Ubicación no encontrada' });
+
+    const { name, type, parent, isActive, notes } = req.body;
+
+    if (isActive === false && doc.isActive) {
+      const ids = await Location.subtreeIds(doc._id);
+      const withStock = await StockBalance.exists({ location: { $in: ids }, qty: { $gt: EPSILON } });
+      if (withStock) {
+        return res.status(409).json({ ok: false, message: 'No se puede desactivar: la ubicación aún tiene stock' });
+      }
+    }
+
+    if (name !== undefined) doc.name = name;
+    if (type !== undefined) doc.type = type;
+    if (notes !== undefined) doc.notes = notes;
+    if (isActive !== undefined) doc.isActive = !!isActive;
+    if (parent !== undefined) doc.parent = parent || null;
+    doc.updatedBy = req.user?.id;
+
+    const reparented = doc.isModified('parent');
+    await doc.save();
+
+    // Re-enlazar descendientes: ancestros nuevos del nodo + el tramo por debajo de él
+    if (reparented) {
+      const prefix = [...doc.ancestors, doc._id];
+      const descendants = await Location.find({ ancestors: doc._id }, 'ancestors').lean();
+      if (descendants.length) {
+        await Location.bulkWrite(descendants.map(d => {
+          const idx = d.ancestors.findIndex(a => String(a) === String(doc._id));
+          return {
+            updateOne: {
+              filter: { _id: d._id },
+              update: { $set: { ancestors: [...prefix, ...d.ancestors.slice(idx + 1)] } },
+            },
+          };
+        }));
+      }
+    }
+
+    return res.json({ ok: true, data: doc });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   5) getLocationStock
+   ========================= */
+/**
+ * GET /api/locations/:id/stock
+ * query: medication?
+ * Stock por ubicación (la indicada y su subárbol) y medicamento.
+ */
+exports.getLocationStock = async (req, res, next) => {
+  try {
+    const loc = await Location.findById(req.params.id, 'hospital code name').lean();
+    if (!loc) return res.status(404).json({ ok: false, message: 'Ubicación no encontrada' });
+
+    const rows = await getStockByLocation({
+      hospitalId: loc.hospital,
+      medicationId: req.query.medication,
+      location: loc._id,
+    });
+
+    const [locs, meds] = await Promise.all([
+      Location.find({ _id: { $in: rows.map(r => r.location) } }, 'code name type').lean(),
+      Medication.find({ _id: { $in: rows.map(r => r.medication) } }, 'name code uom').lean(),
+    ]);
+    const locMap = new Map(locs.map(l => [String(l._id), l]));
+    const medMap = new Map(meds.map(m => [String(m._id), m]));
+
+    const data = rows
+      .map(r => {
+        const l = locMap.get(String(r.location)) || {};
+        const m = medMap.get(String(r.medication)) || {};
+        return {
+          location: r.location,
+          locationCode: l.code,
+          locationName: l.name,
+          medication: r.medication,
+          medicationName: m.name,
+          medicationCode: m.code,
+          uom: m.uom,
+          stock: r.stock,
+        };
+      })
+      .sort((a, b) =>
+        String(a.locationCode || '').localeCompare(String(b.locationCode || '')) ||
+        String(a.medicationName || '').localeCompare(String(b.medicationName || ''))
+      );
+
+    return res.json({ ok: true, data, meta: { location: loc } });
+  } catch (err) {
+    next(err);
+  }
+};
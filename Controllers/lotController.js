@@ -0,0 +1,185 @@
+// Controllers/lotController.js
+const mongoose = require('mongoose');
+const LotStatus = require('../Models/LotStatus');
+const Medication = require('../Models/Medication');
+const Hospital = require('../Models/Hospital');
+const { setLotStatus, buildLotTrace, recallLot } = require('../Utils/lotStatus');
+
+const LOT_STATUSES = LotStatus.schema.path('status').enumValues;
+
+/* =========================
+   1) listLotStatuses
+   ========================= */
+/**
+ * GET /api/lots
+ * Filtros: medication, lot, hospital ('global' = solo registros globales), status
+ * Paginación: page, limit
+ */
+exports.listLotStatuses = async (req, res, next) => {
+  try {
+    const { medication, lot, hospital, status, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (medication) filter.medication = new mongoose.Types.ObjectId(medication);
+    if (lot)        filter.lot = lot;
+    if (status)     filter.status = status;
+    if (hospital === 'global') filter.hospital = null;
+    else if (hospital) filter.hospital = new mongoose.Types.ObjectId(hospital);
+
+    const pg = Math.max(parseInt(page, 10) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pg - 1) * lim;
+
+    const [rows, total] = await Promise.all([
+      LotStatus.find(filter, '-history')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(lim)
+        .populate('medication', 'name code')
+        .populate('hospital', 'name code')
+        .lean(),
+      LotStatus.countDocuments(filter),
+    ]);
+
+    return res.json({
+      ok: true,
+      data: rows,
+      meta: { page: pg, limit: lim, total, pages: Math.ceil(total / lim) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) getEffectiveStatus
+   ========================= */
+/**
+ * GET /api/lots/status
+ * query: medication, lot, hospital?
+ * Estado efectivo del lote (registro del hospital, si no el global, si no AVAILABLE) con su historial.
+ * Un retiro global (RECALLED) prevalece sobre el registro del hospital.
+ */
+exports.getEffectiveStatus = async (req, res, next) => {
+  try {
+    const { medication, lot, hospital } = req.query;
+    if (!medication || !lot) {
+      return res.status(400).json({ ok: false, message: 'medication y lot son requeridos' });
+    }
+
+    const rows = await LotStatus.find({
+      medication,
+      lot,
+      hospital: { $in: hospital ? [hospital, null] : [null] },
+    }).lean();
+    const own = rows.find(r => r.hospital);
+    const global = rows.find(r => !r.hospital);
+    const globalRecall = global?.status === 'RECALLED';
+    const effective = globalRecall ? global : own || global || null;
+
+    return res.json({
+      ok: true,
+      data: {
+        medication,
+        lot,
+        hospital: hospital || null,
+        status: effective?.status || 'AVAILABLE',
+        source: own && !globalRecall ? 'hospital' : global ? 'global' : 'default',
+        reason: effective?.reason || null,
+        recall: effective?.recall || null,
+        history: effective?.history || [],
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) updateLotStatus
+   ========================= */
+/**
+ * PATCH /api/lots/status
+ * body: { medication, lot, hospital? (omitido = global), status, reason? }
+ * Retiene (QUARANTINE), rechaza (REJECTED) o libera (AVAILABLE) un lote. Los lotes bloqueados
+ * no salen por consumo ni transferencia; sí por devolución a proveedor, baja o ajuste.
+ */
+exports.updateLotStatus = async (req, res, next) => {
+  try {
+    const { medication, lot, hospital, status, reason } = req.body;
+    if (!medication || !lot || !status) {
+      return res.status(400).json({ ok: false, message: 'medication, lot y status son requeridos' });
+    }
+    if (!LOT_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, message: `status inválido (${LOT_STATUSES.join(', ')})` });
+    }
+    if (status === 'RECALLED') {
+      return res.status(400).json({ ok: false, message: 'Para retirar un lote usa POST /api/lots/recall' });
+    }
+
+    const med = await Medication.exists({ _id: medication });
+    if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+    if (hospital) {
+      const h = await Hospital.exists({ _id: hospital });
+      if (!h) return res.status(404).json({ ok: false, message: 'Hospital not found' });
+    }
+
+    const doc = await setLotStatus({
+      medication, lot, hospital: hospital || null, status, reason, userId: req.user?.id
+    });
+    return res.json({ ok: true, data: doc });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4) recall
+   ========================= */
+/**
+ * POST /api/lots/recall
+ * body: { medication, lot, reason, reference?, authority? ('COFEPRIS', 'Fabricante', ...) }
+ * Bloquea el lote en todos los hospitales (RECALLED global y por hospital con stock o en tránsito),
+ * notifica LOT_RECALL con prioridad crítica y devuelve la trazabilidad del lote.
+ */
+exports.recall = async (req, res, next) => {
+  try {
+    const { medication, lot, reason, reference, authority } = req.body;
+    if (!medication || !lot || !reason) {
+      return res.status(400).json({ ok: false, message: 'medication, lot y reason son requeridos' });
+    }
+
+    const result = await recallLot({
+      medicationId: medication, lot, reason, reference, authority, userId: req.user?.id
+    });
+    return res.status(201).json({
+      ok: true,
+      message: `Lote ${lot} retirado; ${result.notifiedHospitals} hospital(es) notificado(s)`,
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   5) trace
+   ========================= */
+/**
+ * GET /api/lots/trace
+ * query: medication, lot
+ * Dónde está el lote hoy, qué va en tránsito y a dónde se recibió, dispensó, transfirió o dio de baja.
+ */
+exports.trace = async (req, res, next) => {
+  try {
+    const { medication, lot } = req.query;
+    if (!medication || !lot) {
+      return res.status(400).json({ ok: false, message: 'medication y lot son requeridos' });
+    }
+
+    const trace = await buildLotTrace({ medicationId: medication, lot });
+    return res.json({ ok: true, data: trace, meta: { medication, lot } });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,116 +1,11 @@
 const mongoose = require('mongoose');
 const Medication = require('../Models/Medication');
 const InventoryTransaction = require('../Models/InventoryTransaction');
-const Notification = require('../Models/Notification');
-const PurchaseOrder = require('../Models/PurchaseOrder');
-const Supplier = require('../Models/Supplier');
-
-/* ============ Helpers ============ */
-
-// Expresión para sumar qty con signo en pipelines
-const signedQtyExpr = {
-  $switch: {
-    branches: [
-      { case: { $eq: ['$type', 'IN'] }, then: '$qty' },
-      { case: { $eq: ['$type', 'OUT'] }, then: { $multiply: ['$qty', -1] } },
-      {
-        case: { $and: [{ $eq: ['$type', 'ADJUST'] }, { $eq: ['$adjustSign', 'IN'] }] },
-        then: '$qty'
-      },
-      {
-        case: { $and: [{ $eq: ['$type', 'ADJUST'] }, { $eq: ['$adjustSign', 'OUT'] }] },
-        then: { $multiply: ['$qty', -1] }
-      }
-    ],
-    default: 0
-  }
-};
-
-// Stock actual por hospital/medicamento (y opcionalmente por lote/caducidad)
-async function getCurrentStock({ hospitalId, medicationId, lot, expiryDate }) {
-  const match = {
-    hospital: new mongoose.Types.ObjectId(hospitalId),
-    medication: new mongoose.Types.ObjectId(medicationId),
-  };
-  if (lot) match.lot = lot;
-  if (expiryDate) match.expiryDate = expiryDate;
-
-  const agg = await InventoryTransaction.aggregate([
-    { $match: match },
-    { $group: { _id: null, stock: { $sum: signedQtyExpr } } },
-  ]);
-  return agg[0]?.stock || 0;
-}
-
-// Si cae en punto de reorden: crea notificación y (si hay proveedor) PO DRAFT
-async function maybeTriggerReorder({ hospitalId, medication }) {
-  const stock = await getCurrentStock({ hospitalId, medicationId: medication._id });
-
-  const reorderPoint = medication.policy?.reorderPoint || 0;
-  const avgMonthly = medication.policy?.avgMonthlyConsumption || 0;
-  const daily = avgMonthly > 0 ? avgMonthly / 30 : 0;
-  const daysCoverage = daily ? Math.floor(stock / daily) : null;
-
-  if (stock > reorderPoint) return { created: false };
-
-  // Notificación LOW_STOCK
-  const notif = await Notification.create({
-    hospital: hospitalId,
-    type: 'LOW_STOCK',
-    title: `Stock bajo: ${medication.name}`,
-    message: `Stock ${stock} ≤ Reorden ${reorderPoint}. Considera generar OC.`,
-    medication: medication._id,
-    priority: 'high',
-    meta: {
-      stockQty: stock,
-      reorderPoint,
-      dailyConsumption: daily,
-      daysCoverage,
-    }
-  });
-
-  // PO DRAFT sugerida si hay proveedor preferido
-  let po = null;
-  if (medication.preferredSupplier) {
-    const supplier = await Supplier.findById(medication.preferredSupplier);
-    if (supplier) {
-      const code = `PO-${new Date().toISOString().slice(0,10).replace(/-/g,'')}-${Math.floor(Math.random()*9000+1000)}`;
-      const safety = medication.policy?.safetyStock || 0;
-      const target = safety + (avgMonthly || 0); // safety + 1 ciclo
-      const toBuy = Math.max(0, target - stock);
-
-      if (toBuy > 0) {
-        po = await PurchaseOrder.create({
-          code,
-          hospital: hospitalId,
-          supplier: supplier._id,
-          status: 'DRAFT',
-          currency: supplier.defaultCurrency || 'MXN',
-          taxRate: 0.16,
-          lines: [{
-            medication: medication._id,
-            description: medication.name,
-            qty: toBuy,
-            uom: medication.uom || 'unit',
-            unitPrice: medication.unitPrice || 0,
-            subtotal: (medication.unitPrice || 0) * toBuy
-          }]
-        });
-        await Notification.create({
-          hospital: hospitalId,
-          type: 'ORDER_STATUS',
-          title: `PO sugerida: ${code}`,
-          message: `Borrador de OC por ${toBuy} de ${medication.name}.`,
-          purchaseOrder: po._id,
-          priority: 'medium',
-          meta: { poCode: code }
-        });
-      }
-    }
-  }
-
-  return { created: true, notificationId: notif._id, purchaseOrderId: po?._id || null };
-}
+const { getCurrentStock, allocateFEFO, assertSafetyStock } = require('../Utils/stockLedger');
+const { maybeTriggerReorder } = require('../Utils/replenishment');
+const { classifiedMedicationIds } = require('../Utils/classification');
+const { verifyWitness } = require('../Utils/controlled');
+const { toBaseQty, txQtyFields } = require('../Utils/uom');
 
 /* ============ Controllers ============ */
 
@@ -126,6 +21,7 @@ exports.createMedication = async (req, res, next) => {
       packSize: req.body.packSize,
       unitPrice: req.body.unitPrice,
       barcodes: req.body.barcodes,
+      conversions: req.body.conversions,
       atcCode: req.body.atcCode,
       sku: req.body.sku,
       preferredSupplier: req.body.preferredSupplier,
@@ -142,9 +38,10 @@ exports.createMedication = async (req, res, next) => {
 };
 
 // GET /api/medications?q=parac
+// Filtros opcionales por clasificación del hospital: ?hospital=&abc=A,B&xyz=X
 exports.listMedications = async (req, res, next) => {
   try {
-    const { q } = req.query;
+    const { q, hospital, abc, xyz } = req.query;
     const filter = q
       ? { $or: [
           { name: new RegExp(q, 'i') },
@@ -152,6 +49,8 @@ exports.listMedications = async (req, res, next) => {
           { strength: new RegExp(q, 'i') }
         ] }
       : {};
+    const classified = await classifiedMedicationIds({ hospitalId: hospital, abc, xyz });
+    if (classified) filter._id = { $in: classified };
     const meds = await Medication.find(filter).sort({ name: 1 });
     res.json({ ok: true, data: meds });
   } catch (err) {
@@ -231,16 +130,18 @@ exports.searchMedicationByName = async (req, res, next) => {
 
 /**
  * POST /api/medications/:id/stock
- * body: { hospitalId, action?: 'increment'|'decrement'|'set', qty, lot?, expiryDate?, reason?, unitCost? }
- * - Crea transacciones de inventario.
+ * body: { hospitalId, action?: 'increment'|'decrement'|'set', qty, uom?, location?, lot?, expiryDate?, reason?, unitCost? }
+ * - qty (y unitCost) en `uom` (default: unidad base); se convierten a la unidad base del medicamento.
+ * - Crea transacciones de inventario (las bajas se asignan a lotes por FEFO).
  * - Trigger de reorden si cae a <= reorderPoint.
  * - Regla de safetyStock: BLOQUEA operaciones cuyo stock proyectado quede < safetyStock.
+ * - Medicamento controlado: requiere witness: { email, password } (segunda firma).
  */
 exports.updateStock = async (req, res, next) => {
   const session = await mongoose.startSession();
   try {
     const { id } = req.params;
-    const { hospitalId, action = 'increment', qty, lot, expiryDate, reason, unitCost } = req.body;
+    const { hospitalId, action = 'increment', qty, uom, location, lot, expiryDate, reason, unitCost } = req.body;
 
     if (!hospitalId || qty == null) {
       return res.status(400).json({ ok: false, message: 'hospitalId y qty son requeridos' });
@@ -248,17 +149,23 @@ exports.updateStock = async (req, res, next) => {
 
     const med = await Medication.findById(id);
     if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+    const conv = toBaseQty(med, qty, uom);
+
+    // Controlados: segunda firma obligatoria (todo cambio aquí es un ADJUST)
+    const witnessedBy = med.isControlled
+      ? await verifyWitness({ witness: req.body.witness, userId: req.user?.id, hospitalId })
+      : undefined;
 
     const hId = new mongoose.Types.ObjectId(hospitalId);
     const mId = new mongoose.Types.ObjectId(id);
 
     // Stock actual y proyección
-    const current = await getCurrentStock({ hospitalId: hId, medicationId: mId, lot, expiryDate });
+    const current = await getCurrentStock({ hospitalId: hId, medicationId: mId, location, lot, expiryDate });
 
     let delta = 0;
-    if (action === 'increment') delta = Number(qty);
-    else if (action === 'decrement') delta = -Number(qty);
-    else if (action === 'set') delta = Number(qty) - current;
+    if (action === 'increment') delta = conv.qty;
+    else if (action === 'decrement') delta = -conv.qty;
+    else if (action === 'set') delta = conv.qty - current;
     else return res.status(400).json({ ok: false, message: 'action inválida' });
 
     if (delta === 0) {
@@ -268,32 +175,34 @@ exports.updateStock = async (req, res, next) => {
     const projected = current + delta;
 
     // === Regla de safety stock (bloquea si projected < safetyStock) ===
-    const safety = med.policy?.safetyStock || 0;
-    if (safety > 0 && projected < safety) {
-      return res.status(409).json({
-        ok: false,
-        message: `Operación bloqueada: el stock proyectado (${projected}) quedaría por debajo del safetyStock (${safety}).`
-      });
-    }
+    await assertSafetyStock({ hospitalId: hId, medication: med, projected });
 
-    // Transacción (ACID)
+    // Transacción (ACID); las bajas se reparten por FEFO
+    let allocation = [];
     await session.withTransaction(async () => {
-      const tx = new InventoryTransaction({
-        hospital: hId,
-        medication: mId,
-        type: 'ADJUST',
-        adjustSign: delta > 0 ? 'IN' : 'OUT',
-        qty: Math.abs(delta),
-        uom: med.uom || 'unit',
-        lot: lot || undefined,
-        expiryDate: expiryDate || undefined,
-        unitCost: unitCost ?? med.unitPrice ?? 0,
-        reason: delta > 0 ? 'ADJUST_POS' : 'ADJUST_NEG',
-        refType: 'ADJ',
-        notes: reason || undefined,
-        createdBy: req.user?.id
-      });
-      await tx.save({ session });
+      allocation = delta < 0
+        ? await allocateFEFO({ hospitalId: hId, medicationId: mId, qty: Math.abs(delta), location, lot, expiryDate, allowBlocked: true, session })
+        : [{ location: location || null, lot: lot || null, expiryDate: expiryDate || null, qty: delta }];
+
+      for (const a of allocation) {
+        const tx = new InventoryTransaction({
+          hospital: hId,
+          medication: mId,
+          type: 'ADJUST',
+          adjustSign: delta > 0 ? 'IN' : 'OUT',
+          ...txQtyFields(conv, a.qty),
+          location: a.location || undefined,
+          lot: a.lot || undefined,
+          expiryDate: a.expiryDate || undefined,
+          unitCost: unitCost != null ? unitCost / conv.factor : (med.unitPrice ?? 0),
+          reason: delta > 0 ? 'ADJUST_POS' : 'ADJUST_NEG',
+          refType: 'ADJ',
+          notes: reason || undefined,
+          createdBy: req.user?.id,
+          witnessedBy
+        });
+        await tx.save({ session });
+      }
     });
 
     // Recalcular y disparar reorder si aplica
@@ -306,6 +215,7 @@ exports.updateStock = async (req, res, next) => {
       data: {
         before: current,
         after,
+        allocation,
         triggerReorder: trigger.created,
         notificationId: trigger.notificationId || null,
         purchaseOrderId: trigger.purchaseOrderId || null
@@ -317,3 +227,29 @@ exports.updateStock = async (req, res, next) => {
     session.endSession();
   }
 };
+
+/**
+ * PUT /api/medications/:id/conversions
+ * body: { conversions: [{ uom, factor, barcode? }] }
+ * Reemplaza las unidades alternas del medicamento (factor = unidades base por 1 uom, ej. box = 20).
+ * Solo afecta capturas futuras: el ledger ya está en la unidad base.
+ */
+exports.setConversions = async (req, res, next) => {
+  try {
+    const { conversions } = req.body;
+    if (!Array.isArray(conversions)) {
+      return res.status(400).json({ ok: false, message: 'conversions debe ser un arreglo [{ uom, factor }]' });
+    }
+
+    const med = await Medication.findById(req.params.id);
+    if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+
+    med.conversions = conversions.map(c => ({ uom: c.uom, factor: Number(c.factor), barcode: c.barcode || undefined }));
+    med.updatedBy = req.user?.id;
+    await med.save();
+
+    return res.json({ ok: true, data: { uom: med.uom, packSize: med.packSize, conversions: med.conversions } });
+  } catch (err) {
+    next(err);
+  }
+};
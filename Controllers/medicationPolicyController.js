@@ -0,0 +1,195 @@
+// Controllers/medicationPolicyController.js
+const mongoose = require('mongoose');
+const HospitalMedicationPolicy = require('../Models/HospitalMedicationPolicy');
+const Medication = require('../Models/Medication');
+const Location = require('../Models/Location');
+const { POLICY_FIELDS, resolvePolicy } = require('../Utils/medicationPolicy');
+
+/* =========================
+   Helpers
+   ========================= */
+
+// Toma solo los campos de política del body; '' o null = heredar (se guarda null)
+function pickPolicyFields(body) {
+  const out = {};
+  for (const f of POLICY_FIELDS) {
+    if (body[f] === undefined) continue;
+    out[f] = body[f] === null || body[f] === '' ? null : Number(body[f]);
+  }
+  return out;
+}
+
+/* =========================
+   1) createPolicy
+   ========================= */
+/**
+ * POST /api/medication-policies
+ * body: { hospital, medication, location?, reorderPoint?, safetyStock?, avgMonthlyConsumption?, notes? }
+ * Campos omitidos heredan de la política del hospital (si es por ubicación) o de Medication.policy.
+ */
+exports.createPolicy = async (req, res, next) => {
+  try {
+    const { hospital, medication, location, notes } = req.body;
+    if (!hospital || !medication) {
+      return res.status(400).json({ ok: false, message: 'hospital y medication son requeridos' });
+    }
+
+    const med = await Medication.exists({ _id: medication });
+    if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+
+    if (location) {
+      const loc = await Location.findById(location, 'hospital').lean();
+      if (!loc || String(loc.hospital) !== String(hospital)) {
+        return res.status(400).json({ ok: false, message: 'location no pertenece al hospital' });
+      }
+    }
+
+    const exists = await HospitalMedicationPolicy.exists({ hospital, medication, location: location || null });
+    if (exists) {
+      return res.status(409).json({ ok: false, message: 'Ya existe una política para este hospital/medicamento/ubicación' });
+    }
+
+    const doc = await HospitalMedicationPolicy.create({
+      hospital,
+      medication,
+      location: location || null,
+      ...pickPolicyFields(req.body),
+      notes,
+      createdBy: req.user?.id,
+    });
+
+    return res.status(201).json({ ok: true, data: doc });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) listPolicies
+   ========================= */
+/**
+ * GET /api/medication-policies
+ * Filtros: hospital, medication, location ('none' = solo nivel hospital)
+ * Paginación: page, limit
+ */
+exports.listPolicies = async (req, res, next) => {
+  try {
+    const { hospital, medication, location, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (hospital)   filter.hospital   = new mongoose.Types.ObjectId(hospital);
+    if (medication) filter.medication = new mongoose.Types.ObjectId(medication);
+    if (location === 'none') filter.location = null;
+    else if (location) filter.location = new mongoose.Types.ObjectId(location);
+
+    const pg = Math.max(parseInt(page, 10) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = (pg - 1) * lim;
+
+    const [rows, total] = await Promise.all([
+      HospitalMedicationPolicy.find(filter)
+        .sort({ hospital: 1, medication: 1, location: 1 })
+        .skip(skip)
+        .limit(lim)
+        .populate('medication', 'name code uom policy')
+        .populate('location', 'code name')
+        .lean(),
+      HospitalMedicationPolicy.countDocuments(filter),
+    ]);
+
+    return res.json({
+      ok: true,
+      data: rows,
+      meta: { page: pg, limit: lim, total, pages: Math.ceil(total / lim) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) getEffectivePolicy
+   ========================= */
+/**
+ * GET /api/medication-policies/effective
+ * query: hospital, medication, location?
+ * Política que aplican las reglas de stock, con el origen de cada campo (location | hospital | medication).
+ */
+exports.getEffectivePolicy = async (req, res, next) => {
+  try {
+    const { hospital, medication, location } = req.query;
+    if (!hospital || !medication) {
+      return res.status(400).json({ ok: false, message: 'hospital y medication son requeridos' });
+    }
+
+    const med = await Medication.findById(medication, 'name code policy').lean();
+    if (!med) return res.status(404).json({ ok: false, message: 'Medication not found' });
+
+    const policy = await resolvePolicy({ hospitalId: hospital, medication: med, location });
+    return res.json({ ok: true, data: policy, meta: { hospital, medication, location: location || null } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4) getPolicyById
+   ========================= */
+/**
+ * GET /api/medication-policies/:id
+ */
+exports.getPolicyById = async (req, res, next) => {
+  try {
+    const doc = await HospitalMedicationPolicy.findById(req.params.id)
+      .populate('medication', 'name code uom policy')
+      .populate('location', 'code name')
+      .lean();
+    if (!doc) return res.status(404).json({ ok: false, message: 'Política no encontrada' });
+    return res.json({ ok: true, data: doc });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   5) updatePolicy
+   ========================= */
+/**
+ * PATCH /api/medication-policies/:id
+ * body: { reorderPoint?, safetyStock?, avgMonthlyConsumption?, notes? } (null = volver a heredar)
+ * hospital, medication y location no cambian; para eso se borra y se crea otra.
+ */
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    const doc = await HospitalMedicationPolicy.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, message: 'Política no encontrada' });
+
+    Object.assign(doc, pickPolicyFields(req.body));
+    if (req.body.notes !== undefined) doc.notes = req.body.notes;
+    // Editada a mano: el pronóstico automático ya no la sobrescribe
+    doc.source = 'MANUAL';
+    doc.updatedBy = req.user?.id;
+    await doc.save();
+
+    return res.json({ ok: true, data: doc });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   6) deletePolicy
+   ========================= */
+/**
+ * DELETE /api/medication-policies/:id
+ * El medicamento vuelve a usar la política del nivel superior.
+ */
+exports.deletePolicy = async (req, res, next) => {
+  try {
+    const deleted = await HospitalMedicationPolicy.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ ok: false, message: 'Política no encontrada' });
+    return res.json({ ok: true, message: 'Política eliminada' });
+  } catch (err) {
+    next(err);
+  }
+};
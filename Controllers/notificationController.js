@@ -1,11 +1,14 @@
 // Controllers/notificationController.js
 const mongoose = require('mongoose');
 const Notification = require('../Models/Notification');
+const { runJob } = require('../Utils/scheduler');
+const { runExpiryScan } = require('../Utils/expiry');
+const { dateRangeFilter } = require('../Utils/dateRange');
 
 // Normaliza filtros comunes
-function buildFilter(query) {
+async function buildFilter(query) {
   const {
-    hospital, type, read, priority, dateFrom, dateTo, medication, purchaseOrder
+    hospital, type, read, priority, dateFrom, dateTo, medication, purchaseOrder, recipientRole
   } = query;
 
   const filter = {};
@@ -14,6 +17,8 @@ function buildFilter(query) {
   if (priority)       filter.priority = priority; // low|medium|high|critical
   if (medication)     filter.medication = new mongoose.Types.ObjectId(medication);
   if (purchaseOrder)  filter.purchaseOrder = new mongoose.Types.ObjectId(purchaseOrder);
+  // recipientRole: las dirigidas a ese rol más las de todo el hospital
+  if (recipientRole)  filter.recipientRole = { $in: [recipientRole, null] };
 
   // read: 'true' | 'false' | undefined
   if (typeof read === 'string') {
@@ -22,9 +27,7 @@ function buildFilter(query) {
   }
 
   if (dateFrom || dateTo) {
-    filter.createdAt = {};
-    if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
-    if (dateTo)   filter.createdAt.$lte = new Date(dateTo);
+    filter.createdAt = await dateRangeFilter({ hospitalId: hospital, dateFrom, dateTo });
   }
 
   return filter;
@@ -32,7 +35,7 @@ function buildFilter(query) {
 
 /**
  * GET /api/notifications
- * Filtros: hospital, type, read(true|false), priority, medication, purchaseOrder, dateFrom, dateTo
+ * Filtros: hospital, type, read(true|false), priority, medication, purchaseOrder, recipientRole, dateFrom, dateTo
  * Paginación: page, limit; Orden: sort (ej. -createdAt)
  * Caso de uso: "ver todas las notificaciones pendientes" -> usar ?read=false&hospital=<id>
  */
@@ -44,7 +47,7 @@ exports.listNotifications = async (req, res, next) => {
     const lim = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200);
     const skip = (pg - 1) * lim;
 
-    const filter = buildFilter(req.query);
+    const filter = await buildFilter(req.query);
 
     // Si no es superuser y tiene hospital asignado, limitamos por alcance
     if (!req.user?.isSuperUser && req.user?.hospital) {
@@ -190,3 +193,39 @@ exports.deleteNotification = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * POST /api/notifications/expiry-scan
+ * body: { hospital?, dryRun? (default true) }
+ * Ejecuta a demanda el escaneo diario de caducidades (Utils/expiry.js).
+ * - dryRun=true: lista las alertas EXPIRY_SOON que se crearían, sin crear nada ni dar de baja.
+ * - dryRun=false: crea las alertas (y la baja automática si el hospital la tiene activa).
+ */
+exports.runExpiryScan = async (req, res, next) => {
+  try {
+    const { hospital } = req.body;
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+
+    let result;
+    const run = await runJob({
+      job: 'expiry-scan',
+      dryRun,
+      trigger: 'MANUAL',
+      params: { hospital: hospital || null },
+      userId: req.user?.id,
+      task: async () => {
+        result = await runExpiryScan({ hospitalId: hospital, dryRun });
+        return result;
+      },
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      ok: true,
+      message: dryRun ? 'Vista previa de alertas de caducidad' : 'Escaneo de caducidades ejecutado',
+      data: result,
+      meta: { runId: run._id, dryRun }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
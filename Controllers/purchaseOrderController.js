@@ -5,6 +5,18 @@ const InventoryTransaction = require('../Models/InventoryTransaction');
 const Notification = require('../Models/Notification');
 const Medication = require('../Models/Medication');
 const Supplier = require('../Models/Supplier');
+const { uomFactor, toBaseQty, txQtyFields } = require('../Utils/uom');
+const { applyScan } = require('../Utils/gs1');
+const { createNumbered } = require('../Utils/numbering');
+const { renderPurchaseOrderPdf } = require('../Utils/poPdf');
+const { sendPurchaseOrderEmail } = require('../Utils/poEmail');
+const {
+  getReceivedQtyByMedication, orderedBaseQtyByMedication, syncReceiptStatus
+} = require('../Utils/poReceipts');
+const {
+  ROLE_RANK, getApprovalSettings, buildApprovalRoute, assertCanApprove, notifyNextApprover
+} = require('../Utils/poApproval');
+const { dateRangeFilter } = require('../Utils/dateRange');
 
 /* =========================
    Helpers
@@ -17,6 +29,45 @@ function calcTotals(po) {
   return { subtotal, taxAmount, total };
 }
 
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Valida y arma las líneas de una PO (alta o edición): medication, qty>0 y unitPrice;
+ * el medicamento debe existir y la uom tener conversión (se guarda su factor a la unidad base).
+ * Lanza 400/404.
+ */
+async function buildPOLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) throw httpError('Debe incluir al menos una línea', 400);
+  for (const l of lines) {
+    if (!l.medication || !l.qty || l.qty <= 0 || l.unitPrice == null) {
+      throw httpError('Cada línea requiere medication, qty>0 y unitPrice', 400);
+    }
+  }
+
+  const meds = await Medication.find({ _id: { $in: lines.map(l => l.medication) } }, 'code uom packSize conversions').lean();
+  const medMap = new Map(meds.map(m => [String(m._id), m]));
+  for (const l of lines) {
+    if (!medMap.has(String(l.medication))) throw httpError(`Medication not found: ${l.medication}`, 404);
+  }
+
+  return lines.map(l => ({
+    medication: l.medication,
+    description: l.description || undefined,
+    qty: Number(l.qty),
+    uom: l.uom || medMap.get(String(l.medication)).uom || 'unit',
+    conversionFactor: uomFactor(medMap.get(String(l.medication)), l.uom),
+    unitPrice: Number(l.unitPrice),
+    subtotal: Number(l.qty) * Number(l.unitPrice),
+    lot: l.lot || undefined,
+    expiryDate: l.expiryDate || undefined,
+    notes: l.notes || undefined
+  }));
+}
+
 async function notifyOrderStatus({ hospital, po, title, message, priority = 'medium' }) {
   return Notification.create({
     hospital,
@@ -29,67 +80,30 @@ async function notifyOrderStatus({ hospital, po, title, message, priority = 'med
   });
 }
 
-// Suma recibida por medicamento para una PO (a partir de transacciones IN ref a la PO)
-async function getReceivedQtyByMedication(poId) {
-  const rows = await InventoryTransaction.aggregate([
-    { $match: { refType: 'PO', refId: new mongoose.Types.ObjectId(poId), type: 'IN' } },
-    { $group: { _id: '$medication', received: { $sum: '$qty' } } }
-  ]);
-  const map = new Map();
-  for (const r of rows) map.set(String(r._id), Number(r.received));
-  return map;
-}
-
 /* =========================
    1) createPO
    ========================= */
 /**
  * POST /api/purchase-orders
- * body: { code?, hospital, supplier, taxRate?, currency?, lines:[{medication, qty, unitPrice, uom?, description?}], notes? }
- * Crea en DRAFT, calcula totales y genera Notification(ORDER_STATUS).
+ * body: { hospital, supplier, taxRate?, currency?, lines:[{medication, qty, unitPrice, uom?, description?}], notes? }
+ * qty y unitPrice van en la uom de la línea (default: unidad base); la línea guarda su factor y baseQty.
+ * Crea en DRAFT con el siguiente folio del hospital, calcula totales y genera Notification(ORDER_STATUS).
  */
 exports.createPO = async (req, res, next) => {
   try {
-    const { hospital, supplier, taxRate = 0.16, currency = 'MXN', lines = [], notes, code } = req.body;
+    const { hospital, supplier, taxRate = 0.16, currency = 'MXN', lines = [], notes } = req.body;
 
     if (!hospital || !supplier) {
       return res.status(400).json({ ok: false, message: 'hospital y supplier son requeridos' });
     }
-    if (!Array.isArray(lines) || lines.length === 0) {
-      return res.status(400).json({ ok: false, message: 'Debe incluir al menos una línea' });
-    }
-
-    // Validaciones básicas de línea
-    for (const l of lines) {
-      if (!l.medication || !l.qty || l.qty <= 0 || l.unitPrice == null) {
-        return res.status(400).json({ ok: false, message: 'Cada línea requiere medication, qty>0 y unitPrice' });
-      }
-      // opcional: validar que el medicamento exista
-      // const med = await Medication.findById(l.medication); if (!med) ...
-    }
-
-    const poCode =
-      code ||
-      `PO-${new Date().toISOString().slice(0,10).replace(/-/g,'')}-${Math.floor(Math.random()*9000+1000)}`;
 
     const poData = {
-      code: poCode,
       hospital,
       supplier,
       status: 'DRAFT',
       currency,
       taxRate,
-      lines: lines.map(l => ({
-        medication: l.medication,
-        description: l.description || undefined,
-        qty: Number(l.qty),
-        uom: l.uom || 'unit',
-        unitPrice: Number(l.unitPrice),
-        subtotal: Number(l.qty) * Number(l.unitPrice),
-        lot: l.lot || undefined,
-        expiryDate: l.expiryDate || undefined,
-        notes: l.notes || undefined
-      })),
+      lines: await buildPOLines(lines),
       notes,
       createdBy: req.user?.id
     };
@@ -99,7 +113,10 @@ exports.createPO = async (req, res, next) => {
     poData.taxAmount = totals.taxAmount;
     poData.total = totals.total;
 
-    const po = await PurchaseOrder.create(poData);
+    // Folio siempre del consecutivo del hospital (serie sin huecos)
+    const po = await createNumbered({
+      hospitalId: hospital, docType: 'PO', build: c => new PurchaseOrder({ ...poData, code: c })
+    });
 
     await notifyOrderStatus({
       hospital,
@@ -120,22 +137,24 @@ exports.createPO = async (req, res, next) => {
    ========================= */
 /**
  * GET /api/purchase-orders
- * Filtros: hospital, supplier, status, code, dateFrom, dateTo
+ * Filtros: hospital, supplier, status, source (MANUAL|REORDER|REPLENISHMENT), code, dateFrom, dateTo
  * Paginación: page, limit; Orden: sort (ej. -createdAt)
  */
 exports.listPOs = async (req, res, next) => {
   try {
-    const { hospital, supplier, status, code, dateFrom, dateTo, page = 1, limit = 20, sort = '-createdAt' } = req.query;
+    const {
+      hospital, supplier, status, source, code, emailStatus, dateFrom, dateTo, page = 1, limit = 20, sort = '-createdAt'
+    } = req.query;
 
     const filter = {};
     if (hospital) filter.hospital = hospital;
     if (supplier) filter.supplier = supplier;
     if (status)   filter.status = status;
+    if (source)   filter.source = source;
     if (code)     filter.code = new RegExp(code, 'i');
+    if (emailStatus) filter['emailDelivery.status'] = emailStatus;
     if (dateFrom || dateTo) {
-      filter.createdAt = {};
-      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
-      if (dateTo)   filter.createdAt.$lte = new Date(dateTo);
+      filter.createdAt = await dateRangeFilter({ hospitalId: hospital, dateFrom, dateTo });
     }
 
     const pg = Math.max(parseInt(page, 10) || 1, 1);
@@ -166,7 +185,7 @@ exports.listPOs = async (req, res, next) => {
    ========================= */
 /**
  * GET /api/purchase-orders/:id
- * Popula hospital/supplier y regresa info recibida por medicamento.
+ * Popula hospital/supplier y regresa info recibida por medicamento (received/pending en unidad base).
  */
 exports.getPOById = async (req, res, next) => {
   try {
@@ -182,7 +201,8 @@ exports.getPOById = async (req, res, next) => {
     const lines = (po.lines || []).map(l => {
       const medId = String(l.medication);
       const received = receivedMap.get(medId) || 0;
-      return { ...l, received, pending: Math.max(0, Number(l.qty) - received) };
+      const ordered = l.baseQty ?? Number(l.qty);
+      return { ...l, received, pending: Math.max(0, ordered - received) };
     });
 
     return res.json({ ok: true, data: { ...po, lines } });
@@ -191,20 +211,278 @@ exports.getPOById = async (req, res, next) => {
   }
 };
 
+/* =========================
+   3b) updatePO
+   ========================= */
+/**
+ * PATCH /api/purchase-orders/:id
+ * body: { supplier?, currency?, taxRate?, expectedDelivery?, notes?, lines? }
+ * Edita una PO en DRAFT (o REJECTED, para corregirla antes de reenviarla a aprobación).
+ * lines reemplaza todas las líneas (mismo formato que en el alta); los totales se recalculan.
+ */
+exports.updatePO = async (req, res, next) => {
+  try {
+    const po = await PurchaseOrder.findById(req.params.id);
+    if (!po) return res.status(404).json({ ok: false, message: 'PO no encontrada' });
+    if (!['DRAFT', 'REJECTED'].includes(po.status)) {
+      return res.status(409).json({ ok: false, message: `Solo DRAFT o REJECTED puede editarse (actual: ${po.status})` });
+    }
+
+    const { supplier, currency, taxRate, expectedDelivery, notes, lines } = req.body;
+    if (supplier !== undefined) {
+      if (!(await Supplier.exists({ _id: supplier }))) {
+        return res.status(404).json({ ok: false, message: 'Supplier not found' });
+      }
+      po.supplier = supplier;
+    }
+    if (currency !== undefined) po.currency = currency;
+    if (taxRate !== undefined) po.taxRate = taxRate;
+    if (expectedDelivery !== undefined) po.expectedDelivery = expectedDelivery || undefined;
+    if (notes !== undefined) po.notes = notes;
+    if (lines !== undefined) po.lines = await buildPOLines(lines);
+
+    const totals = po.calculateTotals();
+    po.subtotal = totals.subtotal;
+    po.taxAmount = totals.taxAmount;
+    po.total = totals.total;
+    po.updatedBy = req.user?.id;
+    await po.save();
+
+    return res.json({ ok: true, data: po });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3c) getPOPdf
+   ========================= */
+/**
+ * GET /api/purchase-orders/:id/pdf
+ * query: download? ('1' = attachment; por defecto se muestra en el navegador)
+ * Orden de compra impresa para el proveedor (ver Utils/poPdf.js).
+ */
+exports.getPOPdf = async (req, res, next) => {
+  try {
+    const { buffer, filename } = await renderPurchaseOrderPdf(req.params.id);
+
+    const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `${disposition}; filename="${filename}"`);
+    res.set('Content-Length', String(buffer.length));
+    return res.send(buffer);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4) submitPO (enviar a aprobación)
+   ========================= */
+/**
+ * POST /api/purchase-orders/:id/submit
+ * DRAFT | REJECTED -> PENDING_APPROVAL
+ * Calcula los niveles requeridos según total y moneda (Hospital.settings.poApproval) y notifica
+ * al rol del primer nivel. Sin niveles aplicables (o si el hospital no exige aprobación) queda APPROVED.
+ */
+exports.submitPO = async (req, res, next) => {
+  try {
+    const po = await PurchaseOrder.findById(req.params.id);
+    if (!po) return res.status(404).json({ ok: false, message: 'PO no encontrada' });
+    if (!['DRAFT', 'REJECTED'].includes(po.status)) {
+      return res.status(409).json({ ok: false, message: `Solo DRAFT o REJECTED puede enviarse a aprobación (actual: ${po.status})` });
+    }
+
+    const { required, levels } = await getApprovalSettings(po.hospital);
+    const route = required ? buildApprovalRoute({ levels, total: po.total, currency: po.currency }) : [];
+
+    const now = new Date();
+    po.approvalRoute = route;
+    po.submittedAt = now;
+    po.approvedBy = undefined;
+    po.approvedAt = undefined;
+    po.approvalHistory.push({
+      action: 'SUBMITTED', by: req.user?.id, at: now, total: po.total, currency: po.currency
+    });
+    if (route.length) {
+      po.status = 'PENDING_APPROVAL';
+    } else {
+      po.status = 'APPROVED';
+      po.approvedAt = now;
+    }
+    po.updatedBy = req.user?.id;
+    await po.save();
+
+    if (route.length) {
+      await notifyNextApprover(po, po.nextApprovalStep());
+    } else {
+      await notifyOrderStatus({
+        hospital: po.hospital,
+        po,
+        title: `OC aprobada: ${po.code}`,
+        message: 'No requiere aprobación por monto; lista para enviarse al proveedor.',
+      });
+    }
+
+    return res.json({ ok: true, data: po, meta: { route } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4b) approvePO
+   ========================= */
+/**
+ * POST /api/purchase-orders/:id/approve
+ * body: { comment? }
+ * Aprueba el nivel pendiente (rol suficiente, mismo hospital y distinto a quien envió o aprobó antes).
+ * Con el último nivel: PENDING_APPROVAL -> APPROVED y se setea approvedBy/approvedAt;
+ * si faltan niveles notifica al rol del siguiente.
+ */
+exports.approvePO = async (req, res, next) => {
+  try {
+    const po = await PurchaseOrder.findById(req.params.id);
+    if (!po) return res.status(404).json({ ok: false, message: 'PO no encontrada' });
+    if (po.status !== 'PENDING_APPROVAL') {
+      return res.status(409).json({ ok: false, message: `Solo PENDING_APPROVAL puede aprobarse (actual: ${po.status})` });
+    }
+
+    const step = po.nextApprovalStep();
+    const user = await assertCanApprove({ po, step, userId: req.user?.id });
+
+    const now = new Date();
+    step.approvedBy = user._id;
+    step.approvedAt = now;
+    po.approvalHistory.push({
+      action: 'APPROVED', level: step.level, role: step.role, by: user._id, at: now,
+      total: po.total, currency: po.currency, reason: req.body?.comment || undefined
+    });
+
+    const nextStep = po.nextApprovalStep();
+    if (!nextStep) {
+      po.status = 'APPROVED';
+      po.approvedBy = user._id;
+      po.approvedAt = now;
+    }
+    po.updatedBy = user._id;
+    await po.save();
+
+    if (nextStep) {
+      await notifyNextApprover(po, nextStep);
+    } else {
+      await notifyOrderStatus({
+        hospital: po.hospital,
+        po,
+        title: `OC aprobada: ${po.code}`,
+        message: `Aprobada en ${po.approvalRoute.length} nivel(es); lista para enviarse al proveedor.`,
+      });
+    }
+
+    return res.json({ ok: true, data: po });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4c) rejectPO
+   ========================= */
+/**
+ * POST /api/purchase-orders/:id/reject
+ * body: { reason }
+ * PENDING_APPROVAL -> REJECTED. Lo rechaza quien puede aprobar el nivel pendiente.
+ * La PO rechazada se corrige y se vuelve a enviar con /submit (la ruta de niveles se recalcula).
+ */
+exports.rejectPO = async (req, res, next) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ ok: false, message: 'reason es requerido' });
+
+    const po = await PurchaseOrder.findById(req.params.id);
+    if (!po) return res.status(404).json({ ok: false, message: 'PO no encontrada' });
+    if (po.status !== 'PENDING_APPROVAL') {
+      return res.status(409).json({ ok: false, message: `Solo PENDING_APPROVAL puede rechazarse (actual: ${po.status})` });
+    }
+
+    const step = po.nextApprovalStep();
+    const user = await assertCanApprove({ po, step, userId: req.user?.id });
+
+    po.status = 'REJECTED';
+    po.approvalHistory.push({
+      action: 'REJECTED', level: step.level, role: step.role, by: user._id, at: new Date(),
+      total: po.total, currency: po.currency, reason
+    });
+    po.updatedBy = user._id;
+    await po.save();
+
+    await notifyOrderStatus({
+      hospital: po.hospital,
+      po,
+      title: `OC rechazada: ${po.code}`,
+      message: `Rechazada en nivel ${step.level} (${step.role}): ${reason}`,
+      priority: 'high'
+    });
+
+    return res.json({ ok: true, data: po });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4d) listPendingApprovals
+   ========================= */
+/**
+ * GET /api/purchase-orders/approvals/pending
+ * query: hospital?
+ * POs en PENDING_APPROVAL cuyo nivel pendiente puede aprobar el usuario (por rol).
+ */
+exports.listPendingApprovals = async (req, res, next) => {
+  try {
+    const filter = { status: 'PENDING_APPROVAL' };
+    if (req.query.hospital) filter.hospital = req.query.hospital;
+
+    const rank = req.user?.isSuperUser ? Infinity : (ROLE_RANK[req.user?.role] ?? -1);
+    const rows = await PurchaseOrder.find(filter)
+      .sort('submittedAt')
+      .populate('hospital', 'name code')
+      .populate('supplier', 'name rfc')
+      .lean();
+
+    const data = rows
+      .map(po => ({ ...po, pendingStep: (po.approvalRoute || []).find(s => !s.approvedBy) || null }))
+      .filter(po => po.pendingStep && rank >= ROLE_RANK[po.pendingStep.role]);
+
+    return res.json({ ok: true, data, meta: { total: data.length } });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /* =========================
    5) markSent
    ========================= */
 /**
  * POST /api/purchase-orders/:id/send
- * Cambia DRAFT -> SENT. Notifica.
+ * body: { email?: false (no enviar correo), to?: [correos] (en lugar de los contactos del proveedor) }
+ * Cambia APPROVED -> SENT (o DRAFT -> SENT si el hospital no exige aprobación). Notifica y envía
+ * la OC en PDF por correo al proveedor (ver Utils/poEmail.js); el resultado va en meta.email.
  */
 exports.markSent = async (req, res, next) => {
   try {
     const po = await PurchaseOrder.findById(req.params.id);
     if (!po) return res.status(404).json({ ok: false, message: 'PO no encontrada' });
 
-    if (po.status !== 'DRAFT') {
-      return res.status(409).json({ ok: false, message: `Solo DRAFT puede enviarse (actual: ${po.status})` });
+    const { required } = await getApprovalSettings(po.hospital);
+    const sendable = required ? ['APPROVED'] : ['DRAFT', 'APPROVED'];
+    if (!sendable.includes(po.status)) {
+      return res.status(409).json({
+        ok: false,
+        message: required && ['DRAFT', 'PENDING_APPROVAL', 'REJECTED'].includes(po.status)
+          ? `La PO requiere aprobación antes de enviarse (actual: ${po.status})`
+          : `Solo ${sendable.join('/')} puede enviarse (actual: ${po.status})`
+      });
     }
 
     po.status = 'SENT';
@@ -219,7 +497,51 @@ exports.markSent = async (req, res, next) => {
       priority: 'medium'
     });
 
-    return res.json({ ok: true, data: po });
+    // Correo al proveedor; si falla la OC queda SENT y el envío se reintenta aparte
+    const email = req.body?.email === false
+      ? null
+      : await sendPurchaseOrderEmail({
+        poId: po._id,
+        userId: req.user?.id,
+        to: Array.isArray(req.body?.to) ? req.body.to : undefined,
+      });
+
+    return res.json({ ok: true, data: po, meta: { email } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   5b) retryPOEmail
+   ========================= */
+/**
+ * POST /api/purchase-orders/:id/email/retry
+ * body: { to?: [correos] } (default: contactos de compras del proveedor)
+ * Reintenta el correo de una OC SENT/RECEIVED cuyo último envío falló o quedó interrumpido.
+ * 409 mientras otro envío siga en curso (PENDING reciente); 502 si vuelve a fallar (el detalle queda en data.error).
+ */
+exports.retryPOEmail = async (req, res, next) => {
+  try {
+    const po = await PurchaseOrder.findById(req.params.id, 'code status emailDelivery').lean();
+    if (!po) return res.status(404).json({ ok: false, message: 'PO no encontrada' });
+    if (!['SENT', 'RECEIVED'].includes(po.status)) {
+      return res.status(409).json({ ok: false, message: `Solo una PO SENT o RECEIVED se envía por correo (actual: ${po.status})` });
+    }
+    if (po.emailDelivery?.status === 'SENT') {
+      return res.status(409).json({ ok: false, message: `El correo de ${po.code} ya se envió` });
+    }
+
+    const to = req.body?.to;
+    if (to !== undefined && (!Array.isArray(to) || !to.length)) {
+      return res.status(400).json({ ok: false, message: 'to debe ser un arreglo de correos' });
+    }
+
+    const email = await sendPurchaseOrderEmail({ poId: po._id, userId: req.user?.id, to });
+    if (email.status !== 'SENT') {
+      return res.status(502).json({ ok: false, message: `No se pudo enviar el correo: ${email.error}`, data: email });
+    }
+    return res.json({ ok: true, data: email });
   } catch (err) {
     next(err);
   }
@@ -230,52 +552,85 @@ exports.markSent = async (req, res, next) => {
    ========================= */
 /**
  * POST /api/purchase-orders/:id/receive
- * body: { items: [{ medication, qty, lot?, expiryDate?, unitCost? }], note? }
+ * body: { items: [{ medication | barcode, qty, uom?, location?, lot?, expiryDate?, unitCost? }], location?, note? }
+ * - barcode (GS1): medication, lot, expiryDate y uom del empaque salen del código (qty default 1).
+ * - qty/unitCost en `uom` (default: la uom de la línea de la PO); el IN se registra en unidad base
+ *   con costo = unitCost (o precio de la línea) / factor.
+ * - location del body aplica a los items que no traen la suya (ej. andén de recepción).
  * - Crea InventoryTransaction IN por cada item (refType: 'PO', refId: po._id) en una session.
+ * - Estados: SENT/RECEIVED (o APPROVED; DRAFT solo si el hospital no exige aprobación).
  * - Si todas las líneas quedan recibidas (>= qty ordenada), marca la PO como RECEIVED y setea receivedAt.
  * - Notifica recepción (parcial o total).
  */
 exports.receivePO = async (req, res, next) => {
   const session = await mongoose.startSession();
   try {
-    const { items = [], note } = req.body;
-    if (!Array.isArray(items) || items.length === 0) {
+    const { location, note } = req.body;
+    if (!Array.isArray(req.body.items) || req.body.items.length === 0) {
       return res.status(400).json({ ok: false, message: 'items es requerido y no puede estar vacío' });
     }
+    const items = [];
+    for (const it of req.body.items) items.push(await applyScan(it));
 
     const po = await PurchaseOrder.findById(req.params.id);
     if (!po) return res.status(404).json({ ok: false, message: 'PO no encontrada' });
 
-    if (!['SENT', 'RECEIVED'].includes(po.status) && po.status !== 'DRAFT') {
-      // Permitimos recepción también si por error quedó en DRAFT
+    // Permitimos recepción también si por error no se marcó enviada; en DRAFT solo si el hospital
+    // no exige aprobación (si no, la recepción saltaría la aprobación)
+    const { required } = await getApprovalSettings(po.hospital);
+    const receivable = required ? ['APPROVED', 'SENT', 'RECEIVED'] : ['DRAFT', 'APPROVED', 'SENT', 'RECEIVED'];
+    if (!receivable.includes(po.status)) {
       return res.status(409).json({ ok: false, message: `Estado inválido para recepción: ${po.status}` });
     }
 
-    // Validar que los items correspondan a medicamentos de la PO
-    const lineMedIds = new Set(po.lines.map(l => String(l.medication)));
+    // Validar que los items correspondan a medicamentos de la PO (primera línea del medicamento)
+    const lineByMed = new Map();
+    for (const l of po.lines) {
+      if (!lineByMed.has(String(l.medication))) lineByMed.set(String(l.medication), l);
+    }
     for (const it of items) {
       if (!it.medication || !it.qty || it.qty <= 0) {
         return res.status(400).json({ ok: false, message: 'Cada item requiere medication y qty>0' });
       }
-      if (!lineMedIds.has(String(it.medication))) {
+      if (!lineByMed.has(String(it.medication))) {
         return res.status(400).json({ ok: false, message: 'Item contiene medicamento que no está en la PO' });
       }
     }
 
     await session.withTransaction(async () => {
+      // Re-validar el estado dentro de la transacción; la escritura hace que una cancelación
+      // simultánea choque con esta recepción en lugar de cancelar una PO con stock recibido
+      const claimed = await PurchaseOrder.updateOne(
+        { _id: po._id, status: { $in: receivable } },
+        { $set: { updatedAt: new Date(), updatedBy: req.user?.id } },
+        { session }
+      );
+      if (claimed.matchedCount !== 1) {
+        const err = new Error('La PO cambió de estado y ya no admite recepción');
+        err.statusCode = 409;
+        throw err;
+      }
+
       for (const it of items) {
         const med = await Medication.findById(it.medication).session(session);
         if (!med) throw new Error('Medication not found');
 
+        // Sin uom el item viene en la unidad en que se pidió (ej. 10 cajas → 200 tabletas)
+        const line = lineByMed.get(String(it.medication));
+        const conv = toBaseQty(med, it.qty, it.uom || line.uom);
+        const unitCost = it.unitCost != null
+          ? Number(it.unitCost) / conv.factor
+          : line.unitPrice / (line.conversionFactor || 1);
+
         const tx = new InventoryTransaction({
           hospital: po.hospital,
           medication: it.medication,
           type: 'IN',
-          qty: Number(it.qty),
-          uom: med.uom || 'unit',
+          ...txQtyFields(conv, conv.qty),
+          location: it.location || location || undefined,
           lot: it.lot || undefined,
           expiryDate: it.expiryDate || undefined,
-          unitCost: it.unitCost ?? med.unitPrice ?? 0,
+          unitCost,
           reason: 'PURCHASE_RECEIPT',
           refType: 'PO',
           refId: po._id,
@@ -286,34 +641,18 @@ exports.receivePO = async (req, res, next) => {
         await tx.save({ session });
       }
 
-      // Recalcular recibido y, si corresponde, cerrar la PO
-      const receivedMap = await getReceivedQtyByMedication(po._id);
-      const allReceived = po.lines.every(l => {
-        const received = receivedMap.get(String(l.medication)) || 0;
-        return received >= Number(l.qty);
-      });
-
-      if (allReceived) {
-        po.status = 'RECEIVED';
-        po.receivedAt = new Date();
-        po.updatedBy = req.user?.id;
-        await po.save({ session });
-      } else if (po.status === 'DRAFT') {
-        // Si estaba en DRAFT y se recibió algo, lo movemos al menos a SENT
-        po.status = 'SENT';
-        po.updatedBy = req.user?.id;
-        await po.save({ session });
-      }
+      // Recalcular recibido (unidad base): RECEIVED si está completa; si no estaba enviada, al menos SENT
+      await syncReceiptStatus({ po, userId: req.user?.id, session });
     });
 
     // Notificación según el estado final
     const freshPO = await PurchaseOrder.findById(po._id).lean();
     const receivedMap = await getReceivedQtyByMedication(po._id);
-    const receivedTotals = (freshPO.lines || []).map(l => ({
-      medication: l.medication,
-      ordered: Number(l.qty),
-      received: receivedMap.get(String(l.medication)) || 0,
-      pending: Math.max(0, Number(l.qty) - (receivedMap.get(String(l.medication)) || 0))
+    const receivedTotals = [...orderedBaseQtyByMedication(freshPO.lines || [])].map(([medId, ordered]) => ({
+      medication: medId,
+      ordered,
+      received: receivedMap.get(medId) || 0,
+      pending: Math.max(0, ordered - (receivedMap.get(medId) || 0))
     }));
 
     await notifyOrderStatus({
@@ -341,3 +680,62 @@ exports.receivePO = async (req, res, next) => {
     session.endSession();
   }
 };
+
+/* =========================
+   7) cancelPO
+   ========================= */
+/**
+ * POST /api/purchase-orders/:id/cancel
+ * body: { reason }
+ * Cancela una PO antes de recibir: DRAFT, PENDING_APPROVAL, APPROVED, REJECTED o SENT
+ * (incluye los borradores que genera el reorden automático). Se rechaza si ya hay alguna
+ * recepción registrada contra la PO, aunque se haya anulado.
+ */
+exports.cancelPO = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ ok: false, message: 'reason es requerido' });
+
+    const cancellable = ['DRAFT', 'PENDING_APPROVAL', 'APPROVED', 'REJECTED', 'SENT'];
+    let po = await PurchaseOrder.findById(req.params.id, 'status');
+    if (!po) return res.status(404).json({ ok: false, message: 'PO no encontrada' });
+    if (!cancellable.includes(po.status)) {
+      return res.status(409).json({ ok: false, message: `No se puede cancelar una PO ${po.status}` });
+    }
+
+    // Revisión de recepciones y cambio de estado condicional en la misma transacción
+    // (receivePO escribe la PO en la suya, así que ambas no pueden confirmarse a la vez)
+    await session.withTransaction(async () => {
+      const hasReceipts = await InventoryTransaction.exists({ refType: 'PO', refId: po._id }).session(session);
+      if (hasReceipts) {
+        const err = new Error('La PO ya tiene recepciones registradas; no puede cancelarse');
+        err.statusCode = 409;
+        throw err;
+      }
+
+      const current = await PurchaseOrder.findOne({ _id: po._id, status: { $in: cancellable } }).session(session);
+      if (!current) {
+        const err = new Error('La PO cambió de estado y ya no puede cancelarse');
+        err.statusCode = 409;
+        throw err;
+      }
+      await current.markCancelled(req.user?.id, reason, { session });
+      po = current;
+    });
+
+    await notifyOrderStatus({
+      hospital: po.hospital,
+      po,
+      title: `OC cancelada: ${po.code}`,
+      message: `Motivo: ${reason}`,
+      priority: 'medium'
+    });
+
+    return res.json({ ok: true, data: po });
+  } catch (err) {
+    next(err);
+  } finally {
+    session.endSession();
+  }
+};
@@ -0,0 +1,80 @@
+// Controllers/replenishmentController.js
+const JobRun = require('../Models/JobRun');
+const { runJob } = require('../Utils/scheduler');
+const { runReplenishment, summarizeRun } = require('../Utils/replenishment');
+
+const JOB = 'replenishment';
+
+/* =========================
+   1) runNow
+   ========================= */
+/**
+ * POST /api/replenishment/run
+ * body: { hospital?, dryRun? (default true) }
+ * Ejecuta la corrida de reabasto a demanda (uno o todos los hospitales activos).
+ * - dryRun=true: devuelve el plan (POs por proveedor, cubiertos por POs abiertas, sin proveedor) sin crear nada.
+ * - dryRun=false: crea/consolida las POs DRAFT y notifica. 409 si ya hay una corrida en curso.
+ */
+exports.runNow = async (req, res, next) => {
+  try {
+    const { hospital } = req.body;
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+
+    let result;
+    const run = await runJob({
+      job: JOB,
+      dryRun,
+      trigger: 'MANUAL',
+      params: { hospital: hospital || null },
+      userId: req.user?.id,
+      task: async () => {
+        result = await runReplenishment({ hospitalId: hospital, dryRun, userId: req.user?.id });
+        return summarizeRun(result);
+      },
+    });
+
+    return res.status(dryRun ? 200 : 201).json({
+      ok: true,
+      message: dryRun ? 'Vista previa de reabasto' : 'Reabasto ejecutado',
+      data: result,
+      meta: { runId: run._id, dryRun }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) listRuns
+   ========================= */
+/**
+ * GET /api/replenishment/runs
+ * Filtros: status, dryRun(true|false); Paginación: page, limit
+ * Historial de corridas (programadas y manuales).
+ */
+exports.listRuns = async (req, res, next) => {
+  try {
+    const { status, dryRun, page = 1, limit = 20 } = req.query;
+
+    const filter = { job: JOB };
+    if (status) filter.status = status;
+    if (typeof dryRun === 'string') filter.dryRun = dryRun.toLowerCase() === 'true';
+
+    const pg = Math.max(parseInt(page, 10) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200);
+    const skip = (pg - 1) * lim;
+
+    const [rows, total] = await Promise.all([
+      JobRun.find(filter).sort({ startedAt: -1 }).skip(skip).limit(lim).lean(),
+      JobRun.countDocuments(filter),
+    ]);
+
+    return res.json({
+      ok: true,
+      data: rows,
+      meta: { page: pg, limit: lim, total, pages: Math.ceil(total / lim) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,46 @@
+// Controllers/scanController.js
+const LotStatus = require('../Models/LotStatus');
+const { resolveScan } = require('../Utils/gs1');
+const { uomFactor } = require('../Utils/uom');
+const { getCurrentStock } = require('../Utils/stockLedger');
+
+/* =========================
+   1) scan
+   ========================= */
+/**
+ * POST /api/scan
+ * body: { code, hospital? }
+ * Interpreta un código GS1 (AIs 01 GTIN, 10 lote, 17 caducidad, 21 serie) y resuelve el medicamento.
+ * Con hospital agrega el estado efectivo del lote y su existencia (unidad base).
+ * Para registrar el movimiento, enviar el mismo código como `barcode` a /inventory-transactions/in|out
+ * o en los items de /purchase-orders/:id/receive.
+ */
+exports.scan = async (req, res, next) => {
+  try {
+    const { code, hospital } = req.body;
+    if (!code) return res.status(400).json({ ok: false, message: 'code es requerido' });
+
+    const { parsed, medication, uom } = await resolveScan(code);
+    const data = {
+      parsed,
+      medication,
+      uom,
+      factor: uomFactor(medication, uom),
+    };
+
+    if (hospital) {
+      const blocked = await LotStatus.blockedLots({ hospitalId: hospital, medicationId: medication._id });
+      data.lotStatus = parsed.lot ? (blocked.get(parsed.lot) || 'AVAILABLE') : null;
+      data.stock = {
+        total: await getCurrentStock({ hospitalId: hospital, medicationId: medication._id }),
+        lot: parsed.lot
+          ? await getCurrentStock({ hospitalId: hospital, medicationId: medication._id, lot: parsed.lot, expiryDate: parsed.expiryDate })
+          : null,
+      };
+    }
+
+    return res.json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,200 @@
+// Controllers/stockBalanceController.js
+const mongoose = require('mongoose');
+const Medication = require('../Models/Medication');
+const {
+  reconcileBalances, listLotBalances, getLotUnitCosts, lotKey, locationFilter
+} = require('../Utils/stockLedger');
+
+/* =========================
+   Helpers
+   ========================= */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOT_SORT_FIELDS = ['expiryDate', 'daysToExpiry', 'qty', 'value', 'lot', 'medicationName'];
+
+// Ordena filas en memoria (el valor se calcula fuera de Mongo). sort: 'campo' | '-campo'
+function sortRows(rows, sort) {
+  const desc = sort.startsWith('-');
+  const field = desc ? sort.slice(1) : sort;
+  if (!LOT_SORT_FIELDS.includes(field)) return rows;
+
+  const val = (r) => {
+    const v = r[field];
+    if (v == null) return desc ? -Infinity : Infinity; // sin dato siempre al final
+    if (v instanceof Date) return v.getTime();
+    return v;
+  };
+  return rows.sort((a, b) => {
+    const va = val(a), vb = val(b);
+    if (typeof va === 'string' || typeof vb === 'string') {
+      return desc ? String(vb).localeCompare(String(va)) : String(va).localeCompare(String(vb));
+    }
+    return desc ? vb - va : va - vb;
+  });
+}
+
+/**
+ * Stock por lote/caducidad con días a caducar y valor (qty × unitCost).
+ * unitCost = costo promedio de entradas del lote; si no hay, Medication.unitPrice.
+ * query: location?, expiringWithinDays?, sort?
+ */
+async function buildLotReport({ hospitalId, medicationId, query }) {
+  const { location, expiringWithinDays, sort = 'expiryDate' } = query;
+  const now = new Date();
+
+  const match = { hospital: new mongoose.Types.ObjectId(hospitalId) };
+  if (medicationId) match.medication = new mongoose.Types.ObjectId(medicationId);
+
+  const filter = { ...match };
+  if (location) filter.location = await locationFilter(location);
+  if (expiringWithinDays != null && expiringWithinDays !== '') {
+    const days = Number(expiringWithinDays);
+    if (!Number.isFinite(days) || days < 0) {
+      const err = new Error('expiringWithinDays inválido');
+      err.statusCode = 400;
+      throw err;
+    }
+    filter.expiryDate = { $ne: null, $lte: new Date(now.getTime() + days * DAY_MS) };
+  }
+
+  const [balances, unitCosts] = await Promise.all([
+    listLotBalances(filter),
+    getLotUnitCosts(match),
+  ]);
+
+  const medIds = [...new Set(balances.map(b => String(b.medication)))];
+  const meds = await Medication.find({ _id: { $in: medIds } }, 'name code uom unitPrice').lean();
+  const medMap = new Map(meds.map(m => [String(m._id), m]));
+
+  const rows = balances.map(b => {
+    const med = medMap.get(String(b.medication)) || {};
+    const unitCost = unitCosts.get(lotKey(b)) ?? med.unitPrice ?? 0;
+    const daysToExpiry = b.expiryDate
+      ? Math.floor((new Date(b.expiryDate).getTime() - now.getTime()) / DAY_MS)
+      : null;
+    return {
+      medication: b.medication,
+      medicationName: med.name,
+      medicationCode: med.code,
+      uom: med.uom,
+      location: b.location,
+      lot: b.lot,
+      expiryDate: b.expiryDate,
+      daysToExpiry,
+      expired: daysToExpiry != null && daysToExpiry < 0,
+      qty: b.qty,
+      unitCost,
+      value: b.qty * unitCost,
+    };
+  });
+
+  sortRows(rows, String(sort));
+
+  const summary = rows.reduce(
+    (acc, r) => {
+      acc.lots += 1;
+      acc.totalQty += r.qty;
+      acc.totalValue += r.value;
+      if (r.expired) acc.expiredValue += r.value;
+      return acc;
+    },
+    { lots: 0, totalQty: 0, totalValue: 0, expiredValue: 0 }
+  );
+
+  return { rows, summary };
+}
+
+/* =========================
+   1) verifyBalances
+   ========================= */
+/**
+ * GET /api/stock-balances/verify
+ * query: hospital?, medication?
+ * Recalcula los saldos desde el ledger y reporta diferencias contra StockBalance (no modifica nada).
+ */
+exports.verifyBalances = async (req, res, next) => {
+  try {
+    const { hospital, medication } = req.query;
+    const result = await reconcileBalances({ hospitalId: hospital, medicationId: medication });
+
+    return res.json({
+      ok: true,
+      message: result.drift.length ? 'Se encontraron diferencias' : 'Saldos consistentes con el ledger',
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) rebuildBalances
+   ========================= */
+/**
+ * POST /api/stock-balances/rebuild
+ * body: { hospital?, medication? }
+ * Recalcula desde el ledger y corrige cada diferencia. Devuelve el drift encontrado.
+ */
+exports.rebuildBalances = async (req, res, next) => {
+  try {
+    const { hospital, medication } = req.body;
+    const result = await reconcileBalances({ hospitalId: hospital, medicationId: medication, fix: true });
+
+    return res.json({
+      ok: true,
+      message: result.drift.length ? `Saldos corregidos: ${result.drift.length}` : 'Sin diferencias que corregir',
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) listMedicationLots
+   ========================= */
+/**
+ * GET /api/stock-balances/medications/:medicationId/lots
+ * query: hospital, location?, expiringWithinDays?, sort? (expiryDate|daysToExpiry|qty|value|lot, prefijo '-' = desc)
+ * Lotes con stock de un medicamento en un hospital, con caducidad y valor.
+ */
+exports.listMedicationLots = async (req, res, next) => {
+  try {
+    const { hospital } = req.query;
+    if (!hospital) {
+      return res.status(400).json({ ok: false, message: 'hospital es requerido' });
+    }
+
+    const { rows, summary } = await buildLotReport({
+      hospitalId: hospital,
+      medicationId: req.params.medicationId,
+      query: req.query
+    });
+
+    return res.json({ ok: true, data: rows, meta: summary });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4) listHospitalLots
+   ========================= */
+/**
+ * GET /api/stock-balances/hospitals/:hospitalId/lots
+ * query: medication?, location?, expiringWithinDays?, sort? (expiryDate|daysToExpiry|qty|value|lot|medicationName)
+ * Todos los lotes con stock de un hospital.
+ */
+exports.listHospitalLots = async (req, res, next) => {
+  try {
+    const { rows, summary } = await buildLotReport({
+      hospitalId: req.params.hospitalId,
+      medicationId: req.query.medication,
+      query: req.query
+    });
+
+    return res.json({ ok: true, data: rows, meta: summary });
+  } catch (err) {
+    next(err);
+  }
+};
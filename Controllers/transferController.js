@@ -0,0 +1,485 @@
+// Controllers/transferController.js
+const mongoose = require('mongoose');
+const Transfer = require('../Models/Transfer');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const Medication = require('../Models/Medication');
+const {
+  EPSILON, getCurrentStock, allocateFEFO, assertSafetyStock
+} = require('../Utils/stockLedger');
+const { maybeTriggerReorder } = require('../Utils/replenishment');
+const { witnessFor } = require('../Utils/controlled');
+const { toBaseQty } = require('../Utils/uom');
+const { createNumbered } = require('../Utils/numbering');
+const { dateRangeFilter } = require('../Utils/dateRange');
+
+/* =========================
+   Helpers
+   ========================= */
+
+// Carga la transferencia y valida que esté en alguno de los estados permitidos
+async function loadTransfer(id, allowed, action) {
+  const t = await Transfer.findById(id);
+  if (!t) {
+    const err = new Error('Transferencia no encontrada');
+    err.statusCode = 404;
+    throw err;
+  }
+  if (!allowed.includes(t.status)) {
+    const err = new Error(`No se puede ${action} una transferencia ${t.status}`);
+    err.statusCode = 409;
+    throw err;
+  }
+  return t;
+}
+
+/* =========================
+   1) createTransfer
+   ========================= */
+/**
+ * POST /api/transfers
+ * body: { fromHospital, toHospital, fromLocation?, toLocation?, lines: [{ medication, qty, uom?, lot?, expiryDate?, notes? }], notes? }
+ * Crea la solicitud en REQUESTED (no mueve inventario). qty se normaliza a la unidad base del medicamento.
+ */
+exports.createTransfer = async (req, res, next) => {
+  try {
+    const { fromHospital, toHospital, fromLocation, toLocation, lines = [], notes } = req.body;
+
+    if (!fromHospital || !toHospital) {
+      return res.status(400).json({ ok: false, message: 'fromHospital y toHospital son requeridos' });
+    }
+    if (String(fromHospital) === String(toHospital)) {
+      return res.status(400).json({ ok: false, message: 'fromHospital y toHospital no pueden ser iguales' });
+    }
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ ok: false, message: 'Debe incluir al menos una línea' });
+    }
+    for (const l of lines) {
+      if (!l.medication || !l.qty || Number(l.qty) <= 0) {
+        return res.status(400).json({ ok: false, message: 'Cada línea requiere medication y qty>0' });
+      }
+    }
+
+    const meds = await Medication.find({ _id: { $in: lines.map(l => l.medication) } }, 'code uom packSize conversions').lean();
+    const medMap = new Map(meds.map(m => [String(m._id), m]));
+    if (medMap.size !== new Set(lines.map(l => String(l.medication))).size) {
+      return res.status(404).json({ ok: false, message: 'Medication not found' });
+    }
+
+    const transfer = await createNumbered({ hospitalId: fromHospital, docType: 'TRANSFER', build: code => new Transfer({
+      code,
+      fromHospital,
+      toHospital,
+      fromLocation: fromLocation || null,
+      toLocation: toLocation || null,
+      status: 'REQUESTED',
+      lines: lines.map(l => {
+        const conv = toBaseQty(medMap.get(String(l.medication)), l.qty, l.uom);
+        return {
+          medication: l.medication,
+          qty: conv.qty,
+          uom: conv.uom,
+          enteredQty: conv.enteredQty,
+          enteredUom: conv.enteredUom,
+          lot: l.lot || undefined,
+          expiryDate: l.expiryDate || undefined,
+          notes: l.notes || undefined,
+        };
+      }),
+      notes,
+      requestedBy: req.user?.id,
+    }) });
+
+    return res.status(201).json({ ok: true, data: transfer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   2) listTransfers
+   ========================= */
+/**
+ * GET /api/transfers
+ * Filtros: hospital (origen o destino), fromHospital, toHospital, status, dateFrom, dateTo
+ * Paginación: page, limit
+ */
+exports.listTransfers = async (req, res, next) => {
+  try {
+    const {
+      hospital, fromHospital, toHospital, status, dateFrom, dateTo,
+      page = 1, limit = 20, sort = '-createdAt'
+    } = req.query;
+
+    const filter = {};
+    if (hospital)     filter.$or = [{ fromHospital: hospital }, { toHospital: hospital }];
+    if (fromHospital) filter.fromHospital = fromHospital;
+    if (toHospital)   filter.toHospital = toHospital;
+    if (status)       filter.status = status;
+    if (dateFrom || dateTo) {
+      filter.createdAt = await dateRangeFilter({ hospitalId: hospital || toHospital || fromHospital, dateFrom, dateTo });
+    }
+
+    const pg = Math.max(parseInt(page, 10) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200);
+    const skip = (pg - 1) * lim;
+
+    const [rows, total] = await Promise.all([
+      Transfer.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(lim)
+        .populate('fromHospital', 'name code')
+        .populate('toHospital', 'name code')
+        .lean(),
+      Transfer.countDocuments(filter)
+    ]);
+
+    return res.json({
+      ok: true,
+      data: rows,
+      meta: { page: pg, limit: lim, total, pages: Math.ceil(total / lim) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   3) getTransferById
+   ========================= */
+/**
+ * GET /api/transfers/:id
+ */
+exports.getTransferById = async (req, res, next) => {
+  try {
+    const transfer = await Transfer.findById(req.params.id)
+      .populate('fromHospital', 'name code')
+      .populate('toHospital', 'name code')
+      .populate('lines.medication', 'name code uom');
+    if (!transfer) return res.status(404).json({ ok: false, message: 'Transferencia no encontrada' });
+    return res.json({ ok: true, data: transfer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   4) approveTransfer
+   ========================= */
+/**
+ * POST /api/transfers/:id/approve
+ * REQUESTED -> APPROVED
+ */
+exports.approveTransfer = async (req, res, next) => {
+  try {
+    const transfer = await loadTransfer(req.params.id, ['REQUESTED'], 'aprobar');
+
+    transfer.status = 'APPROVED';
+    transfer.approvedBy = req.user?.id;
+    transfer.approvedAt = new Date();
+    await transfer.save();
+
+    return res.json({ ok: true, data: transfer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   5) dispatchTransfer
+   ========================= */
+/**
+ * POST /api/transfers/:id/dispatch
+ * APPROVED -> DISPATCHED
+ * body: { witness?: { email, password } } (obligatorio si alguna línea es de un medicamento controlado)
+ * Genera OUT (TRANSFER_OUT, refType 'XFER') en origen por lote asignado (FEFO) y deja la mercancía en tránsito.
+ * Después revisa el punto de reorden de cada medicamento en origen.
+ */
+exports.dispatchTransfer = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const transfer = await loadTransfer(req.params.id, ['APPROVED'], 'despachar');
+
+    // Safety stock en origen por medicamento (sumando líneas repetidas)
+    const qtyByMed = new Map();
+    for (const l of transfer.lines) {
+      qtyByMed.set(String(l.medication), (qtyByMed.get(String(l.medication)) || 0) + l.qty);
+    }
+    const meds = await Medication.find({ _id: { $in: [...qtyByMed.keys()] } });
+    const witnessedBy = await witnessFor({
+      medicationIds: [...qtyByMed.keys()],
+      witness: req.body?.witness,
+      userId: req.user?.id,
+      hospitalId: transfer.fromHospital,
+    });
+    for (const med of meds) {
+      const current = await getCurrentStock({ hospitalId: transfer.fromHospital, medicationId: med._id });
+      await assertSafetyStock({
+        hospitalId: transfer.fromHospital,
+        medication: med,
+        projected: current - qtyByMed.get(String(med._id))
+      });
+    }
+
+    await session.withTransaction(async () => {
+      for (const line of transfer.lines) {
+        line.lots = [];
+        const allocation = await allocateFEFO({
+          hospitalId: transfer.fromHospital,
+          medicationId: line.medication,
+          qty: line.qty,
+          location: transfer.fromLocation || undefined,
+          lot: line.lot,
+          expiryDate: line.expiryDate,
+          session
+        });
+
+        for (const a of allocation) {
+          const outTx = new InventoryTransaction({
+            hospital: transfer.fromHospital,
+            medication: line.medication,
+            type: 'OUT',
+            qty: a.qty,
+            uom: line.uom,
+            location: a.location || undefined,
+            lot: a.lot || undefined,
+            expiryDate: a.expiryDate || undefined,
+            reason: 'TRANSFER_OUT',
+            refType: 'XFER',
+            refId: transfer._id,
+            refCode: transfer.code,
+            createdBy: req.user?.id,
+            witnessedBy,
+          });
+          await outTx.save({ session });
+
+          line.lots.push({
+            location: a.location,
+            lot: a.lot,
+            expiryDate: a.expiryDate,
+            unitCost: outTx.unitCost,
+            dispatchedQty: a.qty,
+            outTx: outTx._id,
+          });
+        }
+      }
+
+      transfer.status = 'DISPATCHED';
+      transfer.dispatchedBy = req.user?.id;
+      transfer.dispatchWitness = witnessedBy;
+      transfer.dispatchedAt = new Date();
+      await transfer.save({ session });
+    });
+
+    // Punto de reorden en origen por cada medicamento despachado
+    for (const med of meds) {
+      await maybeTriggerReorder({ hospitalId: transfer.fromHospital, medication: med });
+    }
+
+    return res.json({ ok: true, message: 'Transferencia despachada (en tránsito)', data: transfer });
+  } catch (err) {
+    next(err);
+  } finally {
+    session.endSession();
+  }
+};
+
+/* =========================
+   6) receiveTransfer
+   ========================= */
+/**
+ * POST /api/transfers/:id/receive
+ * body: { items?: [{ lotId, receivedQty }], location?, discrepancyNotes?, witness?: { email, password } }
+ * DISPATCHED -> RECEIVED | RECEIVED_PARTIAL
+ * - El destino confirma lo recibido por lote (lotId = id del lote despachado); los no listados se reciben completos.
+ * - Entra al destino lo despachado (TRANSFER_IN al costo de origen) y el faltante se da de baja como merma (WRITE_OFF).
+ * - Ubicación de entrada: location del body o, si falta, toLocation de la transferencia.
+ * - Medicamentos controlados: la recepción también lleva testigo del hospital destino.
+ */
+exports.receiveTransfer = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const { items = [], location, discrepancyNotes } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ ok: false, message: 'items debe ser un arreglo' });
+    }
+
+    const transfer = await loadTransfer(req.params.id, ['DISPATCHED'], 'recibir');
+    const witnessedBy = await witnessFor({
+      medicationIds: transfer.lines.map(l => l.medication),
+      witness: req.body.witness,
+      userId: req.user?.id,
+      hospitalId: transfer.toHospital,
+    });
+
+    const lotsById = new Map();
+    for (const line of transfer.lines) {
+      for (const l of line.lots) lotsById.set(String(l._id), { line, lot: l });
+    }
+
+    const confirmed = new Map();
+    for (const it of items) {
+      const entry = lotsById.get(String(it.lotId));
+      const qty = Number(it.receivedQty);
+      if (!entry) {
+        return res.status(400).json({ ok: false, message: `Lote despachado no encontrado: ${it.lotId}` });
+      }
+      if (!Number.isFinite(qty) || qty < 0 || qty > entry.lot.dispatchedQty + EPSILON) {
+        return res.status(400).json({ ok: false, message: 'receivedQty debe estar entre 0 y la cantidad despachada' });
+      }
+      confirmed.set(String(it.lotId), qty);
+    }
+
+    const hasLoss = [...lotsById.values()].some(({ lot }) =>
+      lot.dispatchedQty - (confirmed.get(String(lot._id)) ?? lot.dispatchedQty) > EPSILON);
+    const finalStatus = hasLoss ? 'RECEIVED_PARTIAL' : 'RECEIVED';
+
+    await session.withTransaction(async () => {
+      // Tomar la transferencia de forma condicional: una recepción simultánea (o el reintento
+      // de la transacción) no vuelve a meter el stock
+      const claimed = await Transfer.updateOne(
+        { _id: transfer._id, status: 'DISPATCHED' },
+        { $set: { status: finalStatus } },
+        { session }
+      );
+      if (claimed.modifiedCount !== 1) {
+        const err = new Error('La transferencia ya fue recibida');
+        err.statusCode = 409;
+        throw err;
+      }
+
+      for (const { line, lot } of lotsById.values()) {
+        const received = confirmed.get(String(lot._id)) ?? lot.dispatchedQty;
+        const lost = lot.dispatchedQty - received;
+
+        const base = {
+          hospital: transfer.toHospital,
+          medication: line.medication,
+          uom: line.uom,
+          location: location || transfer.toLocation || undefined,
+          lot: lot.lot || undefined,
+          expiryDate: lot.expiryDate || undefined,
+          refType: 'XFER',
+          refId: transfer._id,
+          refCode: transfer.code,
+          createdBy: req.user?.id,
+          witnessedBy,
+        };
+
+        const inTx = new InventoryTransaction({
+          ...base,
+          type: 'IN',
+          qty: lot.dispatchedQty,
+          unitCost: lot.unitCost,
+          reason: 'TRANSFER_IN',
+        });
+        await inTx.save({ session });
+        lot.inTx = inTx._id;
+
+        if (lost > EPSILON) {
+          const lossTx = new InventoryTransaction({
+            ...base,
+            type: 'OUT',
+            qty: lost,
+            reason: 'WRITE_OFF',
+            notes: `Faltante en tránsito ${transfer.code}`,
+          });
+          await lossTx.save({ session });
+          lot.lossTx = lossTx._id;
+        }
+
+        lot.receivedQty = received;
+        lot.lostQty = Math.max(0, lost);
+      }
+
+      transfer.status = finalStatus;
+      transfer.receivedBy = req.user?.id;
+      transfer.receiveWitness = witnessedBy;
+      transfer.receivedAt = new Date();
+      if (discrepancyNotes) transfer.discrepancyNotes = discrepancyNotes;
+      await transfer.save({ session });
+    });
+
+    return res.json({
+      ok: true,
+      message: hasLoss ? 'Transferencia recibida con faltantes' : 'Transferencia recibida',
+      data: transfer
+    });
+  } catch (err) {
+    next(err);
+  } finally {
+    session.endSession();
+  }
+};
+
+/* =========================
+   7) cancelTransfer
+   ========================= */
+/**
+ * POST /api/transfers/:id/cancel
+ * body: { reason? }
+ * Solo antes de despachar (REQUESTED | APPROVED).
+ */
+exports.cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await loadTransfer(req.params.id, ['REQUESTED', 'APPROVED'], 'cancelar');
+
+    transfer.status = 'CANCELLED';
+    transfer.cancelledAt = new Date();
+    if (req.body.reason) transfer.notes = (transfer.notes ? transfer.notes + '\n' : '') + `Cancelled: ${req.body.reason}`;
+    await transfer.save();
+
+    return res.json({ ok: true, data: transfer });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =========================
+   8) listInTransit
+   ========================= */
+/**
+ * GET /api/transfers/in-transit
+ * query: hospital? (origen o destino), medication?
+ * Ubicación virtual "en tránsito": lotes despachados pendientes de recepción, con su valor.
+ */
+exports.listInTransit = async (req, res, next) => {
+  try {
+    const { hospital, medication } = req.query;
+
+    const filter = { status: 'DISPATCHED' };
+    if (hospital) filter.$or = [{ fromHospital: hospital }, { toHospital: hospital }];
+
+    const transfers = await Transfer.find(filter)
+      .populate('lines.medication', 'name code uom')
+      .lean();
+
+    const rows = [];
+    for (const t of transfers) {
+      for (const line of t.lines) {
+        const medId = String(line.medication?._id || line.medication);
+        if (medication && medId !== String(medication)) continue;
+        for (const l of line.lots) {
+          rows.push({
+            transfer: t._id,
+            code: t.code,
+            fromHospital: t.fromHospital,
+            toHospital: t.toHospital,
+            dispatchedAt: t.dispatchedAt,
+            medication: line.medication,
+            lot: l.lot,
+            expiryDate: l.expiryDate,
+            qty: l.dispatchedQty,
+            unitCost: l.unitCost || 0,
+            value: l.dispatchedQty * (l.unitCost || 0),
+          });
+        }
+      }
+    }
+
+    const totalValue = rows.reduce((acc, r) => acc + r.value, 0);
+    return res.json({ ok: true, data: rows, meta: { transfers: transfers.length, totalValue } });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,113 @@
+// Models/ControlledLogEntry.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Libro de control de medicamentos controlados (psicotrópicos / estupefacientes).
+ * Una entrada por movimiento de un medicamento con isControlled, consecutiva por hospital (seq)
+ * y encadenada por hash: hash = sha256(prevHash + contenido de la entrada). Alterar o borrar
+ * una entrada rompe la cadena desde ese punto (ver verifyChain en Utils/controlled.js).
+ * Solo se escribe desde el hook de InventoryTransaction; no se edita.
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+const controlledLogEntrySchema = new mongoose.Schema(
+  {
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      immutable: true,
+    },
+    seq: { type: Number, required: true, min: 1, immutable: true },
+    at: { type: Date, required: true, immutable: true },
+
+    medication: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication', required: true, immutable: true },
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryTransaction', required: true, immutable: true },
+
+    type: { type: String, required: true, immutable: true },
+    adjustSign: { type: String, immutable: true },
+    reason: { type: String, immutable: true },
+    qty: { type: Number, required: true, immutable: true },
+    signedQty: { type: Number, required: true, immutable: true },
+    balanceAfter: { type: Number, required: true, immutable: true }, // existencia del medicamento en el hospital
+    uom: { type: String, immutable: true },
+    lot: { type: String, immutable: true },
+    expiryDate: { type: Date, immutable: true },
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', immutable: true },
+    refType: { type: String, immutable: true },
+    refCode: { type: String, immutable: true },
+
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },
+    witnessedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },
+
+    prevHash: { type: String, required: true, immutable: true },
+    hash: { type: String, required: true, immutable: true },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+// El único por hospital+seq evita dos entradas con el mismo consecutivo (movimientos concurrentes)
+controlledLogEntrySchema.index({ hospital: 1, seq: 1 }, { unique: true });
+controlledLogEntrySchema.index({ hospital: 1, medication: 1, seq: 1 });
+controlledLogEntrySchema.index({ transaction: 1 });
+
+/* =========================
+   Estáticos
+   ========================= */
+
+// Contenido que entra al hash (orden fijo; fechas en ISO, ids como string)
+controlledLogEntrySchema.statics.computeHash = function (e) {
+  const iso = (d) => (d ? new Date(d).toISOString() : '');
+  const str = (v) => (v == null ? '' : String(v));
+  const payload = [
+    str(e.hospital), str(e.seq), iso(e.at),
+    str(e.medication), str(e.transaction),
+    str(e.type), str(e.adjustSign), str(e.reason),
+    str(e.qty), str(e.signedQty), str(e.balanceAfter), str(e.uom),
+    str(e.lot), iso(e.expiryDate), str(e.location),
+    str(e.refType), str(e.refCode),
+    str(e.performedBy), str(e.witnessedBy),
+  ].join('|');
+  return crypto.createHash('sha256').update(`${e.prevHash}|${payload}`).digest('hex');
+};
+
+/**
+ * Agrega la entrada al final de la cadena del hospital (dentro de la sesión del movimiento).
+ * entry: campos del movimiento sin seq/prevHash/hash.
+ */
+controlledLogEntrySchema.statics.append = async function (entry, { session } = {}) {
+  const last = await this.findOne({ hospital: entry.hospital }, 'seq hash')
+    .sort({ seq: -1 })
+    .session(session || null)
+    .lean();
+
+  const doc = {
+    ...entry,
+    seq: (last?.seq || 0) + 1,
+    at: entry.at || new Date(),
+    prevHash: last?.hash || GENESIS_HASH,
+  };
+  doc.hash = this.computeHash(doc);
+  const [created] = await this.create([doc], { session });
+  return created;
+};
+
+controlledLogEntrySchema.statics.genesisHash = () => GENESIS_HASH;
+
+module.exports = mongoose.model('ControlledLogEntry', controlledLogEntrySchema);
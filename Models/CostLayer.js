@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+/**
+ * Métodos de costeo (configurable por hospital en Hospital.settings.costingMethod):
+ *  - WAVG: costo promedio ponderado; una sola capa por hospital+medicación
+ *  - FIFO: primeras entradas, primeras salidas (PEPS); una capa por cada entrada y una negativa
+ *    por cada salida que excede las capas (la cubre la siguiente entrada)
+ */
+const COST_METHODS = ['WAVG', 'FIFO'];
+// Margen para residuos de punto flotante (mismo valor que EPSILON en Utils/stockLedger)
+const EPSILON = 1e-6;
+
+const costLayerSchema = new mongoose.Schema(
+  {
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+    medication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+      required: true,
+      index: true,
+    },
+    method: { type: String, enum: COST_METHODS, required: true },
+
+    unitCost: { type: Number, min: 0, default: 0 },
+    qtyIn: { type: Number, default: 0 },        // cantidad que originó la capa
+    qtyRemaining: { type: Number, default: 0 }, // cantidad aún valuada en la capa
+
+    receivedAt: { type: Date, default: Date.now },
+    sourceTx: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryTransaction' },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+// Consumo FIFO: capas con saldo en orden de entrada
+costLayerSchema.index({ hospital: 1, medication: 1, method: 1, receivedAt: 1 });
+
+/* =========================
+   Métodos de dominio
+   ========================= */
+
+/**
+ * Aplica un movimiento a las capas de costo y devuelve su costo.
+ * - mov: { hospital, medication, signedQty, unitCost?, txId?, reversalOf? }
+ * - Entradas: crean/actualizan capa con unitCost (si falta, se usa el costo vigente); en FIFO primero
+ *   cubren las capas negativas que dejaron salidas mayores al stock valuado.
+ * - Salidas: consumen capas (promedio o FIFO) y devuelven el costo de lo emitido.
+ * - Reverso de una entrada (salida con reversalOf): sale al costo de la entrada; en WAVG ese valor
+ *   se descuenta del promedio y en FIFO se consume primero la capa que creó la entrada.
+ * Devuelve { unitCost, totalCost }
+ */
+costLayerSchema.statics.applyMovement = async function (mov, { method = 'WAVG', session } = {}) {
+  const { hospital, medication, signedQty, txId } = mov;
+  const qty = Math.abs(signedQty);
+  const scope = { hospital, medication, method };
+
+  // Costo de respaldo: último costo conocido o precio del catálogo
+  const fallbackCost = async () => {
+    const last = await this.findOne(scope).sort({ receivedAt: -1, _id: -1 }).session(session || null).lean();
+    if (last) return last.unitCost;
+    const med = await mongoose.model('Medication').findById(medication, 'unitPrice').session(session || null).lean();
+    return med?.unitPrice || 0;
+  };
+
+  if (method === 'WAVG') {
+    const layer = await this.findOne(scope).session(session || null);
+    const current = layer ? layer.unitCost : await fallbackCost();
+
+    if (signedQty > 0) {
+      const unitCost = mov.unitCost ?? current;
+      if (!layer) {
+        await this.create([{ ...scope, unitCost, qtyIn: qty, qtyRemaining: qty, sourceTx: txId }], { session });
+      } else {
+        // Con saldo negativo no hay valor previo que promediar
+        const base = Math.max(layer.qtyRemaining, 0);
+        layer.unitCost = (base * layer.unitCost + qty * unitCost) / (base + qty);
+        layer.qtyRemaining += qty;
+        layer.qtyIn += qty;
+        await layer.save({ session });
+      }
+      return { unitCost, totalCost: qty * unitCost };
+    }
+
+    const outCost = mov.reversalOf && mov.unitCost != null ? mov.unitCost : current;
+    if (!layer) {
+      await this.create([{ ...scope, unitCost: outCost, qtyRemaining: -qty }], { session });
+    } else {
+      const base = Math.max(layer.qtyRemaining, 0);
+      layer.qtyRemaining -= qty;
+      // Sale a un costo distinto del promedio: el valor restante se reparte en lo que queda
+      if (outCost !== current && layer.qtyRemaining > 0) {
+        layer.unitCost = Math.max(base * current - qty * outCost, 0) / layer.qtyRemaining;
+      }
+      await layer.save({ session });
+    }
+    return { unitCost: outCost, totalCost: qty * outCost };
+  }
+
+  // FIFO
+  if (signedQty > 0) {
+    const unitCost = mov.unitCost ?? await fallbackCost();
+    // Primero cubre faltantes (capas negativas de salidas sin stock valuado), en orden de salida
+    const shortfalls = await this.find({ ...scope, qtyRemaining: { $lt: -EPSILON } })
+      .sort({ receivedAt: 1, _id: 1 })
+      .session(session || null);
+    let left = qty;
+    for (const l of shortfalls) {
+      if (left <= EPSILON) break;
+      const take = Math.min(-l.qtyRemaining, left);
+      l.qtyRemaining += take;
+      left -= take;
+      if (Math.abs(l.qtyRemaining) <= EPSILON) await l.deleteOne({ session });
+      else await l.save({ session });
+    }
+    if (left > EPSILON) {
+      await this.create([{ ...scope, unitCost, qtyIn: qty, qtyRemaining: left, sourceTx: txId }], { session });
+    }
+    return { unitCost, totalCost: qty * unitCost };
+  }
+
+  const layers = await this.find({ ...scope, qtyRemaining: { $gt: EPSILON } })
+    .sort({ receivedAt: 1, _id: 1 })
+    .session(session || null);
+  // Reverso de una entrada: primero la capa que creó esa entrada
+  if (mov.reversalOf) {
+    const i = layers.findIndex(l => String(l.sourceTx) === String(mov.reversalOf));
+    if (i > 0) layers.unshift(...layers.splice(i, 1));
+  }
+
+  let remaining = qty;
+  let totalCost = 0;
+  let lastCost = null;
+  for (const l of layers) {
+    if (remaining <= EPSILON) break;
+    const take = Math.min(l.qtyRemaining, remaining);
+    l.qtyRemaining -= take;
+    await l.save({ session });
+    totalCost += take * l.unitCost;
+    lastCost = l.unitCost;
+    remaining -= take;
+  }
+  // Salida sin capas suficientes (stock negativo/legado): se valúa al último costo conocido y queda
+  // como capa negativa que absorbe la siguiente entrada
+  if (remaining > EPSILON) {
+    const cost = lastCost ?? await fallbackCost();
+    totalCost += remaining * cost;
+    await this.create([{ ...scope, unitCost: cost, qtyRemaining: -remaining, sourceTx: txId }], { session });
+  }
+
+  return { unitCost: totalCost / qty, totalCost };
+};
+
+module.exports = mongoose.model('CostLayer', costLayerSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+/**
+ * Estados del conteo físico:
+ *  - OPEN:      abierto; cantidades esperadas congeladas, se capturan conteos
+ *  - REVIEW:    captura cerrada; se revisan y aprueban diferencias
+ *  - POSTED:    diferencias aprobadas registradas como ADJUST (refType 'ADJ')
+ *  - CANCELLED: descartado sin afectar inventario
+ */
+const COUNT_STATUSES = ['OPEN', 'REVIEW', 'POSTED', 'CANCELLED'];
+
+/* =========================
+   Subesquema: Línea de conteo
+   ========================= */
+const countLineSchema = new mongoose.Schema(
+  {
+    medication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+      required: true,
+    },
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    lot: { type: String, trim: true, default: null },
+    expiryDate: { type: Date, default: null },
+
+    // Congelado al abrir el conteo (0 si el lote aparece solo en el conteo)
+    expectedQty: { type: Number, required: true, default: 0 },
+
+    countedQty: { type: Number, min: 0 },
+    countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    countedAt: { type: Date },
+
+    approved: { type: Boolean, default: false },
+    // Diferencia registrada: contado - existencia al momento del conteo (neta de movimientos con el conteo abierto)
+    postedVariance: { type: Number },
+    postedTx: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryTransaction' },
+    notes: { type: String, trim: true },
+  }
+);
+
+// Diferencia contada - esperada (null si aún no se cuenta)
+countLineSchema.virtual('variance').get(function () {
+  return this.countedQty == null ? null : this.countedQty - this.expectedQty;
+});
+countLineSchema.set('toJSON', { virtuals: true });
+countLineSchema.set('toObject', { virtuals: true });
+
+/* =========================
+   Esquema principal: CountSession
+   ========================= */
+const countSessionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9\-_]{3,60}$/, 'Invalid count code format'],
+    },
+
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: COUNT_STATUSES,
+      default: 'OPEN',
+      index: true,
+    },
+
+    // Alcance opcional (vacío = todo el hospital); location incluye sus sububicaciones
+    scope: {
+      medications: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Medication' }],
+      lots: [{ type: String, trim: true }],
+      location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+      // Clases ABC/XYZ usadas para armar la lista de medicamentos (informativo)
+      abc: [{ type: String, enum: ['A', 'B', 'C'] }],
+      xyz: [{ type: String, enum: ['X', 'Y', 'Z'] }],
+    },
+
+    lines: [countLineSchema],
+
+    notes: { type: String, trim: true },
+
+    // Auditoría por etapa
+    openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    postedAt: { type: Date },
+    cancelledAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+countSessionSchema.index({ hospital: 1, status: 1, createdAt: -1 });
+
+/* =========================
+   Métodos de dominio
+   ========================= */
+
+// Busca la línea de un medicamento+ubicación+lote+caducidad
+countSessionSchema.methods.findLine = function ({ medication, location, lot, expiryDate }) {
+  const exp = expiryDate ? new Date(expiryDate).getTime() : null;
+  return this.lines.find(l =>
+    String(l.medication) === String(medication) &&
+    String(l.location || '') === String(location || '') &&
+    (l.lot || null) === (lot || null) &&
+    (l.expiryDate ? l.expiryDate.getTime() : null) === exp
+  );
+};
+
+// ¿El medicamento/lote entra en el alcance del conteo?
+countSessionSchema.methods.inScope = function ({ medication, lot }) {
+  const meds = this.scope?.medications || [];
+  const lots = this.scope?.lots || [];
+  if (meds.length && !meds.some(m => String(m) === String(medication))) return false;
+  if (lots.length && !lots.includes(lot)) return false;
+  return true;
+};
+
+// Resumen de diferencias
+countSessionSchema.virtual('summary').get(function () {
+  const lines = this.lines || [];
+  const counted = lines.filter(l => l.countedQty != null);
+  return {
+    lines: lines.length,
+    counted: counted.length,
+    pending: lines.length - counted.length,
+    withVariance: counted.filter(l => l.countedQty !== l.expectedQty).length,
+  };
+});
+
+module.exports = mongoose.model('CountSession', countSessionSchema);
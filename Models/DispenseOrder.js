@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+/**
+ * Orden de surtido (documento ISSUE) de farmacia a un servicio/piso o a un paciente:
+ *  REQUESTED -> PICKED -> DISPENSED | PARTIAL
+ *  PARTIAL -> PICKED (se vuelve a surtir lo pendiente) ... -> DISPENSED
+ *  CANCELLED: sin nada surtido; CLOSED: cerrada con pendiente (surtido parcial definitivo)
+ *
+ * El pick solo propone lotes (FEFO, sin mover inventario); la confirmación genera los
+ * OUT CONSUMPTION con refType 'ISSUE' y refId = la orden; anular uno de esos OUT lo quita del
+ * surtido (removeDispensedTx).
+ */
+const DISPENSE_STATUSES = [
+  'REQUESTED',
+  'PICKED',
+  'PARTIAL',
+  'DISPENSED',
+  'CLOSED',
+  'CANCELLED',
+];
+
+/* =========================
+   Subesquema: lote propuesto (pick) o surtido
+   ========================= */
+const dispenseLotSchema = new mongoose.Schema(
+  {
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    lot: { type: String, trim: true, default: null },
+    expiryDate: { type: Date, default: null },
+    qty: { type: Number, required: true, min: 0 },
+    unitCost: { type: Number, min: 0 },
+    tx: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryTransaction' }, // solo en surtidos
+  },
+  { _id: false }
+);
+
+/* =========================
+   Subesquema: línea solicitada
+   ========================= */
+const dispenseLineSchema = new mongoose.Schema(
+  {
+    medication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+      required: true,
+    },
+    // qty/uom en unidad base del medicamento; enteredQty/enteredUom como se solicitó
+    qty: { type: Number, required: true, min: [0.0001, 'Quantity must be > 0'] },
+    uom: { type: String, trim: true, default: 'unit' },
+    enteredQty: { type: Number, min: 0 },
+    enteredUom: { type: String, trim: true },
+
+    picks: [dispenseLotSchema],      // propuesta vigente (se vacía al confirmar)
+    dispensed: [dispenseLotSchema],  // lo efectivamente surtido (acumulado)
+    dispensedQty: { type: Number, min: 0, default: 0 },
+    notes: { type: String, trim: true },
+  }
+);
+
+// Cantidad por surtir de la línea
+dispenseLineSchema.virtual('pendingQty').get(function () {
+  return Math.max(0, this.qty - (this.dispensedQty || 0));
+});
+dispenseLineSchema.set('toJSON', { virtuals: true });
+dispenseLineSchema.set('toObject', { virtuals: true });
+
+/* =========================
+   Esquema principal: DispenseOrder
+   ========================= */
+const dispenseOrderSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9\-_]{3,60}$/, 'Invalid dispense order code format'],
+    },
+
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+    // Ubicación que surte (farmacia / satélite); null = todo el hospital
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+
+    // Servicio o piso que solicita (ej. URGENCIAS, UCI, PISO-3)
+    ward: { type: String, required: true, trim: true, uppercase: true, maxlength: 80 },
+    // Paciente y episodio (opcionales: los pedidos de piso no llevan paciente)
+    patientId: { type: String, trim: true, maxlength: 80 },
+    encounter: { type: String, trim: true, maxlength: 80 },
+
+    status: {
+      type: String,
+      enum: DISPENSE_STATUSES,
+      default: 'REQUESTED',
+      index: true,
+    },
+
+    lines: {
+      type: [dispenseLineSchema],
+      validate: [
+        arr => arr.length > 0,
+        'Dispense order must have at least one line item',
+      ],
+    },
+
+    notes: { type: String, trim: true },
+
+    // Auditoría por etapa
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    pickedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    pickedAt: { type: Date },
+    dispensedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    dispenseWitness: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // segunda firma (controlados)
+    dispensedAt: { type: Date },
+    closedAt: { type: Date },
+    cancelledAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+dispenseOrderSchema.index({ hospital: 1, status: 1, createdAt: -1 });
+dispenseOrderSchema.index({ hospital: 1, ward: 1, createdAt: -1 });
+dispenseOrderSchema.index({ hospital: 1, patientId: 1, encounter: 1 });
+
+/* =========================
+   Hooks
+   ========================= */
+dispenseOrderSchema.pre('validate', function (next) {
+  if (this.code) this.code = this.code.trim().toUpperCase();
+  if (this.ward) this.ward = this.ward.trim().toUpperCase();
+  next();
+});
+
+/* =========================
+   Métodos de dominio
+   ========================= */
+
+/**
+ * Quita de la orden un surtido anulado (void del OUT ISSUE): descuenta dispensedQty de la línea
+ * y recalcula el estado para que lo pendiente se pueda volver a surtir.
+ *  DISPENSED | PARTIAL -> PARTIAL (queda algo surtido) | REQUESTED (nada surtido)
+ *  CLOSED -> CANCELLED si ya no queda nada surtido. PICKED conserva su propuesta.
+ * Devuelve false si la transacción no pertenece a la orden.
+ */
+dispenseOrderSchema.methods.removeDispensedTx = function (txId) {
+  const line = this.lines.find(l => l.dispensed.some(d => String(d.tx) === String(txId)));
+  if (!line) return false;
+
+  const entry = line.dispensed.find(d => String(d.tx) === String(txId));
+  line.dispensed = line.dispensed.filter(d => d !== entry);
+  line.dispensedQty = Math.max(0, (line.dispensedQty || 0) - entry.qty);
+
+  const anyDispensed = this.lines.some(l => l.dispensedQty > 0);
+  if (['DISPENSED', 'PARTIAL'].includes(this.status)) {
+    this.status = anyDispensed ? 'PARTIAL' : 'REQUESTED';
+  } else if (this.status === 'CLOSED' && !anyDispensed) {
+    this.status = 'CANCELLED';
+    this.cancelledAt = new Date();
+  }
+  return true;
+};
+
+/* =========================
+   Virtuales útiles
+   ========================= */
+dispenseOrderSchema.virtual('isOpen').get(function () {
+  return ['REQUESTED', 'PICKED', 'PARTIAL'].includes(this.status);
+});
+
+module.exports = mongoose.model('DispenseOrder', dispenseOrderSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Consecutivo de folios por hospital, tipo de documento y año (ver Utils/numbering.js).
+ * Se incrementa con $inc atómico; cada año arranca un contador nuevo en 0.
+ */
+const DOC_TYPES = ['PO', 'TRANSFER', 'COUNT', 'DISPENSE'];
+
+const documentCounterSchema = new mongoose.Schema(
+  {
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+    },
+    docType: { type: String, enum: DOC_TYPES, required: true },
+    year: { type: Number, required: true, min: 2000 },
+    seq: { type: Number, required: true, min: 0, default: 0 },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+// Un contador por hospital/tipo/año (el upsert concurrente no puede duplicarlo)
+documentCounterSchema.index({ hospital: 1, docType: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model('DocumentCounter', documentCounterSchema);
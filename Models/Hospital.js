@@ -51,6 +51,50 @@ const hospitalSchema = new mongoose.Schema(
     settings: {
       timezone: { type: String, default: 'America/Mexico_City' },
       currency: { type: String, default: 'MXN' },
+      // Método de valuación de inventario (ver Models/CostLayer.js)
+      costingMethod: { type: String, enum: ['WAVG', 'FIFO'], default: 'WAVG' },
+      // Pronóstico de consumo (ver Utils/forecasting.js); autoApply lo aplica el job diario
+      forecast: {
+        autoApply: { type: Boolean, default: false },
+        method: { type: String, enum: ['MOVING_AVERAGE', 'SES', 'HOLT_WINTERS'], default: 'HOLT_WINTERS' },
+        serviceLevel: { type: Number, min: 0.5, max: 0.9999, default: 0.95 },
+        months: { type: Number, min: 3, max: 60, default: 24 },
+      },
+      // Alertas de caducidad (ver Utils/expiry.js): horizontes en días y baja automática de caducados
+      expiry: {
+        scan: { type: Boolean, default: true },
+        horizons: { type: [Number], default: () => [90, 30, 7] },
+        autoWriteOff: { type: Boolean, default: false },
+      },
+      // Stock sin movimiento (ver Utils/deadStock.js); notify activa el resumen semanal
+      deadStock: {
+        notify: { type: Boolean, default: false },
+        days: { type: Number, min: 1, max: 3650, default: 180 },
+        recentDays: { type: Number, min: 1, max: 3650, default: 90 },
+        slowCoverDays: { type: Number, min: 1, max: 3650, default: 365 },
+      },
+      // Aprobación de OCs (ver Utils/poApproval.js), opcional por hospital; sin levels aplican los de fábrica
+      poApproval: {
+        required: { type: Boolean, default: false },
+        levels: {
+          type: [{
+            _id: false,
+            minTotal: { type: Number, min: 0, default: 0 },
+            currency: { type: String, trim: true, uppercase: true, default: 'MXN' },
+            role: { type: String, enum: ['manager', 'admin'], required: true },
+          }],
+          default: undefined,
+        },
+      },
+      // Folios de documentos (ver Utils/numbering.js); sin prefijo aplica el de fábrica (PO/TRF/CNT/DSP)
+      numbering: {
+        prefixes: {
+          PO: { type: String, trim: true, uppercase: true, match: /^[A-Z0-9]{1,10}$/ },
+          TRANSFER: { type: String, trim: true, uppercase: true, match: /^[A-Z0-9]{1,10}$/ },
+          COUNT: { type: String, trim: true, uppercase: true, match: /^[A-Z0-9]{1,10}$/ },
+          DISPENSE: { type: String, trim: true, uppercase: true, match: /^[A-Z0-9]{1,10}$/ },
+        },
+      },
     },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // opcional
   },
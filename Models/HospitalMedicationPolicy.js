@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Política de reabasto por hospital (y opcionalmente por ubicación) para un medicamento.
+ * Cada campo es opcional: null = hereda del nivel superior
+ *  (ubicación -> hospital -> Medication.policy).
+ * Ver Utils/medicationPolicy.js para la resolución.
+ */
+const POLICY_FIELDS = ['reorderPoint', 'safetyStock', 'avgMonthlyConsumption'];
+
+const hospitalMedicationPolicySchema = new mongoose.Schema(
+  {
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+    medication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+      required: true,
+      index: true,
+    },
+    // null = aplica a todo el hospital
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+
+    reorderPoint: { type: Number, min: 0, default: null },
+    safetyStock: { type: Number, min: 0, default: null },
+    avgMonthlyConsumption: { type: Number, min: 0, default: null },
+
+    // MANUAL (capturada) | FORECAST (escrita por el pronóstico; el job automático no pisa las MANUAL)
+    source: { type: String, enum: ['MANUAL', 'FORECAST'], default: 'MANUAL' },
+    forecast: {
+      method: { type: String, trim: true },
+      serviceLevel: { type: Number },
+      leadTimeDays: { type: Number },
+      mape: { type: Number },
+      appliedAt: { type: Date },
+    },
+
+    notes: { type: String, trim: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+// Una política por hospital + medicamento + ubicación
+hospitalMedicationPolicySchema.index(
+  { hospital: 1, medication: 1, location: 1 },
+  { unique: true }
+);
+
+/* =========================
+   Hooks
+   ========================= */
+// Evita registros vacíos que no sobrescriben nada
+hospitalMedicationPolicySchema.pre('validate', function (next) {
+  if (POLICY_FIELDS.every(f => this[f] == null)) {
+    const err = new Error('La política debe definir al menos reorderPoint, safetyStock o avgMonthlyConsumption');
+    err.statusCode = 400;
+    return next(err);
+  }
+  next();
+});
+
+module.exports = mongoose.model('HospitalMedicationPolicy', hospitalMedicationPolicySchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const StockBalance = require('./StockBalance');
+const CostLayer = require('./CostLayer');
+const Hospital = require('./Hospital');
+const Location = require('./Location');
+const Medication = require('./Medication');
+const ControlledLogEntry = require('./ControlledLogEntry');
 
 /**
  * Tipos de movimiento:
@@ -12,7 +18,7 @@ const TX_TYPES = ['IN', 'OUT', 'ADJUST'];
  * Referencias de documento origen (auditoría / trazabilidad):
  *  - PO:           Purchase Order (orden de compra)
  *  - PO_RECEIPT:   recepción de OC
- *  - ISSUE:        orden de salida/dispensación
+ *  - ISSUE:        orden de salida/dispensación (DispenseOrder)
  *  - ADJ:          ajuste manual
  *  - XFER:         transferencia entre hospitales/almacenes
  *  - OTHER:        otros
@@ -32,6 +38,7 @@ const REASONS = [
   'TRANSFER_IN',      // transferencia entrante
   'TRANSFER_OUT',     // transferencia saliente
   'WRITE_OFF',        // baja por caducidad/merma
+  'LOCATION_MOVE',    // movimiento interno entre ubicaciones del mismo hospital
   'OTHER'
 ];
 
@@ -50,6 +57,12 @@ const inventoryTransactionSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Ubicación física dentro del hospital (opcional)
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      index: true,
+    },
 
     // Dirección del movimiento
     type: {
@@ -64,11 +77,15 @@ const inventoryTransactionSchema = new mongoose.Schema(
       required: true,
       min: [0.000001, 'qty must be > 0'],
     },
+    // qty/uom siempre en la unidad base del medicamento
     uom: {
       type: String,
       trim: true,
       default: 'unit',
     },
+    // Cantidad y unidad tal como se capturaron (ej. 10 box); solo informativo
+    enteredQty: { type: Number, min: 0 },
+    enteredUom: { type: String, trim: true },
 
     // Para ADJUST, especifica si el ajuste suma o resta
     adjustSign: {
@@ -81,8 +98,10 @@ const inventoryTransactionSchema = new mongoose.Schema(
     lot: { type: String, trim: true, index: true },
     expiryDate: { type: Date, index: true },
 
-    // Valuación (opcional, útil si manejas costo promedio/PEPS)
+    // Valuación: en entradas lo captura el usuario; en salidas se estampa el costo de lo emitido
     unitCost: { type: Number, min: 0 },
+    totalCost: { type: Number, min: 0 },
+    costMethod: { type: String, enum: ['WAVG', 'FIFO'] },
 
     // Referencia al documento origen (para auditoría)
     refType: { type: String, enum: REF_TYPES, default: 'OTHER', index: true },
@@ -92,9 +111,16 @@ const inventoryTransactionSchema = new mongoose.Schema(
     reason: { type: String, enum: REASONS, default: 'OTHER', index: true },
     notes: { type: String, trim: true },
 
+    // Anulación: la original apunta a su reverso y el reverso a la original
+    reversalOf: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryTransaction', index: true },
+    reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryTransaction' },
+    reversedAt: { type: Date },
+
     // Auditoría
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Testigo (segunda firma); obligatorio en OUT/ADJUST de medicamentos controlados
+    witnessedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   },
   {
     timestamps: true,
@@ -123,6 +149,9 @@ inventoryTransactionSchema.index({ hospital: 1, expiryDate: 1 });
 // Auditoría por documento origen
 inventoryTransactionSchema.index({ refType: 1, refId: 1 });
 
+// Kardex por ubicación
+inventoryTransactionSchema.index({ hospital: 1, location: 1, medication: 1, createdAt: -1 });
+
 // Búsqueda por lote dentro del hospital y medicamento
 inventoryTransactionSchema.index(
   { hospital: 1, medication: 1, lot: 1 },
@@ -152,6 +181,95 @@ inventoryTransactionSchema.pre('validate', function (next) {
   next();
 });
 
+/* =========================
+   Saldo materializado y valuación
+   ========================= */
+// Cada alta en el ledger actualiza StockBalance y las capas de costo dentro de la misma session,
+// así todo queda consistente (o se revierte junto si falla la transacción).
+inventoryTransactionSchema.pre('save', async function () {
+  if (!this.isNew) return;
+  const session = this.$session();
+  const signedQty = this.getSignedQty();
+
+  // La ubicación debe pertenecer al hospital del movimiento
+  if (this.location) {
+    const loc = await Location.findById(this.location, 'hospital').session(session).lean();
+    if (!loc || String(loc.hospital) !== String(this.hospital)) {
+      const err = new Error('location no pertenece al hospital');
+      err.statusCode = 400;
+      throw err;
+    }
+  }
+
+  // Controlados: salidas y ajustes solo con testigo distinto de quien registra
+  const med = await Medication.findById(this.medication, 'isControlled').session(session).lean();
+  const controlled = !!med?.isControlled;
+  if (controlled && (this.type === 'OUT' || this.type === 'ADJUST')) {
+    if (!this.witnessedBy || String(this.witnessedBy) === String(this.createdBy || '')) {
+      const err = new Error('Medicamento controlado: se requiere testigo (otro usuario autorizado)');
+      err.statusCode = 400;
+      throw err;
+    }
+  }
+
+  await StockBalance.updateOne(
+    StockBalance.keyOf(this),
+    {
+      $inc: { qty: signedQty },
+      $set: { lastTxAt: new Date() },
+    },
+    { upsert: true, session }
+  );
+
+  // Libro de control: entrada encadenada con la existencia resultante del medicamento
+  if (controlled) {
+    const [agg] = await StockBalance.aggregate([
+      { $match: { hospital: this.hospital, medication: this.medication } },
+      { $group: { _id: null, qty: { $sum: '$qty' } } },
+    ]).session(session || null);
+    await ControlledLogEntry.append({
+      hospital: this.hospital,
+      at: new Date(),
+      medication: this.medication,
+      transaction: this._id,
+      type: this.type,
+      adjustSign: this.adjustSign,
+      reason: this.reason,
+      qty: this.qty,
+      signedQty,
+      balanceAfter: agg?.qty || 0,
+      uom: this.uom,
+      lot: this.lot,
+      expiryDate: this.expiryDate,
+      location: this.location,
+      refType: this.refType,
+      refCode: this.refCode,
+      performedBy: this.createdBy,
+      witnessedBy: this.witnessedBy,
+    }, { session });
+  }
+
+  // Un movimiento entre ubicaciones no cambia el valor del hospital
+  if (this.reason === 'LOCATION_MOVE') return;
+
+  const hospital = await Hospital.findById(this.hospital, 'settings.costingMethod').session(session).lean();
+  const method = hospital?.settings?.costingMethod || 'WAVG';
+  const { unitCost, totalCost } = await CostLayer.applyMovement(
+    {
+      hospital: this.hospital,
+      medication: this.medication,
+      signedQty,
+      unitCost: this.unitCost,
+      txId: this._id,
+      reversalOf: this.reversalOf,
+    },
+    { method, session }
+  );
+  this.unitCost = unitCost;
+  this.totalCost = totalCost;
+  this.costMethod = method;
+});
+
 /* =========================
    Métodos de dominio
    ========================= */
@@ -164,6 +282,14 @@ inventoryTransactionSchema.methods.getSignedQty = function () {
   return this.adjustSign === 'IN' ? this.qty : -this.qty;
 };
 
+// ¿Ya fue anulada o es ella misma un reverso?
+inventoryTransactionSchema.methods.isReversed = function () {
+  return !!this.reversedBy;
+};
+inventoryTransactionSchema.methods.isReversal = function () {
+  return !!this.reversalOf;
+};
+
 // Helper para saber si afecta a un lote/caducidad específico
 inventoryTransactionSchema.methods.hasBatchInfo = function () {
   return !!(this.lot || this.expiryDate);
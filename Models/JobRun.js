@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Bitácora de ejecuciones de jobs programados (reabasto, alertas, etc.).
+ * Un solo RUNNING por job (índice único parcial): evita corridas simultáneas
+ * si hay varias instancias del API o si alguien lo lanza a mano mientras corre el programado.
+ */
+const JOB_RUN_STATUSES = ['RUNNING', 'SUCCEEDED', 'FAILED'];
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: { type: String, required: true, trim: true, index: true },
+    status: { type: String, enum: JOB_RUN_STATUSES, default: 'RUNNING', index: true },
+
+    // SCHEDULE (programado) | MANUAL (endpoint)
+    trigger: { type: String, enum: ['SCHEDULE', 'MANUAL'], default: 'SCHEDULE' },
+    dryRun: { type: Boolean, default: false },
+    params: { type: mongoose.Schema.Types.Mixed },
+
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    summary: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String, trim: true },
+
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+// Lock: una sola corrida en curso por job (las dry-run no toman lock)
+jobRunSchema.index(
+  { job: 1 },
+  { unique: true, partialFilterExpression: { status: 'RUNNING', dryRun: false }, name: 'job_running_lock' }
+);
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
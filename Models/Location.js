@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ubicaciones físicas dentro de un hospital (jerárquicas):
+ *  WAREHOUSE (farmacia central / almacén) -> ROOM (sala, satélite de piso) -> SHELF | BIN
+ *  CART: carro rojo / carro de paro (puede colgar de cualquier nivel)
+ */
+const LOCATION_TYPES = ['WAREHOUSE', 'ROOM', 'SHELF', 'BIN', 'CART'];
+
+const locationSchema = new mongoose.Schema(
+  {
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9\-_\.]{1,40}$/, 'Invalid location code format'],
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 1,
+      maxlength: 150,
+    },
+    type: {
+      type: String,
+      enum: LOCATION_TYPES,
+      required: true,
+      default: 'WAREHOUSE',
+    },
+
+    // Jerarquía: padre directo + ancestros (raíz primero) para consultas de subárbol
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Location' }],
+
+    isActive: { type: Boolean, default: true, index: true },
+    notes: { type: String, trim: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+// Código único dentro del hospital
+locationSchema.index({ hospital: 1, code: 1 }, { unique: true });
+// Subárbol de una ubicación
+locationSchema.index({ ancestors: 1 });
+
+/* =========================
+   Hooks
+   ========================= */
+function hierarchyError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+// Calcula ancestros a partir del padre (el padre debe ser del mismo hospital)
+locationSchema.pre('validate', async function () {
+  if (this.code) this.code = this.code.toUpperCase().trim();
+  if (!this.isModified('parent') && !this.isNew) return;
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return;
+  }
+  if (String(this.parent) === String(this._id)) {
+    throw hierarchyError('Una ubicación no puede ser su propio padre');
+  }
+
+  const parent = await this.constructor.findById(this.parent, 'hospital ancestors').lean();
+  if (!parent) throw hierarchyError('Parent location not found');
+  if (String(parent.hospital) !== String(this.hospital)) {
+    throw hierarchyError('La ubicación padre pertenece a otro hospital');
+  }
+  if ((parent.ancestors || []).some(a => String(a) === String(this._id))) {
+    throw hierarchyError('La jerarquía de ubicaciones no puede tener ciclos');
+  }
+  this.ancestors = [...(parent.ancestors || []), parent._id];
+});
+
+/* =========================
+   Métodos estáticos
+   ========================= */
+
+// Ids de la ubicación y todo su subárbol
+locationSchema.statics.subtreeIds = async function (locationId) {
+  const id = new mongoose.Types.ObjectId(locationId);
+  const children = await this.find({ ancestors: id }, '_id').lean();
+  return [id, ...children.map(c => c._id)];
+};
+
+module.exports = mongoose.model('Location', locationSchema);
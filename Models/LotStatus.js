@@ -0,0 +1,117 @@
+// Models/LotStatus.js
+const mongoose = require('mongoose');
+
+/**
+ * Estado de un lote (medicamento + lote) para bloquear su salida.
+ *  - AVAILABLE:  disponible (equivale a no tener registro)
+ *  - QUARANTINE: retenido mientras se revisa (recepción dudosa, temperatura, etc.)
+ *  - RECALLED:   retirado por el fabricante / COFEPRIS
+ *  - REJECTED:   rechazado definitivamente; solo puede salir por devolución o baja
+ * hospital = null aplica a todos los hospitales; un registro del hospital tiene prioridad sobre el global.
+ * FEFO no asigna lotes bloqueados (ver allocateFEFO en Utils/stockLedger.js).
+ */
+const LOT_STATUSES = ['AVAILABLE', 'QUARANTINE', 'RECALLED', 'REJECTED'];
+
+const lotStatusHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: LOT_STATUSES, required: true },
+    reason: { type: String, trim: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { _id: false }
+);
+
+const lotStatusSchema = new mongoose.Schema(
+  {
+    medication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+      required: true,
+      index: true,
+    },
+    lot: { type: String, required: true, trim: true },
+    hospital: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', default: null, index: true },
+
+    status: { type: String, enum: LOT_STATUSES, required: true, default: 'AVAILABLE', index: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+
+    // Datos del retiro (solo RECALLED)
+    recall: {
+      reference: { type: String, trim: true }, // folio del aviso
+      authority: { type: String, trim: true }, // ej. 'COFEPRIS', 'Fabricante'
+      issuedAt: { type: Date },
+    },
+
+    history: [lotStatusHistorySchema],
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+lotStatusSchema.index({ medication: 1, lot: 1, hospital: 1 }, { unique: true });
+
+/* =========================
+   Virtuales útiles
+   ========================= */
+lotStatusSchema.virtual('isBlocked').get(function () {
+  return this.status !== 'AVAILABLE';
+});
+
+/* =========================
+   Métodos de dominio
+   ========================= */
+
+// Cambia el estado dejando rastro en history
+lotStatusSchema.methods.setStatus = function (status, { reason, userId } = {}) {
+  this.status = status;
+  if (reason !== undefined) this.reason = reason;
+  this.updatedBy = userId;
+  this.history.push({ status, reason, by: userId });
+  return this;
+};
+
+/* =========================
+   Estáticos
+   ========================= */
+
+/**
+ * Lotes bloqueados de un medicamento en un hospital.
+ * Devuelve Map<lot, status> con el estado efectivo (hospital sobre global) distinto de AVAILABLE.
+ * Excepción: un RECALLED global prevalece sobre cualquier registro del hospital (un retiro no se
+ * libera localmente; se levanta cambiando el registro global).
+ */
+lotStatusSchema.statics.blockedLots = async function ({ hospitalId, medicationId, session }) {
+  const rows = await this.find(
+    { medication: medicationId, hospital: { $in: [hospitalId, null] } },
+    'lot hospital status'
+  ).session(session || null).lean();
+
+  const effective = new Map();
+  // Primero los globales y luego los del hospital, que los sobrescriben
+  for (const r of rows.sort((a, b) => (a.hospital ? 1 : 0) - (b.hospital ? 1 : 0))) {
+    if (r.hospital && effective.get(r.lot) === 'RECALLED') continue;
+    effective.set(r.lot, r.status);
+  }
+  for (const [lot, status] of effective) {
+    if (status === 'AVAILABLE') effective.delete(lot);
+  }
+  return effective;
+};
+
+module.exports = mongoose.model('LotStatus', lotStatusSchema);
@@ -2,9 +2,9 @@ const mongoose = require('mongoose');
 
 const policySchema = new mongoose.Schema(
   {
-    // Punto de reorden global (no por hospital)
+    // Punto de reorden por defecto (se puede sobrescribir por hospital: HospitalMedicationPolicy)
     reorderPoint: { type: Number, min: 0, default: 0 },
-    // Stock de seguridad global
+    // Stock de seguridad por defecto
     safetyStock: { type: Number, min: 0, default: 0 },
     // Consumo mensual promedio (unidades/mes) para cobertura de días
     avgMonthlyConsumption: { type: Number, min: 0, default: 0 },
@@ -21,6 +21,16 @@ const storageSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Conversión de una unidad de compra/manejo a la unidad base (uom): factor = unidades base por 1 uom
+const conversionSchema = new mongoose.Schema(
+  {
+    uom: { type: String, required: true, trim: true }, // p.ej. 'box', 'blister'
+    factor: { type: Number, required: true, min: [0.000001, 'factor must be > 0'] },
+    barcode: { type: String, trim: true }, // GTIN del empaque (el escaneo lo resuelve a esta unidad)
+  },
+  { _id: false }
+);
+
 const medicationSchema = new mongoose.Schema(
   {
     // Identificador único externo (catálogo)
@@ -61,6 +71,8 @@ const medicationSchema = new mongoose.Schema(
       default: 'unit', // 'unit','mg','g','ml','IU', etc.
     },
     packSize: { type: Number, min: 1, default: 1 }, // unidades por empaque
+    // Otras unidades aceptadas en OCs y movimientos (se convierten a uom, ver Utils/uom.js)
+    conversions: { type: [conversionSchema], default: [] },
 
     // Precios
     unitPrice: { type: Number, min: 0, default: 0 }, // precio por unidad de manejo
@@ -114,6 +126,8 @@ medicationSchema.index({ name: 1, form: 1, strength: 1 });
 medicationSchema.index({ name: 'text', code: 'text', strength: 'text' });
 // Unicidad de barcodes a nivel colección (útil si los usas globalmente)
 medicationSchema.index({ barcodes: 1 }, { unique: true, sparse: true });
+// Lookup por GTIN de empaque (Utils/gs1.js)
+medicationSchema.index({ 'conversions.barcode': 1 });
 
 /* =========================
    Validaciones de consistencia
@@ -134,6 +148,16 @@ medicationSchema.pre('validate', function (next) {
     );
   }
 
+  // Conversiones: una por unidad y distinta de la unidad base
+  const seen = new Set([String(this.uom || 'unit').toLowerCase()]);
+  for (const c of this.conversions || []) {
+    const key = String(c.uom).toLowerCase();
+    if (seen.has(key)) {
+      return next(new Error(`conversions: unidad '${c.uom}' duplicada o igual a la unidad base`));
+    }
+    seen.add(key);
+  }
+
   // Opcional: coherencia de temperaturas si ambas existen
   const st = this.storage || {};
   if (
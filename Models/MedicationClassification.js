@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Clasificación ABC / XYZ de un medicamento en un hospital (ver Utils/classification.js).
+ *  - ABC: por valor de consumo anual (A = ~80% del valor, B = siguiente ~15%, C = resto)
+ *  - XYZ: por variabilidad de la demanda mensual (coeficiente de variación)
+ *    X = estable, Y = variable, Z = errática o sin consumo
+ * Se recalcula completa por hospital; no se edita a mano.
+ */
+const ABC_CLASSES = ['A', 'B', 'C'];
+const XYZ_CLASSES = ['X', 'Y', 'Z'];
+
+const medicationClassificationSchema = new mongoose.Schema(
+  {
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+    medication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+      required: true,
+      index: true,
+    },
+
+    abc: { type: String, enum: ABC_CLASSES, required: true },
+    xyz: { type: String, enum: XYZ_CLASSES, required: true },
+
+    // Base del cálculo
+    annualQty: { type: Number, default: 0 },
+    annualValue: { type: Number, default: 0 },
+    valueShare: { type: Number, default: 0 },      // fracción del valor total del hospital
+    cumulativeShare: { type: Number, default: 0 }, // acumulado en orden de valor descendente
+    cv: { type: Number, default: null },           // coeficiente de variación mensual (null sin consumo)
+
+    periodFrom: { type: String, trim: true }, // 'YYYY-MM'
+    periodTo: { type: String, trim: true },
+    computedAt: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+medicationClassificationSchema.index({ hospital: 1, medication: 1 }, { unique: true });
+medicationClassificationSchema.index({ hospital: 1, abc: 1, xyz: 1 });
+
+/* =========================
+   Virtuales útiles
+   ========================= */
+// Clase combinada (ej. 'AX')
+medicationClassificationSchema.virtual('segment').get(function () {
+  return `${this.abc}${this.xyz}`;
+});
+
+module.exports = mongoose.model('MedicationClassification', medicationClassificationSchema);
@@ -5,6 +5,8 @@ const NOTIFICATION_TYPES = [
   'EXPIRY_SOON',    // Medicamento próximo a caducar
   'ORDER_STATUS',   // Cambio de estado de OC
   'SYSTEM_ALERT',   // Alertas del sistema
+  'DEAD_STOCK',     // Resumen semanal de stock sin movimiento / lento movimiento
+  'LOT_RECALL',     // Lote retirado (recall) con stock en el hospital
   'OTHER',          // Cualquier otro tipo
 ];
 
@@ -43,12 +45,16 @@ const notificationSchema = new mongoose.Schema(
     medication: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication' },
     purchaseOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder' },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Rol destinatario (ej. siguiente aprobador de una OC); vacío = todo el hospital
+    recipientRole: { type: String, enum: ['admin', 'manager', 'clerk'] },
 
     // Meta flexible para información contextual
     meta: {
       stockQty: Number,
       reorderPoint: Number,
       expiryDate: Date,
+      lot: String,          // EXPIRY_SOON: lote alertado
+      horizonDays: Number,  // EXPIRY_SOON: horizonte alcanzado (0 = caducado)
       poCode: String,
       supplierName: String,
       customData: mongoose.Schema.Types.Mixed, // Para payloads personalizados
@@ -87,6 +93,8 @@ const notificationSchema = new mongoose.Schema(
    Índices estratégicos
    ========================= */
 notificationSchema.index({ hospital: 1, type: 1, read: 1, createdAt: -1 });
+// Deduplicación de EXPIRY_SOON por lote + horizonte (Utils/expiry.js)
+notificationSchema.index({ hospital: 1, type: 1, medication: 1, 'meta.lot': 1, 'meta.horizonDays': 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL opcional si deseas auto-limpieza
 
 /* =========================
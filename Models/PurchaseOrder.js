@@ -12,9 +12,13 @@ const purchaseOrderLineSchema = new mongoose.Schema(
       index: true,
     },
     description: { type: String, trim: true },
+    // qty/uom/unitPrice tal como se piden al proveedor (ej. 10 box a $200 la caja)
     qty: { type: Number, required: true, min: [0.0001, 'Quantity must be > 0'] },
     uom: { type: String, trim: true, default: 'unit' },
     unitPrice: { type: Number, required: true, min: 0 },
+    // Unidades base del medicamento por 1 uom y cantidad pedida en unidad base (qty × factor)
+    conversionFactor: { type: Number, min: 0.000001, default: 1 },
+    baseQty: { type: Number, min: 0 },
     subtotal: {
       type: Number,
       required: true,
@@ -30,6 +34,56 @@ const purchaseOrderLineSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/* =========================
+   Subesquemas: aprobación
+   ========================= */
+const approvalStepSchema = new mongoose.Schema(
+  {
+    level: { type: Number, required: true, min: 1 },
+    role: { type: String, required: true },
+    minTotal: { type: Number, min: 0 },
+    currency: { type: String, trim: true },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const approvalEventSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: ['SUBMITTED', 'APPROVED', 'REJECTED'], required: true },
+    level: { type: Number },
+    role: { type: String },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    total: { type: Number },
+    currency: { type: String },
+    reason: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+/* =========================
+   Subesquema: envío por correo al proveedor
+   ========================= */
+// PENDING: en curso (o interrumpido); FAILED se puede reintentar (ver Utils/poEmail.js)
+const emailDeliverySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ['PENDING', 'SENT', 'FAILED'], required: true },
+    to: [{ type: String, trim: true, lowercase: true }],
+    cc: [{ type: String, trim: true, lowercase: true }],
+    attempts: { type: Number, min: 0, default: 0 },
+    transport: { type: String, trim: true },
+    messageId: { type: String, trim: true },
+    response: { type: String, trim: true },
+    error: { type: String, trim: true },
+    lastAttemptAt: { type: Date },
+    lastAttemptBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sentAt: { type: Date },
+  },
+  { _id: false }
+);
+
 /* =========================
    Esquema principal: PurchaseOrder
    ========================= */
@@ -41,7 +95,7 @@ const purchaseOrderSchema = new mongoose.Schema(
       unique: true,
       uppercase: true,
       trim: true,
-      match: [/^[A-Z0-9\-_]{3,40}$/, 'Invalid PO code format'],
+      match: [/^[A-Z0-9\-_]{3,60}$/, 'Invalid PO code format'],
       index: true,
     },
 
@@ -60,11 +114,19 @@ const purchaseOrderSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ['DRAFT', 'SENT', 'RECEIVED', 'CANCELLED'],
+      // PENDING_APPROVAL / APPROVED / REJECTED: flujo de aprobación (ver Utils/poApproval.js)
+      enum: ['DRAFT', 'PENDING_APPROVAL', 'APPROVED', 'REJECTED', 'SENT', 'RECEIVED', 'CANCELLED'],
       default: 'DRAFT',
       index: true,
     },
 
+    // Origen: MANUAL (usuario), REORDER (disparo por movimiento), REPLENISHMENT (corrida programada)
+    source: {
+      type: String,
+      enum: ['MANUAL', 'REORDER', 'REPLENISHMENT'],
+      default: 'MANUAL',
+    },
+
     lines: {
       type: [purchaseOrderLineSchema],
       validate: [
@@ -88,7 +150,17 @@ const purchaseOrderSchema = new mongoose.Schema(
     // Auditoría
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // último nivel
+    approvedAt: { type: Date },
+    submittedAt: { type: Date },
+
+    // Niveles requeridos en el último envío a aprobación (según total y moneda en ese momento)
+    approvalRoute: [approvalStepSchema],
+    // Bitácora completa: envíos, aprobaciones y rechazos
+    approvalHistory: [approvalEventSchema],
+
+    // Último envío de la OC al proveedor por correo
+    emailDelivery: { type: emailDeliverySchema, default: undefined },
   },
   {
     timestamps: true,
@@ -109,6 +181,10 @@ const purchaseOrderSchema = new mongoose.Schema(
    ========================= */
 purchaseOrderSchema.index({ hospital: 1, supplier: 1, createdAt: -1 });
 purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+// Borrador de reabasto abierto por hospital+proveedor (consolidación)
+purchaseOrderSchema.index({ hospital: 1, supplier: 1, status: 1, source: 1 });
+// OCs con correo fallido por reintentar
+purchaseOrderSchema.index({ hospital: 1, 'emailDelivery.status': 1 }, { sparse: true });
 
 /* =========================
    Hooks y cálculos automáticos
@@ -118,6 +194,10 @@ purchaseOrderSchema.pre('validate', function (next) {
 
   // Recalcular totales antes de guardar
   if (this.lines && this.lines.length > 0) {
+    for (const l of this.lines) {
+      l.baseQty = Math.round(l.qty * (l.conversionFactor || 1) * 1e6) / 1e6;
+    }
+
     const subtotal = this.lines.reduce(
       (acc, l) => acc + l.qty * l.unitPrice,
       0
@@ -158,12 +238,17 @@ purchaseOrderSchema.methods.markReceived = function (userId) {
 };
 
 // Marca como cancelada
-purchaseOrderSchema.methods.markCancelled = function (userId, reason = '') {
+purchaseOrderSchema.methods.markCancelled = function (userId, reason = '', { session } = {}) {
   this.status = 'CANCELLED';
   this.cancelledAt = new Date();
   this.notes = (this.notes ? this.notes + '\n' : '') + `Cancelled: ${reason}`;
   this.updatedBy = userId;
-  return this.save();
+  return this.save({ session });
+};
+
+// Siguiente nivel pendiente de aprobación (null si no hay)
+purchaseOrderSchema.methods.nextApprovalStep = function () {
+  return (this.approvalRoute || []).find(s => !s.approvedBy) || null;
 };
 
 // Calcula total actual (útil antes de persistir)
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Saldo materializado de inventario.
+ * Una fila por hospital + medicamento + ubicación + lote + caducidad.
+ * Se actualiza en la misma session que cada InventoryTransaction (ver hook en ese modelo),
+ * así las lecturas de stock no necesitan re-agregar todo el ledger.
+ */
+const stockBalanceSchema = new mongoose.Schema(
+  {
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+    medication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+      required: true,
+      index: true,
+    },
+
+    // null = sin ubicación / sin lote / sin caducidad (misma semántica que en el ledger)
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    lot: { type: String, trim: true, default: null },
+    expiryDate: { type: Date, default: null },
+
+    // Cantidad neta (IN - OUT) en la unidad base del medicamento
+    qty: { type: Number, default: 0 },
+
+    // Última transacción aplicada (útil para auditoría/diagnóstico)
+    lastTxAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+
+// Clave natural del saldo (una fila por ubicación/lote/caducidad)
+stockBalanceSchema.index(
+  { hospital: 1, medication: 1, location: 1, lot: 1, expiryDate: 1 },
+  { unique: true }
+);
+
+// Consultas de caducidad por hospital
+stockBalanceSchema.index({ hospital: 1, expiryDate: 1 });
+
+/* =========================
+   Helpers estáticos
+   ========================= */
+
+// Normaliza la clave para que undefined/'' y null caigan en la misma fila
+stockBalanceSchema.statics.keyOf = function ({ hospital, medication, location, lot, expiryDate }) {
+  return {
+    hospital: new mongoose.Types.ObjectId(hospital),
+    medication: new mongoose.Types.ObjectId(medication),
+    location: location ? new mongoose.Types.ObjectId(location) : null,
+    lot: lot || null,
+    expiryDate: expiryDate ? new Date(expiryDate) : null,
+  };
+};
+
+module.exports = mongoose.model('StockBalance', stockBalanceSchema);
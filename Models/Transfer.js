@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ciclo de vida de una transferencia entre hospitales:
+ *  REQUESTED -> APPROVED -> DISPATCHED -> RECEIVED | RECEIVED_PARTIAL
+ *  (CANCELLED solo antes de despachar)
+ *
+ * Entre DISPATCHED y la recepción la mercancía está "en tránsito":
+ * ya salió del ledger del origen (OUT TRANSFER_OUT) y aún no entra al destino.
+ */
+const TRANSFER_STATUSES = [
+  'REQUESTED',
+  'APPROVED',
+  'DISPATCHED',
+  'RECEIVED',
+  'RECEIVED_PARTIAL', // recibida con faltantes (registrados como merma)
+  'CANCELLED',
+];
+
+/* =========================
+   Subesquema: lote despachado/recibido
+   ========================= */
+const transferLotSchema = new mongoose.Schema(
+  {
+    // Ubicación de origen de la que salió el lote
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    lot: { type: String, trim: true, default: null },
+    expiryDate: { type: Date, default: null },
+    unitCost: { type: Number, min: 0 },
+
+    dispatchedQty: { type: Number, min: 0, default: 0 },
+    receivedQty: { type: Number, min: 0 },
+    lostQty: { type: Number, min: 0 },
+
+    outTx: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryTransaction' },
+    inTx: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryTransaction' },
+    lossTx: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryTransaction' },
+  }
+);
+
+// Cantidad aún en tránsito para este lote
+transferLotSchema.virtual('inTransitQty').get(function () {
+  if (this.receivedQty != null) return 0;
+  return this.dispatchedQty;
+});
+transferLotSchema.set('toJSON', { virtuals: true });
+transferLotSchema.set('toObject', { virtuals: true });
+
+/* =========================
+   Subesquema: línea solicitada
+   ========================= */
+const transferLineSchema = new mongoose.Schema(
+  {
+    medication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+      required: true,
+    },
+    // qty/uom en unidad base del medicamento; enteredQty/enteredUom como se solicitó (ej. 2 box)
+    qty: { type: Number, required: true, min: [0.0001, 'Quantity must be > 0'] },
+    uom: { type: String, trim: true, default: 'unit' },
+    enteredQty: { type: Number, min: 0 },
+    enteredUom: { type: String, trim: true },
+
+    // Lote solicitado (opcional); si falta, el despacho asigna por FEFO
+    lot: { type: String, trim: true },
+    expiryDate: { type: Date },
+
+    lots: [transferLotSchema],
+    notes: { type: String, trim: true },
+  }
+);
+
+/* =========================
+   Esquema principal: Transfer
+   ========================= */
+const transferSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9\-_]{3,60}$/, 'Invalid transfer code format'],
+    },
+
+    fromHospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+    toHospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+
+    // Ubicaciones opcionales: de dónde se surte en origen y a dónde entra en destino
+    fromLocation: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    toLocation: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+
+    status: {
+      type: String,
+      enum: TRANSFER_STATUSES,
+      default: 'REQUESTED',
+      index: true,
+    },
+
+    lines: {
+      type: [transferLineSchema],
+      validate: [
+        arr => arr.length > 0,
+        'Transfer must have at least one line item',
+      ],
+    },
+
+    notes: { type: String, trim: true },
+    discrepancyNotes: { type: String, trim: true },
+
+    // Auditoría por etapa
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: { type: Date },
+    dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    dispatchWitness: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // segunda firma (controlados)
+    dispatchedAt: { type: Date },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    receiveWitness: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    receivedAt: { type: Date },
+    cancelledAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+/* =========================
+   Índices
+   ========================= */
+transferSchema.index({ fromHospital: 1, status: 1, createdAt: -1 });
+transferSchema.index({ toHospital: 1, status: 1, createdAt: -1 });
+
+/* =========================
+   Hooks
+   ========================= */
+transferSchema.pre('validate', function (next) {
+  if (this.code) this.code = this.code.trim().toUpperCase();
+  if (this.fromHospital && this.toHospital && String(this.fromHospital) === String(this.toHospital)) {
+    return next(new Error('fromHospital y toHospital no pueden ser iguales'));
+  }
+  next();
+});
+
+/* =========================
+   Virtuales útiles
+   ========================= */
+transferSchema.virtual('isInTransit').get(function () {
+  return this.status === 'DISPATCHED';
+});
+
+module.exports = mongoose.model('Transfer', transferSchema);
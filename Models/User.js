@@ -1,5 +1,6 @@
 // Models/User.js
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 
 const ROLES = ['admin', 'manager', 'clerk']; // ajusta si necesitas más
 
@@ -124,6 +125,18 @@ userSchema.methods.toSafeObject = function () {
   return { id: _id, email, name, role, isSuperUser, hospital, status, lastLoginAt };
 };
 
+// Compara la contraseña (requiere select('+password')). Un fallo suma failedLoginCount y un acierto
+// lo reinicia; la usan el login y la firma de testigo de controlados
+userSchema.methods.checkPassword = async function (password) {
+  const ok = await bcrypt.compare(String(password), this.password);
+  if (!ok) {
+    await this.constructor.updateOne({ _id: this._id }, { $inc: { failedLoginCount: 1 } });
+  } else if (this.failedLoginCount) {
+    await this.constructor.updateOne({ _id: this._id }, { $set: { failedLoginCount: 0 } });
+  }
+  return ok;
+};
+
 userSchema.methods.changedPasswordAfter = function (jwtIatSeconds) {
   if (!this.passwordChangedAt) return false;
   const changedTs = Math.floor(this.passwordChangedAt.getTime() / 1000);
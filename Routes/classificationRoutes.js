@@ -0,0 +1,13 @@
+// Routes/classificationRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/classificationController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Lectura: clasificación ABC/XYZ vigente del hospital
+router.get('/', requireAuth, ctrl.listClassifications); // ?hospital=&abc=A,B&xyz=X&page=&limit=
+
+// Recalcular (admin/manager)
+router.post('/run', requireAuth, requireRole('admin','manager'), ctrl.runClassification);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+// Routes/controlledLogRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/controlledLogController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Libro de control de medicamentos controlados (admin/manager)
+router.get('/', requireAuth, requireRole('admin','manager'), ctrl.listEntries);     // ?hospital=&medication=&dateFrom=&dateTo=&page=&limit=
+router.get('/verify', requireAuth, requireRole('admin','manager'), ctrl.verify);   // ?hospital=
+router.get('/export', requireAuth, requireRole('admin','manager'), ctrl.exportLog); // ?hospital=&medication=&dateFrom=&dateTo=&format=csv|json
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// Routes/countSessionRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/countSessionController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Listado y detalle
+router.get('/', requireAuth, ctrl.listCounts);                 // ?hospital=&status=&page=&limit=
+router.get('/schedule', requireAuth, ctrl.cycleCountSchedule); // ?hospital=&abc=A,B&xyz=&overdueOnly=true
+router.get('/:id', requireAuth, ctrl.getCountById);
+router.get('/:id/variances', requireAuth, ctrl.getVariances);  // ?onlyDiffs=true
+
+// Abrir conteo (congela esperados) (admin/manager)
+router.post('/', requireAuth, requireRole('admin','manager'), ctrl.openCount);
+
+// Captura de conteos (cualquier usuario autenticado, p.ej. clerk)
+router.post('/:id/counts', requireAuth, ctrl.submitCounts);
+
+// Revisión, aprobación y registro (admin/manager)
+router.post('/:id/review', requireAuth, requireRole('admin','manager'), ctrl.closeCount);
+router.post('/:id/approve', requireAuth, requireRole('admin','manager'), ctrl.approveLines);
+router.post('/:id/post', requireAuth, requireRole('admin','manager'), ctrl.postCount);
+router.post('/:id/cancel', requireAuth, requireRole('admin','manager'), ctrl.cancelCount);
+
+module.exports = router;
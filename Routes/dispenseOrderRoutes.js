@@ -0,0 +1,20 @@
+// Routes/dispenseOrderRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/dispenseOrderController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Consulta
+router.get('/', requireAuth, ctrl.listDispenses);                // ?hospital=&status=&ward=&patientId=&encounter=&dateFrom=&dateTo=&page=&limit=
+router.get('/consumption', requireAuth, ctrl.consumptionReport); // ?hospital=&groupBy=ward|patient|encounter&ward=&patientId=&encounter=&medication=&dateFrom=&dateTo=
+router.get('/:id', requireAuth, ctrl.getDispenseById);
+
+// Solicitud y pick (cualquier usuario autenticado; no mueven inventario)
+router.post('/', requireAuth, ctrl.createDispense);
+router.post('/:id/pick', requireAuth, ctrl.pickDispense);
+
+// Confirmación (genera las salidas) y cancelación (admin/manager)
+router.post('/:id/confirm', requireAuth, requireRole('admin','manager'), ctrl.confirmDispense);
+router.post('/:id/cancel', requireAuth, requireRole('admin','manager'), ctrl.cancelDispense);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// Routes/forecastRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/forecastController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Lectura: sugerencias y pronóstico vs real
+router.get('/', requireAuth, ctrl.listSuggestions);          // ?hospital=&medication=&method=&months=&serviceLevel=&horizon=
+router.get('/accuracy', requireAuth, ctrl.forecastVsActual); // ?hospital=&medication=&method=&months=&horizon=
+
+// Aplicar la política sugerida (admin/manager)
+router.post('/apply', requireAuth, requireRole('admin','manager'), ctrl.applyForecast);
+
+module.exports = router;
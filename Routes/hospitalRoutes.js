@@ -9,6 +9,9 @@ router.get('/', requireAuth, ctrl.listHospitals);
 // crear: superuser o admin (si quieres solo superuser, cámbialo por un middleware de rol)
 router.post('/', requireAuth, ctrl.createHospital);
 
+// configuración (zona horaria, moneda, método de costeo, pronóstico, stock sin movimiento, caducidades): superuser o admin
+router.patch('/:id/settings', requireAuth, ctrl.updateSettings);
+
 // eliminar: solo superuser (validación también en controller)
 router.delete('/:id', requireAuth, ctrl.deleteHospital);
 
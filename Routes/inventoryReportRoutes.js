@@ -0,0 +1,18 @@
+// Routes/inventoryReportRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/inventoryReportController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Stock a una fecha / comparación entre fechas
+router.get('/stock-on-hand', requireAuth, ctrl.stockOnHand); // ?hospital=&asOf=&dateFrom=&dateTo=&medication=&byLot=
+
+// Valuación y costo de lo emitido
+router.get('/valuation', requireAuth, ctrl.valuation);                                     // ?hospital=&medication=
+router.post('/valuation/rebuild', requireAuth, requireRole('admin'), ctrl.rebuildValuation); // body: { hospital, medication? }
+router.get('/cogs', requireAuth, ctrl.cogs);                                               // ?hospital=&dateFrom=&dateTo=&medication=&period=
+
+// Stock sin movimiento / lento movimiento con traspasos sugeridos
+router.get('/dead-stock', requireAuth, ctrl.deadStock); // ?hospital=&days=&recentDays=&slowCoverDays=&status=DEAD|SLOW&medication=
+
+module.exports = router;
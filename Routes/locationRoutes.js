@@ -0,0 +1,16 @@
+// Routes/locationRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/locationController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Lectura
+router.get('/', requireAuth, ctrl.listLocations);            // ?hospital=&parent=(id|root)&type=&active=&q=
+router.get('/:id', requireAuth, ctrl.getLocation);
+router.get('/:id/stock', requireAuth, ctrl.getLocationStock); // ?medication=
+
+// Alta y edición (admin/manager)
+router.post('/', requireAuth, requireRole('admin','manager'), ctrl.createLocation);
+router.patch('/:id', requireAuth, requireRole('admin','manager'), ctrl.updateLocation);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// Routes/lotRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/lotController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Consulta de estados y trazabilidad
+router.get('/', requireAuth, ctrl.listLotStatuses);          // ?medication=&lot=&hospital=|global&status=&page=&limit=
+router.get('/status', requireAuth, ctrl.getEffectiveStatus); // ?medication=&lot=&hospital=
+router.get('/trace', requireAuth, ctrl.trace);               // ?medication=&lot=
+
+// Retener / rechazar / liberar (admin/manager)
+router.patch('/status', requireAuth, requireRole('admin','manager'), ctrl.updateLotStatus);
+
+// Retiro en todos los hospitales (solo admin)
+router.post('/recall', requireAuth, requireRole('admin'), ctrl.recall);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// Routes/medicationPolicyRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/medicationPolicyController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Lectura
+router.get('/', requireAuth, ctrl.listPolicies);                 // ?hospital=&medication=&location=(id|none)&page=&limit=
+router.get('/effective', requireAuth, ctrl.getEffectivePolicy);  // ?hospital=&medication=&location=
+router.get('/:id', requireAuth, ctrl.getPolicyById);
+
+// Alta, edición y baja de overrides (admin/manager)
+router.post('/', requireAuth, requireRole('admin','manager'), ctrl.createPolicy);
+router.patch('/:id', requireAuth, requireRole('admin','manager'), ctrl.updatePolicy);
+router.delete('/:id', requireAuth, requireRole('admin','manager'), ctrl.deletePolicy);
+
+module.exports = router;
@@ -6,7 +6,7 @@ const { requireAuth, requireRole } = require('../Middlewares/auth');
 // Crear medicamento
 router.post('/', requireAuth, requireRole('admin','manager'), ctrl.createMedication);
 
-// Listar / buscar por nombre (?q=)
+// Listar / buscar por nombre (?q=); filtro por clase ABC/XYZ (?hospital=&abc=&xyz=)
 router.get('/', requireAuth, ctrl.listMedications);
 
 // Obtener 1 medicamento por id
@@ -15,6 +15,9 @@ router.get('/:id', requireAuth, ctrl.getMedication);
 // Actualizar stock (increment/decrement/set)
 router.post('/:id/stock', requireAuth, requireRole('admin','manager'), ctrl.updateStock);
 
+// Unidades alternas (box/blister/...) con su factor a la unidad base
+router.put('/:id/conversions', requireAuth, requireRole('admin','manager'), ctrl.setConversions);
+
 // Buscar SOLO por nombre
 router.get('/search/by-name', requireAuth, ctrl.searchMedicationByName);
 module.exports = router;
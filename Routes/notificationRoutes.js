@@ -15,6 +15,9 @@ router.post('/:id/unread', requireAuth, ctrl.markAsUnread);
 // Marcar múltiples como leídas
 router.post('/mark-read', requireAuth, ctrl.bulkMarkAsRead);
 
+// Escaneo de caducidades a demanda (dry-run por defecto): admin/manager
+router.post('/expiry-scan', requireAuth, requireRole('admin','manager'), ctrl.runExpiryScan); // body: { hospital?, dryRun? }
+
 // Eliminar (opcional): admin/manager o superuser
 router.delete('/:id', requireAuth, requireRole('admin','manager'), ctrl.deleteNotification);
 
@@ -5,16 +5,30 @@ const ctrl = require('../Controllers/purchaseOrderController');
 const { requireAuth, requireRole } = require('../Middlewares/auth');
 
 // Listado y detalle (solo autenticado)
-router.get('/', requireAuth, ctrl.listPOs);            // ?hospital=&supplier=&status=&code=&dateFrom=&dateTo=&page=&limit=&sort=
+router.get('/', requireAuth, ctrl.listPOs);            // ?hospital=&supplier=&status=&source=&code=&emailStatus=&dateFrom=&dateTo=&page=&limit=&sort=
+router.get('/approvals/pending', requireAuth, requireRole('admin','manager'), ctrl.listPendingApprovals); // ?hospital=
 router.get('/:id', requireAuth, ctrl.getPOById);
+router.get('/:id/pdf', requireAuth, ctrl.getPOPdf);    // ?download=1
 
 // Crear OC (admin/manager)
 router.post('/', requireAuth, requireRole('admin','manager'), ctrl.createPO);
 
-// Enviar OC (DRAFT -> SENT) (admin/manager)
-router.post('/:id/send', requireAuth, requireRole('admin','manager'), ctrl.markSent);
+// Editar OC en DRAFT/REJECTED (encabezado y líneas) (admin/manager)
+router.patch('/:id', requireAuth, requireRole('admin','manager'), ctrl.updatePO);
+
+// Aprobación por montos (DRAFT -> PENDING_APPROVAL -> APPROVED | REJECTED)
+router.post('/:id/submit', requireAuth, requireRole('admin','manager'), ctrl.submitPO);
+router.post('/:id/approve', requireAuth, requireRole('admin','manager'), ctrl.approvePO);
+router.post('/:id/reject', requireAuth, requireRole('admin','manager'), ctrl.rejectPO);
+
+// Enviar OC (APPROVED -> SENT) y correo al proveedor; reintento si el correo falló (admin/manager)
+router.post('/:id/send', requireAuth, requireRole('admin','manager'), ctrl.markSent);   // body: { email?: false, to? }
+router.post('/:id/email/retry', requireAuth, requireRole('admin','manager'), ctrl.retryPOEmail);
 
 // Recepción de OC (parcial/total) (admin/manager)
 router.post('/:id/receive', requireAuth, requireRole('admin','manager'), ctrl.receivePO);
 
+// Cancelar OC sin recepciones, con motivo (admin/manager)
+router.post('/:id/cancel', requireAuth, requireRole('admin','manager'), ctrl.cancelPO);
+
 module.exports = router;
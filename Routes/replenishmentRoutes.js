@@ -0,0 +1,11 @@
+// Routes/replenishmentRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/replenishmentController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Corrida a demanda (dry-run por defecto) e historial (solo admin)
+router.post('/run', requireAuth, requireRole('admin'), ctrl.runNow);   // body: { hospital?, dryRun? }
+router.get('/runs', requireAuth, requireRole('admin'), ctrl.listRuns); // ?status=&dryRun=&page=&limit=
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// Routes/scanRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/scanController');
+const { requireAuth } = require('../Middlewares/auth');
+
+// Lectura de código GS1 / GTIN (solo consulta; body: { code, hospital? })
+router.post('/', requireAuth, ctrl.scan);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// Routes/stockBalanceRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/stockBalanceController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// --- Lectura: stock por lote y caducidad ---
+router.get('/hospitals/:hospitalId/lots', requireAuth, ctrl.listHospitalLots);        // ?medication=&location=&expiringWithinDays=&sort=
+router.get('/medications/:medicationId/lots', requireAuth, ctrl.listMedicationLots);  // ?hospital=&location=&expiringWithinDays=&sort=
+
+// --- Mantenimiento (solo admin) ---
+router.get('/verify', requireAuth, requireRole('admin'), ctrl.verifyBalances);     // ?hospital=&medication=
+router.post('/rebuild', requireAuth, requireRole('admin'), ctrl.rebuildBalances);  // body: { hospital?, medication? }
+
+module.exports = router;
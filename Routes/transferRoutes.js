@@ -0,0 +1,21 @@
+// Routes/transferRoutes.js
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../Controllers/transferController');
+const { requireAuth, requireRole } = require('../Middlewares/auth');
+
+// Listado, mercancía en tránsito y detalle
+router.get('/', requireAuth, ctrl.listTransfers);              // ?hospital=&fromHospital=&toHospital=&status=&dateFrom=&dateTo=&page=&limit=
+router.get('/in-transit', requireAuth, ctrl.listInTransit);    // ?hospital=&medication=
+router.get('/:id', requireAuth, ctrl.getTransferById);
+
+// Solicitud (cualquier usuario autenticado)
+router.post('/', requireAuth, ctrl.createTransfer);
+
+// Ciclo de vida (admin/manager)
+router.post('/:id/approve', requireAuth, requireRole('admin','manager'), ctrl.approveTransfer);
+router.post('/:id/dispatch', requireAuth, requireRole('admin','manager'), ctrl.dispatchTransfer);
+router.post('/:id/receive', requireAuth, requireRole('admin','manager'), ctrl.receiveTransfer);
+router.post('/:id/cancel', requireAuth, requireRole('admin','manager'), ctrl.cancelTransfer);
+
+module.exports = router;
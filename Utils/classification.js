@@ -0,0 +1,154 @@
+// Utils/classification.js
+const Hospital = require('../Models/Hospital');
+const Medication = require('../Models/Medication');
+const MedicationClassification = require('../Models/MedicationClassification');
+const { getConsumptionHistory } = require('./forecasting');
+
+/**
+ * Clasificación ABC / XYZ por hospital:
+ *  - ABC: valor de consumo de los últimos `months` meses completos (qty × costo estampado en el
+ *    movimiento; sin costo se usa Medication.unitPrice). Orden descendente por valor; A hasta
+ *    `a` del valor acumulado, B hasta `b`, el resto C. Sin consumo = C.
+ *  - XYZ: coeficiente de variación (desv. estándar / promedio) del consumo mensual.
+ *    X <= `x`, Y <= `y`, resto Z. Sin consumo = Z.
+ * El valor se anualiza (× 12 / months) para que sea comparable entre ventanas.
+ */
+const DEFAULT_THRESHOLDS = { a: 0.8, b: 0.95, x: 0.5, y: 1.0 };
+// Días entre conteos cíclicos por clase ABC
+const CYCLE_COUNT_DAYS = { A: 30, B: 90, C: 365 };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function parseThresholds(input = {}) {
+  const t = { ...DEFAULT_THRESHOLDS };
+  for (const k of Object.keys(DEFAULT_THRESHOLDS)) {
+    if (input[k] != null && input[k] !== '') t[k] = Number(input[k]);
+  }
+  if (!(t.a > 0 && t.a < t.b && t.b < 1)) throw badRequest('Umbrales ABC inválidos (0 < a < b < 1)');
+  if (!(t.x > 0 && t.x < t.y)) throw badRequest('Umbrales XYZ inválidos (0 < x < y)');
+  return t;
+}
+
+function coefficientOfVariation(series) {
+  const n = series.length;
+  const mean = series.reduce((s, v) => s + v, 0) / n;
+  if (mean <= 0) return null;
+  const variance = series.reduce((s, v) => s + (v - mean) ** 2, 0) / n;
+  return Math.sqrt(variance) / mean;
+}
+
+/**
+ * Recalcula y guarda la clasificación de todos los medicamentos activos de un hospital.
+ * Borra las filas de medicamentos que ya no están activos.
+ * Devuelve { periodFrom, periodTo, thresholds, total, matrix: { AX: n, ... } }
+ */
+async function computeClassification({ hospitalId, months = 12, thresholds, asOf = new Date() }) {
+  months = Number(months);
+  if (!Number.isInteger(months) || months < 3 || months > 36) throw badRequest('months debe ser entero entre 3 y 36');
+  const t = parseThresholds(thresholds);
+
+  const [meds, history] = await Promise.all([
+    Medication.find({ isActive: true }, '_id unitPrice').lean(),
+    getConsumptionHistory({ hospitalId, months, asOf }),
+  ]);
+  const { periods, series, costs } = history;
+  const annualize = 12 / months;
+
+  const rows = meds.map((m) => {
+    const key = String(m._id);
+    const s = series.get(key) || periods.map(() => 0);
+    const qty = s.reduce((acc, v) => acc + v, 0);
+    const c = costs.get(key) || { stampedValue: 0, unvaluedQty: 0 };
+    const value = c.stampedValue + c.unvaluedQty * (Number(m.unitPrice) || 0);
+    return {
+      medication: m._id,
+      annualQty: Math.max(qty * annualize, 0),
+      annualValue: Math.max(value * annualize, 0),
+      cv: qty > 0 ? coefficientOfVariation(s) : null,
+    };
+  });
+
+  const totalValue = rows.reduce((s, r) => s + r.annualValue, 0);
+  rows.sort((x, y) => y.annualValue - x.annualValue);
+
+  let cumulative = 0;
+  const matrix = {};
+  const computedAt = new Date();
+  for (const r of rows) {
+    r.valueShare = totalValue > 0 ? r.annualValue / totalValue : 0;
+    // El corte se evalúa con el acumulado previo: el artículo que cruza el umbral queda en la clase
+    const before = cumulative;
+    cumulative += r.valueShare;
+    r.cumulativeShare = cumulative;
+
+    if (r.annualValue <= 0) r.abc = 'C';
+    else if (before < t.a) r.abc = 'A';
+    else if (before < t.b) r.abc = 'B';
+    else r.abc = 'C';
+
+    if (r.cv == null || r.cv > t.y) r.xyz = 'Z';
+    else if (r.cv <= t.x) r.xyz = 'X';
+    else r.xyz = 'Y';
+
+    matrix[r.abc + r.xyz] = (matrix[r.abc + r.xyz] || 0) + 1;
+  }
+
+  const periodFrom = periods[0];
+  const periodTo = periods[periods.length - 1];
+  if (rows.length) {
+    await MedicationClassification.bulkWrite(rows.map(r => ({
+      updateOne: {
+        filter: { hospital: hospitalId, medication: r.medication },
+        update: {
+          $set: {
+            abc: r.abc, xyz: r.xyz,
+            annualQty: r.annualQty, annualValue: r.annualValue,
+            valueShare: r.valueShare, cumulativeShare: r.cumulativeShare, cv: r.cv,
+            periodFrom, periodTo, computedAt,
+          }
+        },
+        upsert: true,
+      }
+    })));
+  }
+  await MedicationClassification.deleteMany({ hospital: hospitalId, medication: { $nin: rows.map(r => r.medication) } });
+
+  return { periodFrom, periodTo, thresholds: t, total: rows.length, matrix };
+}
+
+// Job diario: recalcula todos los hospitales activos
+async function runClassificationAll({ asOf = new Date() } = {}) {
+  const hospitals = await Hospital.find({ status: 'active' }, 'code').lean();
+  const result = [];
+  for (const h of hospitals) {
+    const r = await computeClassification({ hospitalId: h._id, asOf });
+    result.push({ hospital: h._id, code: h.code, total: r.total, matrix: r.matrix });
+  }
+  return { hospitals: result };
+}
+
+/**
+ * Filtro por clase para listados: ids de medicamentos de un hospital con abc/xyz dados.
+ * abc / xyz aceptan lista separada por comas ('A,B'). Devuelve null si no hay filtro.
+ */
+async function classifiedMedicationIds({ hospitalId, abc, xyz }) {
+  if (!abc && !xyz) return null;
+  if (!hospitalId) throw badRequest('hospital es requerido para filtrar por abc/xyz');
+
+  const filter = { hospital: hospitalId };
+  if (abc) filter.abc = { $in: String(abc).toUpperCase().split(',').map(s => s.trim()) };
+  if (xyz) filter.xyz = { $in: String(xyz).toUpperCase().split(',').map(s => s.trim()) };
+  return MedicationClassification.distinct('medication', filter);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  CYCLE_COUNT_DAYS,
+  computeClassification,
+  runClassificationAll,
+  classifiedMedicationIds,
+};
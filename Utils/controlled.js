@@ -0,0 +1,94 @@
+// Utils/controlled.js
+const mongoose = require('mongoose');
+const User = require('../Models/User');
+const Medication = require('../Models/Medication');
+const ControlledLogEntry = require('../Models/ControlledLogEntry');
+
+/**
+ * Medicamentos controlados (Medication.isControlled):
+ *  - Toda salida, ajuste o transferencia requiere un testigo: otro usuario activo, admin o manager
+ *    del mismo hospital (o superuser), que firma con su correo y contraseña en el mismo request.
+ *  - Cada movimiento queda en el libro de control (Models/ControlledLogEntry.js).
+ */
+const WITNESS_ROLES = ['admin', 'manager'];
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Valida la firma del testigo. witness: { email, password }
+ * Devuelve el _id del testigo; lanza 400/401/403 si falta, no autentica o no está autorizado.
+ */
+async function verifyWitness({ witness, userId, hospitalId }) {
+  if (!witness?.email || !witness?.password) {
+    throw httpError('Medicamento controlado: se requiere testigo (witness: { email, password })', 400);
+  }
+
+  // Misma contabilidad que el login: cuenta bloqueada rechazada y fallos en failedLoginCount
+  const user = await User.findOne({ email: String(witness.email).trim().toLowerCase() }).select('+password');
+  if (!user) throw httpError('Credenciales del testigo inválidas', 401);
+  if (user.status === 'blocked') throw httpError('Cuenta del testigo bloqueada', 403);
+  const valid = await user.checkPassword(witness.password);
+  if (!valid || user.status !== 'active') throw httpError('Credenciales del testigo inválidas', 401);
+
+  if (userId && String(user._id) === String(userId)) {
+    throw httpError('El testigo debe ser un usuario distinto a quien registra el movimiento', 400);
+  }
+  if (!user.hasRole(...WITNESS_ROLES)) {
+    throw httpError(`El testigo debe tener rol ${WITNESS_ROLES.join(' o ')}`, 403);
+  }
+  if (!user.isSuperUser && user.hospital && hospitalId && String(user.hospital) !== String(hospitalId)) {
+    throw httpError('El testigo no pertenece al hospital del movimiento', 403);
+  }
+  return user._id;
+}
+
+/**
+ * Si alguno de los medicamentos es controlado valida el testigo y devuelve su _id; si no, undefined
+ * (el movimiento no lleva testigo).
+ */
+async function witnessFor({ medicationIds, witness, userId, hospitalId }) {
+  const ids = [...new Set((medicationIds || []).map(String))];
+  const controlled = await Medication.exists({ _id: { $in: ids }, isControlled: true });
+  if (!controlled) return undefined;
+  return verifyWitness({ witness, userId, hospitalId });
+}
+
+/**
+ * Recorre la cadena del hospital y recalcula cada hash.
+ * Devuelve { ok, entries, lastSeq, lastHash, brokenAt: { seq, reason } | null }
+ */
+async function verifyChain({ hospitalId }) {
+  const cursor = ControlledLogEntry.find({ hospital: new mongoose.Types.ObjectId(hospitalId) })
+    .sort({ seq: 1 })
+    .lean()
+    .cursor();
+
+  let expectedSeq = 1;
+  let prevHash = ControlledLogEntry.genesisHash();
+  let entries = 0;
+  for await (const e of cursor) {
+    entries++;
+    let reason = null;
+    if (e.seq !== expectedSeq) reason = `consecutivo faltante (se esperaba ${expectedSeq})`;
+    else if (e.prevHash !== prevHash) reason = 'prevHash no coincide con la entrada anterior';
+    else if (ControlledLogEntry.computeHash(e) !== e.hash) reason = 'hash no coincide con el contenido';
+    if (reason) {
+      await cursor.close();
+      return { ok: false, entries, lastSeq: expectedSeq - 1, lastHash: prevHash, brokenAt: { seq: e.seq, reason } };
+    }
+    expectedSeq++;
+    prevHash = e.hash;
+  }
+  return { ok: true, entries, lastSeq: expectedSeq - 1, lastHash: prevHash, brokenAt: null };
+}
+
+module.exports = {
+  WITNESS_ROLES,
+  verifyWitness,
+  witnessFor,
+  verifyChain,
+};
@@ -0,0 +1,121 @@
+// Utils/costing.js
+const mongoose = require('mongoose');
+const CostLayer = require('../Models/CostLayer');
+const Hospital = require('../Models/Hospital');
+const Medication = require('../Models/Medication');
+const { listLotBalances, getLotUnitCosts, lotKey } = require('./stockLedger');
+
+// Método de costeo configurado para el hospital (WAVG por defecto)
+async function getCostingMethod(hospitalId) {
+  const h = await Hospital.findById(hospitalId, 'settings.costingMethod').lean();
+  return h?.settings?.costingMethod || 'WAVG';
+}
+
+/**
+ * Reconstruye las capas de costo de un hospital a partir del stock actual por lote.
+ * Se usa al activar la valuación sobre stock existente o al cambiar de método.
+ * - FIFO: una capa por lote (en orden de primera entrada), al costo promedio de entradas del lote.
+ * - WAVG: una capa por medicamento al costo promedio ponderado de sus lotes.
+ * Devuelve { method, layers }
+ */
+async function rebuildCostLayers({ hospitalId, medicationId }) {
+  const method = await getCostingMethod(hospitalId);
+
+  const match = { hospital: new mongoose.Types.ObjectId(hospitalId) };
+  if (medicationId) match.medication = new mongoose.Types.ObjectId(medicationId);
+
+  const [balances, unitCosts] = await Promise.all([
+    listLotBalances(match),
+    getLotUnitCosts(match),
+  ]);
+  const meds = await Medication.find(
+    { _id: { $in: [...new Set(balances.map(b => String(b.medication)))] } },
+    'unitPrice'
+  ).lean();
+  const priceMap = new Map(meds.map(m => [String(m._id), m.unitPrice || 0]));
+  const costOf = (b) => unitCosts.get(lotKey(b)) ?? priceMap.get(String(b.medication)) ?? 0;
+
+  const layers = [];
+  if (method === 'FIFO') {
+    for (const b of balances) {
+      layers.push({
+        hospital: b.hospital,
+        medication: b.medication,
+        method,
+        unitCost: costOf(b),
+        qtyIn: b.qty,
+        qtyRemaining: b.qty,
+        receivedAt: b.createdAt, // alta del saldo = primera entrada del lote
+      });
+    }
+  } else {
+    const byMed = new Map();
+    for (const b of balances) {
+      const acc = byMed.get(String(b.medication)) || { hospital: b.hospital, medication: b.medication, qty: 0, value: 0 };
+      acc.qty += b.qty;
+      acc.value += b.qty * costOf(b);
+      byMed.set(String(b.medication), acc);
+    }
+    for (const acc of byMed.values()) {
+      layers.push({
+        hospital: acc.hospital,
+        medication: acc.medication,
+        method,
+        unitCost: acc.qty > 0 ? acc.value / acc.qty : 0,
+        qtyIn: acc.qty,
+        qtyRemaining: acc.qty,
+      });
+    }
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await CostLayer.deleteMany(match, { session });
+      if (layers.length) await CostLayer.insertMany(layers, { session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return { method, layers: layers.length };
+}
+
+/**
+ * Valuación actual por medicamento desde las capas de costo del método vigente.
+ * Devuelve [{ medication, qty, value, unitCost }]
+ */
+async function getValuation({ hospitalId, medicationId }) {
+  const method = await getCostingMethod(hospitalId);
+
+  const match = { hospital: new mongoose.Types.ObjectId(hospitalId), method };
+  if (medicationId) match.medication = new mongoose.Types.ObjectId(medicationId);
+
+  const rows = await CostLayer.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$medication',
+        qty: { $sum: '$qtyRemaining' },
+        value: { $sum: { $multiply: [{ $max: ['$qtyRemaining', 0] }, '$unitCost'] } },
+      }
+    },
+    { $match: { qty: { $ne: 0 } } },
+  ]);
+
+  return {
+    method,
+    rows: rows.map(r => ({
+      medication: r._id,
+      qty: r.qty,
+      value: r.value,
+      unitCost: r.qty > 0 ? r.value / r.qty : 0,
+    })),
+  };
+}
+
+module.exports = {
+  getCostingMethod,
+  rebuildCostLayers,
+  getValuation,
+};
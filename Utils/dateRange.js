@@ -0,0 +1,70 @@
+// Utils/dateRange.js
+const Hospital = require('../Models/Hospital');
+
+/**
+ * Filtros por fecha de las consultas (dateFrom / dateTo / asOf).
+ * Una fecha sin hora (YYYY-MM-DD) es un día en la zona horaria del hospital: como límite inferior
+ * cuenta desde las 00:00 locales y como límite superior hasta el último milisegundo de ese día.
+ * Con hora (ISO completo) se usa tal cual.
+ */
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DEFAULT_TIMEZONE = 'America/Mexico_City';
+
+// Desfase (ms) de la zona horaria respecto a UTC en un instante dado
+function tzOffsetMs(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instante UTC de las 00:00 locales del día y/m/d en la zona horaria
+function zonedMidnight(y, m, d, timezone) {
+  const guess = Date.UTC(y, m - 1, d);
+  let t = guess - tzOffsetMs(new Date(guess), timezone);
+  // Si el desfase cambia entre la suposición y el resultado (horario de verano), se corrige una vez
+  const offset = tzOffsetMs(new Date(t), timezone);
+  if (guess - offset !== t) t = guess - offset;
+  return new Date(t);
+}
+
+/**
+ * Fecha de query → Date. endOfDay: una fecha sin hora cuenta hasta el final de ese día.
+ * Devuelve null si no viene; Invalid Date si no se puede leer (el que llama decide si es 400).
+ */
+function parseDateBound(value, { timezone = DEFAULT_TIMEZONE, endOfDay = false } = {}) {
+  if (value == null || value === '') return null;
+  const m = DATE_ONLY.exec(String(value).trim());
+  if (!m) return new Date(value);
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  if (!endOfDay) return zonedMidnight(y, mo, d, timezone);
+  const next = new Date(Date.UTC(y, mo - 1, d + 1));
+  return new Date(zonedMidnight(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), timezone).getTime() - 1);
+}
+
+// Zona horaria del hospital (default si no hay hospital o no la tiene configurada)
+async function hospitalTimezone(hospitalId) {
+  if (!hospitalId) return DEFAULT_TIMEZONE;
+  const h = await Hospital.findById(hospitalId, 'settings.timezone').lean();
+  return h?.settings?.timezone || DEFAULT_TIMEZONE;
+}
+
+// { $gte?, $lte? } para dateFrom/dateTo en la zona horaria del hospital; null si no viene ninguna
+async function dateRangeFilter({ hospitalId, dateFrom, dateTo }) {
+  if (!dateFrom && !dateTo) return null;
+  const timezone = await hospitalTimezone(hospitalId);
+  const range = {};
+  if (dateFrom) range.$gte = parseDateBound(dateFrom, { timezone });
+  if (dateTo) range.$lte = parseDateBound(dateTo, { timezone, endOfDay: true });
+  return range;
+}
+
+module.exports = {
+  parseDateBound,
+  hospitalTimezone,
+  dateRangeFilter,
+};
@@ -0,0 +1,277 @@
+// Utils/deadStock.js
+const mongoose = require('mongoose');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const StockBalance = require('../Models/StockBalance');
+const Hospital = require('../Models/Hospital');
+const Medication = require('../Models/Medication');
+const Notification = require('../Models/Notification');
+const { signedQtyExpr, EPSILON } = require('./stockLedger');
+const { getValuation } = require('./costing');
+
+/**
+ * Stock muerto y de lento movimiento por hospital:
+ *  - DEAD: hay stock y ninguna salida en los últimos `days` días
+ *  - SLOW: hubo salidas, pero al ritmo de esos `days` días el stock dura más de `slowCoverDays`
+ * Cuentan como salida los OUT vigentes (no anulados) salvo bajas (WRITE_OFF) y movimientos
+ * internos (LOCATION_MOVE): ninguno de los dos es demanda real.
+ * Para cada fila se sugieren hospitales hermanos (activos) con consumo reciente del mismo medicamento.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NON_DEMAND_REASONS = ['WRITE_OFF', 'LOCATION_MOVE'];
+// Máximo de hospitales sugeridos por medicamento
+const MAX_SUGGESTIONS = 3;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function positiveInt(value, def, name, max = 3650) {
+  if (value == null || value === '') return def;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > max) throw badRequest(`${name} debe ser entero entre 1 y ${max}`);
+  return n;
+}
+
+/**
+ * Normaliza opciones del reporte (query/settings).
+ * Devuelve { days, recentDays, slowCoverDays }
+ */
+function parseDeadStockOptions(opts = {}, defaults = {}) {
+  const pick = (k) => (opts[k] != null && opts[k] !== '' ? opts[k] : defaults[k]);
+  return {
+    days: positiveInt(pick('days'), 180, 'days'),
+    recentDays: positiveInt(pick('recentDays'), 90, 'recentDays'),
+    slowCoverDays: positiveInt(pick('slowCoverDays'), 365, 'slowCoverDays'),
+  };
+}
+
+// Hospitales hermanos con consumo neto reciente (CONSUMPTION menos reversos) por medicamento
+async function recentConsumptionElsewhere({ hospitalId, medicationIds, since }) {
+  const others = await Hospital.find(
+    { _id: { $ne: hospitalId }, status: 'active' },
+    'name code'
+  ).lean();
+  if (!others.length || !medicationIds.length) return new Map();
+
+  const rows = await InventoryTransaction.aggregate([
+    {
+      $match: {
+        hospital: { $in: others.map(h => h._id) },
+        medication: { $in: medicationIds },
+        reason: 'CONSUMPTION',
+        createdAt: { $gte: since },
+      }
+    },
+    {
+      $group: {
+        _id: { medication: '$medication', hospital: '$hospital' },
+        qty: { $sum: { $multiply: [signedQtyExpr, -1] } },
+        lastConsumedAt: { $max: '$createdAt' },
+      }
+    },
+    { $match: { qty: { $gt: EPSILON } } },
+  ]);
+
+  const hMap = new Map(others.map(h => [String(h._id), h]));
+  const byMed = new Map();
+  for (const r of rows) {
+    const key = String(r._id.medication);
+    const h = hMap.get(String(r._id.hospital)) || {};
+    if (!byMed.has(key)) byMed.set(key, []);
+    byMed.get(key).push({
+      hospital: r._id.hospital,
+      hospitalName: h.name,
+      hospitalCode: h.code,
+      recentConsumption: r.qty,
+      lastConsumedAt: r.lastConsumedAt,
+    });
+  }
+  for (const list of byMed.values()) list.sort((a, b) => b.recentConsumption - a.recentConsumption);
+  return byMed;
+}
+
+// Reparte el stock entre los hospitales sugeridos, sin pasar de lo que cada uno consumió en la ventana
+function allocateSuggestions(qty, candidates) {
+  let remaining = qty;
+  const out = [];
+  for (const c of candidates.slice(0, MAX_SUGGESTIONS)) {
+    if (remaining <= EPSILON) break;
+    const suggestedQty = Math.min(remaining, c.recentConsumption);
+    remaining -= suggestedQty;
+    out.push({ ...c, suggestedQty });
+  }
+  return out;
+}
+
+/**
+ * Reporte de stock muerto / lento movimiento de un hospital.
+ * - options: ver parseDeadStockOptions
+ * - status: 'DEAD' | 'SLOW' | undefined (ambos)
+ * Devuelve { rows, totals: { items, qty, value, dead, slow } } con filas ordenadas por valor descendente.
+ */
+async function buildDeadStockReport({ hospitalId, medicationId, options, status, asOf = new Date() }) {
+  const hId = new mongoose.Types.ObjectId(hospitalId);
+  const since = new Date(asOf.getTime() - options.days * DAY_MS);
+
+  const balanceMatch = { hospital: hId, qty: { $gt: EPSILON } };
+  if (medicationId) balanceMatch.medication = new mongoose.Types.ObjectId(medicationId);
+
+  const stock = await StockBalance.aggregate([
+    { $match: balanceMatch },
+    { $sort: { expiryDate: 1 } },
+    {
+      $group: {
+        _id: '$medication',
+        qty: { $sum: '$qty' },
+        nearestExpiry: { $min: '$expiryDate' },
+        lots: { $push: { lot: '$lot', expiryDate: '$expiryDate', location: '$location', qty: '$qty' } },
+      }
+    },
+  ]);
+  if (!stock.length) return { rows: [], totals: { items: 0, qty: 0, value: 0, dead: 0, slow: 0 } };
+
+  const medIds = stock.map(s => s._id);
+  const [outs, valuation, meds] = await Promise.all([
+    InventoryTransaction.aggregate([
+      {
+        $match: {
+          hospital: hId,
+          medication: { $in: medIds },
+          type: 'OUT',
+          reason: { $nin: NON_DEMAND_REASONS },
+          // Ni salidas anuladas ni reversos (anular una recepción genera un OUT que no es demanda)
+          reversedBy: null,
+          reversalOf: null,
+          createdAt: { $lt: asOf },
+        }
+      },
+      {
+        $group: {
+          _id: '$medication',
+          lastOutAt: { $max: '$createdAt' },
+          windowQty: { $sum: { $cond: [{ $gte: ['$createdAt', since] }, '$qty', 0] } },
+        }
+      },
+    ]),
+    getValuation({ hospitalId }),
+    Medication.find({ _id: { $in: medIds } }, 'name code uom unitPrice').lean(),
+  ]);
+
+  const outMap = new Map(outs.map(o => [String(o._id), o]));
+  const costMap = new Map(valuation.rows.map(v => [String(v.medication), v.unitCost]));
+  const medMap = new Map(meds.map(m => [String(m._id), m]));
+
+  const flagged = [];
+  for (const s of stock) {
+    const key = String(s._id);
+    const out = outMap.get(key);
+    const lastOutAt = out?.lastOutAt || null;
+    const windowQty = out?.windowQty || 0;
+
+    let rowStatus = null;
+    let coverDays = null;
+    if (!lastOutAt || lastOutAt < since || windowQty <= EPSILON) {
+      rowStatus = 'DEAD';
+    } else {
+      coverDays = s.qty / (windowQty / options.days);
+      if (coverDays > options.slowCoverDays) rowStatus = 'SLOW';
+    }
+    if (!rowStatus || (status && status !== rowStatus)) continue;
+
+    const med = medMap.get(key) || {};
+    const unitCost = costMap.get(key) || med.unitPrice || 0;
+    flagged.push({
+      medication: s._id,
+      medicationName: med.name,
+      medicationCode: med.code,
+      uom: med.uom,
+      status: rowStatus,
+      qty: s.qty,
+      unitCost,
+      value: s.qty * unitCost,
+      nearestExpiry: s.nearestExpiry || null,
+      lastOutAt,
+      daysSinceLastOut: lastOutAt ? Math.floor((asOf - lastOutAt) / DAY_MS) : null,
+      outQtyInWindow: windowQty,
+      coverDays: coverDays == null ? null : Math.round(coverDays),
+      lots: s.lots,
+    });
+  }
+
+  const elsewhere = await recentConsumptionElsewhere({
+    hospitalId: hId,
+    medicationIds: flagged.map(r => r.medication),
+    since: new Date(asOf.getTime() - options.recentDays * DAY_MS),
+  });
+  for (const r of flagged) {
+    r.suggestedTransfers = allocateSuggestions(r.qty, elsewhere.get(String(r.medication)) || []);
+  }
+
+  flagged.sort((a, b) => b.value - a.value);
+  const totals = flagged.reduce((acc, r) => {
+    acc.items += 1;
+    acc.qty += r.qty;
+    acc.value += r.value;
+    acc[r.status === 'DEAD' ? 'dead' : 'slow'] += 1;
+    return acc;
+  }, { items: 0, qty: 0, value: 0, dead: 0, slow: 0 });
+
+  return { rows: flagged, totals };
+}
+
+/**
+ * Job semanal: una notificación DEAD_STOCK por hospital con settings.deadStock.notify,
+ * con el resumen y los medicamentos de mayor valor. Sin hallazgos no se notifica.
+ */
+async function runDeadStockAlerts({ asOf = new Date() } = {}) {
+  const hospitals = await Hospital.find(
+    { status: 'active', 'settings.deadStock.notify': true },
+    'code settings.deadStock settings.currency'
+  ).lean();
+
+  const result = [];
+  for (const h of hospitals) {
+    const options = parseDeadStockOptions({}, h.settings.deadStock);
+    const { rows, totals } = await buildDeadStockReport({ hospitalId: h._id, options, asOf });
+    if (!rows.length) {
+      result.push({ hospital: h._id, code: h.code, items: 0, notified: false });
+      continue;
+    }
+
+    const currency = h.settings?.currency || 'MXN';
+    const withTransfers = rows.filter(r => r.suggestedTransfers.length).length;
+    await Notification.create({
+      hospital: h._id,
+      type: 'DEAD_STOCK',
+      title: `Stock sin movimiento: ${totals.items} medicamento(s)`,
+      message: `${totals.dead} sin salidas en ${options.days} días y ${totals.slow} de lento movimiento; ` +
+        `valor ${totals.value.toFixed(2)} ${currency}. ${withTransfers} con traspaso sugerido a otro hospital.`,
+      priority: totals.dead ? 'medium' : 'low',
+      meta: {
+        customData: {
+          options,
+          totals,
+          top: rows.slice(0, 10).map(r => ({
+            medication: r.medication,
+            medicationName: r.medicationName,
+            status: r.status,
+            qty: r.qty,
+            value: r.value,
+            nearestExpiry: r.nearestExpiry,
+            suggestedTransfers: r.suggestedTransfers.map(t => ({ hospitalCode: t.hospitalCode, suggestedQty: t.suggestedQty })),
+          })),
+        },
+      },
+    });
+    result.push({ hospital: h._id, code: h.code, items: totals.items, notified: true });
+  }
+  return { hospitals: result };
+}
+
+module.exports = {
+  parseDeadStockOptions,
+  buildDeadStockReport,
+  runDeadStockAlerts,
+};
@@ -0,0 +1,285 @@
+// Utils/expiry.js
+const mongoose = require('mongoose');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const Medication = require('../Models/Medication');
+const Hospital = require('../Models/Hospital');
+const Notification = require('../Models/Notification');
+const StockBalance = require('../Models/StockBalance');
+const { EPSILON, getCurrentStock, listLotBalances, assertSafetyStock, lotKey } = require('./stockLedger');
+
+/**
+ * Caducidades:
+ *  - writeOffExpiredLots: baja (OUT WRITE_OFF) de los lotes con caducidad <= cutoff
+ *    (writeOffExpiredLotsEach: una transacción por lote, para el job)
+ *  - scanExpiry: alerta EXPIRY_SOON por lote al entrar a cada horizonte (ej. 90/30/7 días);
+ *    el horizonte 0 es "caducado". Una sola alerta por lote + horizonte (leída o no).
+ */
+const DEFAULT_HORIZONS = [90, 30, 7];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Prioridad por posición del horizonte, del más cercano al más lejano
+const PRIORITY_BY_RANK = ['critical', 'high', 'medium'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+// Horizontes en días, únicos y de mayor a menor; lanza 400 si no son enteros positivos
+function parseHorizons(value) {
+  if (value == null || value === '') return [...DEFAULT_HORIZONS];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const nums = list.map(Number);
+  if (!nums.length || nums.some(n => !Number.isInteger(n) || n < 1 || n > 730)) {
+    throw badRequest('horizons debe ser una lista de enteros entre 1 y 730 (ej. 90,30,7)');
+  }
+  return [...new Set(nums)].sort((a, b) => b - a);
+}
+
+// Saldos med+ubicación+lote con caducidad <= cutoff y stock > 0 (sin controlados si no hay testigo)
+async function expiredLotBalances({ hId, cutoff, medicationId, witnessedBy }) {
+  const match = { hospital: hId, expiryDate: { $ne: null, $lte: cutoff } };
+  if (medicationId) match.medication = new mongoose.Types.ObjectId(medicationId);
+
+  let lots = (await listLotBalances(match)).map(b => ({
+    _id: { medication: b.medication, location: b.location, lot: b.lot, expiryDate: b.expiryDate },
+    stock: b.qty
+  }));
+  if (!witnessedBy && lots.length) {
+    const controlled = await Medication.distinct('_id', {
+      _id: { $in: lots.map(l => l._id.medication) }, isControlled: true
+    });
+    const skip = new Set(controlled.map(String));
+    lots = lots.filter(l => !skip.has(String(l._id.medication)));
+  }
+  return lots;
+}
+
+/**
+ * OUT WRITE_OFF de un saldo dentro de la sesión, por lo que tenga el saldo al momento de la baja
+ * (se relee en la transacción; l.stock queda actualizado). El safety stock solo se valida si el lote
+ * aún no caduca (cutoff futuro): el stock ya caducado no es utilizable y darlo de baja no reduce la
+ * existencia útil. Devuelve false si ya no hay stock que dar de baja.
+ */
+async function writeOffLot({ hId, l, userId, witnessedBy, asOf, session }) {
+  const mId = l._id.medication;
+  const medDoc = await Medication.findById(mId).session(session);
+  if (!medDoc) return false;
+
+  const row = await StockBalance.findOne(StockBalance.keyOf({ hospital: hId, medication: mId, ...l._id }))
+    .session(session)
+    .lean();
+  if (!row || row.qty <= EPSILON) return false;
+  l.stock = row.qty;
+
+  if (new Date(l._id.expiryDate) > asOf) {
+    const totalCurrent = await getCurrentStock({ hospitalId: hId, medicationId: mId, session });
+    await assertSafetyStock({ hospitalId: hId, medication: medDoc, projected: totalCurrent - l.stock, session });
+  }
+
+  const tx = new InventoryTransaction({
+    hospital: hId,
+    medication: mId,
+    type: 'OUT',
+    qty: l.stock,
+    uom: medDoc.uom || 'unit',
+    location: l._id.location || undefined,
+    lot: l._id.lot || undefined,
+    expiryDate: l._id.expiryDate || undefined,
+    reason: 'WRITE_OFF',
+    refType: 'OTHER',
+    notes: 'Write-off por caducidad',
+    createdBy: userId,
+    witnessedBy
+  });
+  await tx.save({ session });
+  return true;
+}
+
+/**
+ * Baja por caducidad: un OUT (reason WRITE_OFF) por cada saldo med+ubicación+lote con
+ * caducidad <= cutoff y stock > 0, en una sola transacción. Respeta el safety stock en los
+ * lotes que aún no caducan (cutoff futuro).
+ * Sin witnessedBy los medicamentos controlados se omiten (requieren baja con testigo).
+ * Devuelve los saldos dados de baja [{ _id: { medication, location, lot, expiryDate }, stock }]
+ */
+async function writeOffExpiredLots({ hospitalId, cutoff, medicationId, userId, witnessedBy, asOf = new Date() }) {
+  const hId = new mongoose.Types.ObjectId(hospitalId);
+  const lots = await expiredLotBalances({ hId, cutoff, medicationId, witnessedBy });
+  if (!lots.length) return lots;
+
+  let writtenOff = [];
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      writtenOff = [];
+      for (const l of lots) {
+        if (await writeOffLot({ hId, l, userId, witnessedBy, asOf, session })) writtenOff.push(l);
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+  return writtenOff;
+}
+
+/**
+ * Igual que writeOffExpiredLots pero con una transacción por saldo (job nocturno): un lote que
+ * falla no impide la baja de los demás.
+ * Devuelve { writtenOff: [saldos], errors: [{ medication, location, lot, expiryDate, stock, error }] }
+ */
+async function writeOffExpiredLotsEach({ hospitalId, cutoff, medicationId, userId, witnessedBy, asOf = new Date() }) {
+  const hId = new mongoose.Types.ObjectId(hospitalId);
+  const lots = await expiredLotBalances({ hId, cutoff, medicationId, witnessedBy });
+
+  const writtenOff = [];
+  const errors = [];
+  for (const l of lots) {
+    const session = await mongoose.startSession();
+    try {
+      let done = false;
+      await session.withTransaction(async () => {
+        done = await writeOffLot({ hId, l, userId, witnessedBy, asOf, session });
+      });
+      if (done) writtenOff.push(l);
+    } catch (err) {
+      errors.push({ ...l._id, stock: l.stock, error: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+  return { writtenOff, errors };
+}
+
+/**
+ * Escanea los lotes con stock de un hospital y crea EXPIRY_SOON para los que entraron a un
+ * horizonte sin alerta previa. Solo se alerta el horizonte más cercano alcanzado (un lote
+ * que aparece a 20 días genera la de 30, no la de 90).
+ * - autoWriteOff: además da de baja los lotes ya caducados (salvo controlados, que piden testigo)
+ * - dryRun: solo calcula
+ * Devuelve { horizons, alerts: [...], skipped, writtenOff, writeOffErrors: [{ medication, lot, ..., error }] }
+ */
+async function scanExpiry({ hospitalId, horizons = DEFAULT_HORIZONS, autoWriteOff = false, dryRun = false, asOf = new Date() }) {
+  const hId = new mongoose.Types.ObjectId(hospitalId);
+  const sorted = [...horizons].sort((a, b) => a - b);
+  const limit = new Date(asOf.getTime() + sorted[sorted.length - 1] * DAY_MS);
+
+  // Saldos por lote (sumando ubicaciones)
+  const balances = await listLotBalances({ hospital: hId, expiryDate: { $ne: null, $lte: limit } });
+  const lots = new Map();
+  for (const b of balances) {
+    const key = lotKey(b);
+    const l = lots.get(key) || { medication: b.medication, lot: b.lot || null, expiryDate: b.expiryDate, qty: 0 };
+    l.qty += b.qty;
+    lots.set(key, l);
+  }
+
+  const meds = await Medication.find(
+    { _id: { $in: [...new Set([...lots.values()].map(l => String(l.medication)))] } },
+    'name code isControlled'
+  ).lean();
+  const medMap = new Map(meds.map(m => [String(m._id), m]));
+
+  const alerts = [];
+  let skipped = 0;
+  for (const l of lots.values()) {
+    const daysLeft = Math.ceil((l.expiryDate - asOf) / DAY_MS);
+    const horizonDays = daysLeft <= 0 ? 0 : sorted.find(h => daysLeft <= h);
+    if (horizonDays == null) continue;
+
+    const already = await Notification.exists({
+      hospital: hId,
+      type: 'EXPIRY_SOON',
+      medication: l.medication,
+      'meta.lot': l.lot,
+      'meta.expiryDate': l.expiryDate,
+      'meta.horizonDays': horizonDays,
+    });
+    if (already) { skipped++; continue; }
+
+    const med = medMap.get(String(l.medication)) || {};
+    const rank = horizonDays === 0 ? 0 : sorted.indexOf(horizonDays);
+    const priority = PRIORITY_BY_RANK[rank] || 'low';
+    const lotLabel = l.lot ? `lote ${l.lot}` : 'sin lote';
+    // La baja automática omite los controlados (sin testigo no se dan de baja)
+    const writeOffNote = !autoWriteOff
+      ? ' Registra la baja por caducidad.'
+      : med.isControlled
+        ? ' Medicamento controlado: registra la baja con testigo.'
+        : ' Se da de baja automáticamente.';
+    const alert = {
+      hospital: hId,
+      type: 'EXPIRY_SOON',
+      title: horizonDays === 0 ? `Caducado: ${med.name || 'medicamento'}` : `Caduca en ${daysLeft} día(s): ${med.name || 'medicamento'}`,
+      message: horizonDays === 0
+        ? `${l.qty} ${lotLabel} caducó el ${l.expiryDate.toISOString().slice(0, 10)}.${writeOffNote}`
+        : `${l.qty} ${lotLabel} caduca el ${l.expiryDate.toISOString().slice(0, 10)} (horizonte ${horizonDays} días).`,
+      medication: l.medication,
+      priority,
+      meta: { stockQty: l.qty, expiryDate: l.expiryDate, lot: l.lot, horizonDays },
+    };
+    alerts.push(alert);
+  }
+
+  let writtenOff = [];
+  let writeOffErrors = [];
+  if (!dryRun) {
+    if (alerts.length) await Notification.insertMany(alerts);
+    if (autoWriteOff) {
+      // Por saldo: los que fallen quedan en writeOffErrors para revisión manual
+      ({ writtenOff, errors: writeOffErrors } = await writeOffExpiredLotsEach({ hospitalId: hId, cutoff: asOf, asOf }));
+    }
+  }
+
+  return {
+    horizons: sorted.slice().reverse(),
+    alerts: alerts.map(a => ({
+      medication: a.medication,
+      lot: a.meta.lot,
+      expiryDate: a.meta.expiryDate,
+      qty: a.meta.stockQty,
+      horizonDays: a.meta.horizonDays,
+      priority: a.priority,
+    })),
+    skipped,
+    writtenOff: writtenOff.length,
+    writeOffErrors,
+  };
+}
+
+// Job diario: todos los hospitales activos con settings.expiry.scan
+async function runExpiryScan({ hospitalId, dryRun = false, asOf = new Date() } = {}) {
+  const filter = hospitalId ? { _id: hospitalId } : { status: 'active', 'settings.expiry.scan': { $ne: false } };
+  const hospitals = await Hospital.find(filter, 'code settings.expiry').lean();
+
+  const result = [];
+  for (const h of hospitals) {
+    const cfg = h.settings?.expiry || {};
+    const r = await scanExpiry({
+      hospitalId: h._id,
+      horizons: parseHorizons(cfg.horizons?.length ? cfg.horizons : null),
+      autoWriteOff: !!cfg.autoWriteOff,
+      dryRun,
+      asOf,
+    });
+    result.push({
+      hospital: h._id,
+      code: h.code,
+      alerts: r.alerts.length,
+      skipped: r.skipped,
+      writtenOff: r.writtenOff,
+      writeOffErrors: r.writeOffErrors,
+      ...(dryRun ? { detail: r.alerts } : {}),
+    });
+  }
+  return { dryRun, hospitals: result };
+}
+
+module.exports = {
+  DEFAULT_HORIZONS,
+  parseHorizons,
+  writeOffExpiredLots,
+  writeOffExpiredLotsEach,
+  scanExpiry,
+  runExpiryScan,
+};
@@ -0,0 +1,410 @@
+// Utils/forecasting.js
+const mongoose = require('mongoose');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const Hospital = require('../Models/Hospital');
+const Medication = require('../Models/Medication');
+const Supplier = require('../Models/Supplier');
+const HospitalMedicationPolicy = require('../Models/HospitalMedicationPolicy');
+const { signedQtyExpr } = require('./stockLedger');
+const { resolvePolicies } = require('./medicationPolicy');
+
+/**
+ * Métodos de pronóstico sobre consumo mensual:
+ *  - MOVING_AVERAGE: promedio de los últimos `window` meses
+ *  - SES: suavizamiento exponencial simple (alpha)
+ *  - HOLT_WINTERS: suavizamiento exponencial con tendencia y estacionalidad aditiva (12 meses);
+ *    requiere 2 temporadas de historia, si no hay se usa SES (ver methodUsed)
+ */
+const FORECAST_METHODS = ['MOVING_AVERAGE', 'SES', 'HOLT_WINTERS'];
+const SEASON_LENGTH = 12;
+const DEFAULT_LEAD_TIME_DAYS = 7;
+// Meses con consumo mínimos para sugerir política
+const MIN_HISTORY_MONTHS = 3;
+
+/* =========================
+   Errores / validación
+   ========================= */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Normaliza opciones de pronóstico (query/body/settings) y valida rangos.
+ * Devuelve { method, months, window, alpha, beta, gamma, serviceLevel, horizon }
+ */
+function parseForecastOptions(opts = {}, defaults = {}) {
+  const pick = (k, d) => (opts[k] != null && opts[k] !== '' ? opts[k] : (defaults[k] ?? d));
+  const o = {
+    method: String(pick('method', 'HOLT_WINTERS')).toUpperCase(),
+    months: Number(pick('months', 24)),
+    window: Number(pick('window', 3)),
+    alpha: Number(pick('alpha', 0.3)),
+    beta: Number(pick('beta', 0.1)),
+    gamma: Number(pick('gamma', 0.3)),
+    serviceLevel: Number(pick('serviceLevel', 0.95)),
+    horizon: Number(pick('horizon', 3)),
+  };
+
+  if (!FORECAST_METHODS.includes(o.method)) throw badRequest(`method inválido (${FORECAST_METHODS.join(', ')})`);
+  if (!Number.isInteger(o.months) || o.months < MIN_HISTORY_MONTHS || o.months > 60) {
+    throw badRequest(`months debe ser entero entre ${MIN_HISTORY_MONTHS} y 60`);
+  }
+  if (!Number.isInteger(o.window) || o.window < 1 || o.window > 12) throw badRequest('window debe ser entero entre 1 y 12');
+  for (const k of ['alpha', 'beta', 'gamma']) {
+    if (!(o[k] > 0 && o[k] < 1)) throw badRequest(`${k} debe estar entre 0 y 1`);
+  }
+  if (!(o.serviceLevel > 0.5 && o.serviceLevel < 1)) throw badRequest('serviceLevel debe estar entre 0.5 y 1 (ej. 0.95)');
+  if (!Number.isInteger(o.horizon) || o.horizon < 1 || o.horizon > 12) throw badRequest('horizon debe ser entero entre 1 y 12');
+  return o;
+}
+
+/* =========================
+   Historia de consumo
+   ========================= */
+
+// Clave 'YYYY-MM' del mes de una fecha en la zona horaria del hospital
+function monthKey(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit' })
+    .formatToParts(date);
+  const get = (t) => parts.find(p => p.type === t).value;
+  return `${get('year')}-${get('month')}`;
+}
+
+// Los `months` meses completos anteriores al mes de asOf, del más viejo al más reciente
+function previousMonthKeys(asOf, months, timezone) {
+  const [y, m] = monthKey(asOf, timezone).split('-').map(Number);
+  const keys = [];
+  for (let i = months; i >= 1; i--) {
+    const d = new Date(Date.UTC(y, m - 1 - i, 1));
+    keys.push(`${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`);
+  }
+  return keys;
+}
+
+/**
+ * Consumo mensual neto (OUT reason CONSUMPTION menos sus reversos) por medicamento.
+ * Solo meses completos: el mes en curso no se incluye. Meses sin movimientos = 0.
+ * Devuelve { periods: ['YYYY-MM'...], series: Map<medicationId, number[]>, costs, timezone }
+ *  - costs: Map<medicationId, { stampedValue, unvaluedQty }> del periodo completo
+ *    (valor al costo estampado y cantidad sin costo, para valuar con Medication.unitPrice)
+ */
+async function getConsumptionHistory({ hospitalId, medicationIds, months = 24, asOf = new Date() }) {
+  const hospital = await Hospital.findById(hospitalId, 'settings.timezone').lean();
+  const timezone = hospital?.settings?.timezone || 'America/Mexico_City';
+  const periods = previousMonthKeys(asOf, months, timezone);
+
+  const match = {
+    hospital: new mongoose.Types.ObjectId(hospitalId),
+    reason: 'CONSUMPTION',
+    // Margen de un mes extra; los meses fuera de `periods` se descartan abajo
+    createdAt: { $gte: new Date(asOf.getTime() - (months + 1) * 31 * 24 * 60 * 60 * 1000), $lt: asOf },
+  };
+  if (medicationIds) match.medication = { $in: medicationIds.map(id => new mongoose.Types.ObjectId(id)) };
+
+  const rows = await InventoryTransaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          medication: '$medication',
+          month: { $dateToString: { date: '$createdAt', format: '%Y-%m', timezone } },
+        },
+        // Salida = consumo positivo; el reverso (IN) lo resta
+        qty: { $sum: { $multiply: [signedQtyExpr, -1] } },
+        stampedValue: {
+          $sum: { $cond: [{ $eq: [{ $ifNull: ['$unitCost', null] }, null] }, 0, { $multiply: [signedQtyExpr, -1, '$unitCost'] }] }
+        },
+        unvaluedQty: {
+          $sum: { $cond: [{ $eq: [{ $ifNull: ['$unitCost', null] }, null] }, { $multiply: [signedQtyExpr, -1] }, 0] }
+        },
+      }
+    },
+  ]);
+
+  const index = new Map(periods.map((p, i) => [p, i]));
+  const series = new Map();
+  const costs = new Map();
+  for (const id of medicationIds || []) series.set(String(id), periods.map(() => 0));
+  for (const r of rows) {
+    const i = index.get(r._id.month);
+    if (i == null) continue;
+    const key = String(r._id.medication);
+    if (!series.has(key)) series.set(key, periods.map(() => 0));
+    series.get(key)[i] += r.qty;
+
+    const c = costs.get(key) || { stampedValue: 0, unvaluedQty: 0 };
+    c.stampedValue += r.stampedValue;
+    c.unvaluedQty += r.unvaluedQty;
+    costs.set(key, c);
+  }
+  return { periods, series, costs, timezone };
+}
+
+/* =========================
+   Modelos de pronóstico
+   ========================= */
+
+const mean = (arr) => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0);
+
+// fitted[t] = pronóstico a un paso hecho con datos hasta t-1 (null donde aún no hay suficiente historia)
+function movingAverage(y, { window, horizon }) {
+  const fitted = y.map((_, t) => (t >= window ? mean(y.slice(t - window, t)) : null));
+  const next = mean(y.slice(-window));
+  return { fitted, forecast: Array(horizon).fill(next) };
+}
+
+function simpleExponential(y, { alpha, horizon }) {
+  const fitted = [null];
+  let level = y[0] || 0;
+  for (let t = 1; t < y.length; t++) {
+    fitted.push(level);
+    level = alpha * y[t] + (1 - alpha) * level;
+  }
+  return { fitted, forecast: Array(horizon).fill(level) };
+}
+
+function holtWinters(y, { alpha, beta, gamma, horizon, season = SEASON_LENGTH }) {
+  const n = y.length;
+  let level = mean(y.slice(0, season));
+  let trend = (mean(y.slice(season, 2 * season)) - level) / season;
+  const seasonal = y.slice(0, season).map(v => v - level);
+
+  const fitted = Array(season).fill(null);
+  for (let t = season; t < n; t++) {
+    const s = t % season;
+    fitted.push(level + trend + seasonal[s]);
+    const prevLevel = level;
+    level = alpha * (y[t] - seasonal[s]) + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    seasonal[s] = gamma * (y[t] - level) + (1 - gamma) * seasonal[s];
+  }
+
+  const forecast = [];
+  for (let h = 1; h <= horizon; h++) {
+    forecast.push(level + h * trend + seasonal[(n + h - 1) % season]);
+  }
+  return { fitted, forecast };
+}
+
+// Error del ajuste a un paso (solo meses con pronóstico)
+function accuracy(y, fitted) {
+  const pairs = y.map((a, t) => [a, fitted[t]]).filter(([, f]) => f != null);
+  if (!pairs.length) return { mae: null, mape: null, rmse: null, bias: null, points: 0 };
+
+  const errors = pairs.map(([a, f]) => f - a);
+  const pct = pairs.filter(([a]) => a > 0).map(([a, f]) => Math.abs(f - a) / a);
+  return {
+    mae: mean(errors.map(Math.abs)),
+    mape: pct.length ? mean(pct) : null,
+    rmse: Math.sqrt(mean(errors.map(e => e * e))),
+    bias: mean(errors),
+    points: pairs.length,
+  };
+}
+
+/**
+ * Pronostica una serie mensual.
+ * Devuelve { methodUsed, fitted, forecast, metrics } (pronósticos negativos se recortan a 0)
+ */
+function forecastSeries(y, opts) {
+  let methodUsed = opts.method;
+  if (methodUsed === 'HOLT_WINTERS' && y.length < 2 * SEASON_LENGTH) methodUsed = 'SES';
+
+  const model =
+    methodUsed === 'MOVING_AVERAGE' ? movingAverage(y, opts)
+      : methodUsed === 'SES' ? simpleExponential(y, opts)
+        : holtWinters(y, opts);
+
+  const clamp = (v) => (v == null ? null : Math.max(0, v));
+  const fitted = model.fitted.map(clamp);
+  return {
+    methodUsed,
+    fitted,
+    forecast: model.forecast.map(clamp),
+    metrics: accuracy(y, fitted),
+  };
+}
+
+/* =========================
+   Sugerencia de política
+   ========================= */
+
+// Inversa de la normal estándar (aproximación racional de Acklam, error < 1.2e-9)
+function normalInverse(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628274631000];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) return -normalInverse(1 - p);
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Política sugerida a partir del pronóstico:
+ *  - avgMonthlyConsumption = promedio del pronóstico en el horizonte
+ *  - safetyStock = z(serviceLevel) × σ mensual × √(leadTime en meses)   (σ = RMSE del ajuste)
+ *  - reorderPoint = consumo durante el leadTime + safetyStock
+ */
+function suggestPolicy({ forecast, metrics, series, leadTimeDays, serviceLevel }) {
+  const monthly = mean(forecast);
+  const sigma = metrics.rmse ?? Math.sqrt(mean(series.map(v => (v - mean(series)) ** 2)));
+  const leadMonths = leadTimeDays / 30;
+  const z = normalInverse(serviceLevel);
+
+  const safetyStock = Math.ceil(Math.max(0, z * sigma * Math.sqrt(leadMonths)));
+  return {
+    avgMonthlyConsumption: Math.round(monthly * 100) / 100,
+    safetyStock,
+    reorderPoint: Math.ceil(monthly * leadMonths + safetyStock),
+  };
+}
+
+/**
+ * Pronóstico + política sugerida por medicamento para un hospital.
+ * - medicationId opcional (sin él: todos los medicamentos activos con consumo en el periodo)
+ * Devuelve { periods, rows: [{ medication, methodUsed, history, fitted, forecast, metrics,
+ *            leadTimeDays, current, suggested, insufficientHistory }] }
+ */
+async function buildForecasts({ hospitalId, medicationId, options, asOf = new Date() }) {
+  const medFilter = medicationId ? { _id: medicationId } : { isActive: true };
+  const meds = await Medication.find(medFilter, 'name code uom policy preferredSupplier').lean();
+  const { periods, series } = await getConsumptionHistory({
+    hospitalId,
+    medicationIds: meds.map(m => m._id),
+    months: options.months,
+    asOf,
+  });
+
+  const suppliers = await Supplier.find(
+    { _id: { $in: meds.map(m => m.preferredSupplier).filter(Boolean) } },
+    'leadTimeDays'
+  ).lean();
+  const leadMap = new Map(suppliers.map(s => [String(s._id), s.leadTimeDays]));
+  const policies = await resolvePolicies({ hospitalId, medications: meds });
+
+  const rows = [];
+  for (const m of meds) {
+    const y = series.get(String(m._id)) || periods.map(() => 0);
+    const monthsWithData = y.filter(v => v > 0).length;
+    if (!medicationId && monthsWithData === 0) continue;
+
+    const leadTimeDays = leadMap.get(String(m.preferredSupplier)) ?? DEFAULT_LEAD_TIME_DAYS;
+    const { methodUsed, fitted, forecast, metrics } = forecastSeries(y, options);
+    const insufficientHistory = monthsWithData < MIN_HISTORY_MONTHS;
+    const { source, ...current } = policies.get(String(m._id));
+
+    rows.push({
+      medication: m._id,
+      medicationName: m.name,
+      medicationCode: m.code,
+      uom: m.uom,
+      methodUsed,
+      history: y,
+      fitted,
+      forecast,
+      metrics,
+      leadTimeDays,
+      current,
+      currentSource: source,
+      suggested: insufficientHistory
+        ? null
+        : suggestPolicy({ forecast, metrics, series: y, leadTimeDays, serviceLevel: options.serviceLevel }),
+      insufficientHistory,
+    });
+  }
+
+  return { periods, rows };
+}
+
+/**
+ * Escribe la política sugerida como override del hospital (HospitalMedicationPolicy, sin ubicación).
+ * - skipManual: no toca overrides capturados a mano (source MANUAL); lo usa el job automático.
+ * Devuelve { applied: [...], skipped: [...] }
+ */
+async function applySuggestions({ hospitalId, rows, options, skipManual = false, userId }) {
+  const applied = [];
+  const skipped = [];
+
+  for (const r of rows) {
+    if (!r.suggested) {
+      skipped.push({ medication: r.medication, reason: 'INSUFFICIENT_HISTORY' });
+      continue;
+    }
+
+    const filter = { hospital: hospitalId, medication: r.medication, location: null };
+    const existing = await HospitalMedicationPolicy.findOne(filter, 'source').lean();
+    if (skipManual && existing && existing.source !== 'FORECAST') {
+      skipped.push({ medication: r.medication, reason: 'MANUAL_OVERRIDE' });
+      continue;
+    }
+
+    await HospitalMedicationPolicy.updateOne(
+      filter,
+      {
+        $set: {
+          ...r.suggested,
+          source: 'FORECAST',
+          forecast: {
+            method: r.methodUsed,
+            serviceLevel: options.serviceLevel,
+            leadTimeDays: r.leadTimeDays,
+            mape: r.metrics.mape,
+            appliedAt: new Date(),
+          },
+          updatedBy: userId,
+        },
+        $setOnInsert: { createdBy: userId },
+      },
+      { upsert: true, runValidators: true }
+    );
+    applied.push({ medication: r.medication, medicationName: r.medicationName, previous: r.current, ...r.suggested });
+  }
+
+  return { applied, skipped };
+}
+
+/**
+ * Corrida automática: hospitales activos con settings.forecast.autoApply.
+ * Usa las opciones guardadas en el hospital y respeta overrides manuales.
+ */
+async function runForecastAutoApply({ asOf = new Date() } = {}) {
+  const hospitals = await Hospital.find(
+    { status: 'active', 'settings.forecast.autoApply': true },
+    'code settings.forecast'
+  ).lean();
+
+  const result = [];
+  for (const h of hospitals) {
+    const options = parseForecastOptions({}, h.settings.forecast);
+    const { rows } = await buildForecasts({ hospitalId: h._id, options, asOf });
+    const { applied, skipped } = await applySuggestions({ hospitalId: h._id, rows, options, skipManual: true });
+    result.push({ hospital: h._id, code: h.code, applied: applied.length, skipped: skipped.length });
+  }
+  return { hospitals: result };
+}
+
+module.exports = {
+  FORECAST_METHODS,
+  parseForecastOptions,
+  getConsumptionHistory,
+  forecastSeries,
+  normalInverse,
+  suggestPolicy,
+  buildForecasts,
+  applySuggestions,
+  runForecastAutoApply,
+};
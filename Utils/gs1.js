@@ -0,0 +1,196 @@
+// Utils/gs1.js
+const Medication = require('../Models/Medication');
+
+/**
+ * Lectura de códigos GS1 (GS1-128 / GS1 DataMatrix) de los escáneres de mano.
+ * Acepta:
+ *  - element string crudo, con identificador de simbología opcional (]C1, ]d2, ]Q3) y FNC1 como
+ *    carácter GS (ASCII 29) al final de los campos de longitud variable
+ *  - forma legible con paréntesis: (01)07501234567894(17)270531(10)L123
+ *  - GTIN/EAN simple (8, 12, 13 o 14 dígitos)
+ * El medicamento se resuelve por GTIN contra Medication.barcodes (unidad base) o
+ * Medication.conversions.barcode (esa unidad de empaque, ej. box).
+ */
+const GS = '\x1d';
+
+// AIs soportados: longitud fija (length) o variable hasta max
+const AIS = {
+  '00': { key: 'sscc', length: 18 },
+  '01': { key: 'gtin', length: 14 },
+  '02': { key: 'contentGtin', length: 14 },
+  '10': { key: 'lot', max: 20 },
+  '11': { key: 'productionDate', length: 6, date: true },
+  '15': { key: 'bestBefore', length: 6, date: true },
+  '17': { key: 'expiryDate', length: 6, date: true },
+  '21': { key: 'serial', max: 20 },
+  '30': { key: 'count', max: 8 },
+  '37': { key: 'count', max: 8 },
+  '240': { key: 'additionalId', max: 30 },
+};
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Dígito verificador GS1 (módulo 10, pesos 3/1 desde la derecha)
+function isValidGtin(gtin) {
+  if (!/^\d{8}$|^\d{12,14}$/.test(gtin)) return false;
+  const digits = gtin.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+// YYMMDD → Date (UTC). DD = 00 es el último día del mes y DD fuera del mes es inválido; siglo por la ventana de GS1 (-49/+50 años)
+function parseGs1Date(value, ai) {
+  const m = /^(\d{2})(\d{2})(\d{2})$/.exec(value);
+  const month = m ? Number(m[2]) : 0;
+  if (!m || month < 1 || month > 12) throw httpError(`Fecha inválida en AI (${ai}): ${value}`, 400);
+
+  const yy = Number(m[1]);
+  const now = new Date().getUTCFullYear();
+  let century = Math.floor(now / 100) * 100;
+  const diff = yy - (now % 100);
+  if (diff >= 51) century -= 100;
+  else if (diff <= -50) century += 100;
+
+  const year = century + yy;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const day = Number(m[3]) || lastDay;
+  if (day > lastDay) throw httpError(`Fecha inválida en AI (${ai}): ${value}`, 400);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Divide el código en pares [ai, valor]
+function splitElements(code) {
+  // Forma legible: (01)...(10)...
+  if (code.startsWith('(')) {
+    const pairs = [];
+    const re = /\((\d{2,4})\)([^(]*)/g;
+    let m;
+    while ((m = re.exec(code))) pairs.push([m[1], m[2].trim()]);
+    return pairs;
+  }
+
+  const pairs = [];
+  let i = 0;
+  while (i < code.length) {
+    if (code[i] === GS) { i++; continue; }
+    const ai = AIS[code.slice(i, i + 2)] ? code.slice(i, i + 2) : code.slice(i, i + 3);
+    const def = AIS[ai];
+    if (!def) throw httpError(`AI no soportado en la posición ${i}: ${code.slice(i, i + 4)}`, 400);
+    i += ai.length;
+
+    let value;
+    if (def.length) {
+      value = code.slice(i, i + def.length);
+      i += def.length;
+    } else {
+      const end = code.indexOf(GS, i);
+      value = code.slice(i, end === -1 ? code.length : end);
+      i += value.length;
+    }
+    pairs.push([ai, value]);
+  }
+  return pairs;
+}
+
+/**
+ * Interpreta un código escaneado.
+ * Devuelve { gtin, lot, expiryDate, serial, ..., ais: { '01': '...', ... } }; lanza 400 si es inválido.
+ */
+function parseGS1(raw) {
+  const code = String(raw || '').trim().replace(/^\][A-Za-z]\d/, '');
+  if (!code) throw httpError('code es requerido', 400);
+
+  // GTIN/EAN sin AIs
+  if (/^\d{8}$|^\d{12,14}$/.test(code) && isValidGtin(code)) {
+    return { gtin: code.padStart(14, '0'), ais: { '01': code.padStart(14, '0') } };
+  }
+
+  const parsed = { ais: {} };
+  for (const [ai, value] of splitElements(code)) {
+    const def = AIS[ai];
+    if (!def) throw httpError(`AI no soportado: (${ai})`, 400);
+    if (!value || (def.length && value.length !== def.length) || (def.max && value.length > def.max)) {
+      throw httpError(`Valor inválido para AI (${ai}): ${value}`, 400);
+    }
+    parsed.ais[ai] = value;
+    parsed[def.key] = def.date ? parseGs1Date(value, ai) : value;
+  }
+
+  if (!parsed.gtin) throw httpError('El código no contiene GTIN (AI 01)', 400);
+  if (!isValidGtin(parsed.gtin)) throw httpError(`GTIN con dígito verificador inválido: ${parsed.gtin}`, 400);
+  if (parsed.count) parsed.count = Number(parsed.count);
+  return parsed;
+}
+
+// Formas en que puede estar dado de alta un GTIN-14 (EAN-13, UPC-A, EAN-8 o GTIN-14)
+function gtinCandidates(gtin14) {
+  const out = new Set([gtin14]);
+  for (const len of [13, 12, 8]) {
+    if (/^0+$/.test(gtin14.slice(0, 14 - len))) out.add(gtin14.slice(14 - len));
+  }
+  return [...out];
+}
+
+/**
+ * Resuelve el medicamento de un código escaneado.
+ * Devuelve { parsed, medication, uom } (uom: unidad del empaque escaneado); 404 si no hay
+ * medicamento con ese GTIN y 409 si hay más de uno.
+ */
+async function resolveScan(code) {
+  const parsed = parseGS1(code);
+  const candidates = gtinCandidates(parsed.gtin);
+
+  const meds = await Medication.find(
+    { $or: [{ barcodes: { $in: candidates } }, { 'conversions.barcode': { $in: candidates } }] },
+    'code name form strength uom packSize conversions barcodes isControlled isActive'
+  ).lean();
+  if (!meds.length) throw httpError(`Sin medicamento para el GTIN ${parsed.gtin}`, 404);
+  if (meds.length > 1) {
+    throw httpError(`GTIN ${parsed.gtin} asignado a varios medicamentos: ${meds.map(m => m.code).join(', ')}`, 409);
+  }
+
+  const medication = meds[0];
+  const conv = (medication.conversions || []).find(c => c.barcode && candidates.includes(c.barcode));
+  return { parsed, medication, uom: conv ? conv.uom : (medication.uom || 'unit') };
+}
+
+/**
+ * Completa un body de movimiento (o item de recepción) a partir de body.barcode:
+ * medication, lot, expiryDate, uom y qty (default 1 empaque escaneado).
+ * Si el body ya trae alguno de esos datos y no coincide con el código, lanza 400.
+ */
+async function applyScan(body) {
+  if (!body?.barcode) return body;
+  const { parsed, medication, uom } = await resolveScan(body.barcode);
+
+  const sameDate = (a, b) => new Date(a).getTime() === b.getTime();
+  if (body.medication && String(body.medication) !== String(medication._id)) {
+    throw httpError(`El código escaneado corresponde a ${medication.code}, no al medicamento indicado`, 400);
+  }
+  if (body.lot && parsed.lot && body.lot !== parsed.lot) {
+    throw httpError(`Lote indicado (${body.lot}) distinto al escaneado (${parsed.lot})`, 400);
+  }
+  if (body.expiryDate && parsed.expiryDate && !sameDate(body.expiryDate, parsed.expiryDate)) {
+    throw httpError('Caducidad indicada distinta a la escaneada', 400);
+  }
+
+  return {
+    ...body,
+    medication: String(medication._id),
+    lot: body.lot || parsed.lot,
+    expiryDate: body.expiryDate || parsed.expiryDate,
+    uom: body.uom || uom,
+    qty: body.qty ?? 1,
+  };
+}
+
+module.exports = {
+  parseGS1,
+  resolveScan,
+  applyScan,
+};
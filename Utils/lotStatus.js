@@ -0,0 +1,197 @@
+// Utils/lotStatus.js
+const mongoose = require('mongoose');
+const LotStatus = require('../Models/LotStatus');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const StockBalance = require('../Models/StockBalance');
+const Transfer = require('../Models/Transfer');
+const Hospital = require('../Models/Hospital');
+const Medication = require('../Models/Medication');
+const Notification = require('../Models/Notification');
+const { EPSILON } = require('./stockLedger');
+
+/**
+ * Estados de lote, retiros (recall) y trazabilidad de un lote entre hospitales.
+ */
+
+// Razón del movimiento -> columna del resumen por hospital
+const TRACE_COLUMNS = {
+  PURCHASE_RECEIPT: 'received',
+  RETURN_IN: 'returnedIn',
+  CONSUMPTION: 'dispensed',
+  RETURN_OUT: 'returnedToSupplier',
+  TRANSFER_OUT: 'transferredOut',
+  TRANSFER_IN: 'transferredIn',
+  WRITE_OFF: 'writtenOff',
+  ADJUST_POS: 'adjusted',
+  ADJUST_NEG: 'adjusted',
+  OTHER: 'other',
+};
+
+/**
+ * Crea o actualiza el estado de un lote (hospital null = global) dejando historial.
+ * Devuelve el documento guardado.
+ */
+async function setLotStatus({ medication, lot, hospital = null, status, reason, recall, userId, session }) {
+  let doc = await LotStatus.findOne({ medication, lot, hospital }).session(session || null);
+  if (!doc) doc = new LotStatus({ medication, lot, hospital });
+  doc.setStatus(status, { reason, userId });
+  if (recall) doc.recall = recall;
+  await doc.save({ session });
+  return doc;
+}
+
+/**
+ * Trazabilidad de un lote en todos los hospitales:
+ *  - holders: dónde hay stock hoy (por ubicación)
+ *  - inTransit: transferencias despachadas y no recibidas que lo llevan
+ *  - byHospital: totales por tipo de movimiento (recibido, dispensado, transferido, baja, ...)
+ *  - movements: movimientos vigentes en orden cronológico (sin pares anulados)
+ */
+async function buildLotTrace({ medicationId, lot }) {
+  const mId = new mongoose.Types.ObjectId(medicationId);
+
+  const [balances, txs, transfers] = await Promise.all([
+    StockBalance.find({ medication: mId, lot, qty: { $gt: EPSILON } })
+      .populate('location', 'code name')
+      .lean(),
+    InventoryTransaction.find(
+      { medication: mId, lot, reversedBy: null, reversalOf: null, reason: { $ne: 'LOCATION_MOVE' } },
+      'hospital type adjustSign qty reason refType refId refCode location expiryDate createdAt createdBy'
+    ).sort({ createdAt: 1 }).lean(),
+    Transfer.find(
+      { status: 'DISPATCHED', lines: { $elemMatch: { medication: mId, 'lots.lot': lot } } },
+      'code fromHospital toHospital dispatchedAt lines'
+    ).lean(),
+  ]);
+
+  const hospitalIds = new Set([
+    ...balances.map(b => String(b.hospital)),
+    ...txs.map(t => String(t.hospital)),
+    ...transfers.flatMap(t => [String(t.fromHospital), String(t.toHospital)]),
+  ]);
+  const hospitals = await Hospital.find({ _id: { $in: [...hospitalIds] } }, 'name code').lean();
+  const hMap = new Map(hospitals.map(h => [String(h._id), h]));
+  const hInfo = (id) => ({ hospital: id, hospitalName: hMap.get(String(id))?.name, hospitalCode: hMap.get(String(id))?.code });
+
+  const holderMap = new Map();
+  for (const b of balances) {
+    const key = String(b.hospital);
+    const h = holderMap.get(key) || { ...hInfo(b.hospital), qty: 0, locations: [] };
+    h.qty += b.qty;
+    h.locations.push({ location: b.location, expiryDate: b.expiryDate, qty: b.qty });
+    holderMap.set(key, h);
+  }
+
+  const inTransit = [];
+  for (const t of transfers) {
+    const qty = t.lines
+      .filter(l => String(l.medication) === String(mId))
+      .flatMap(l => l.lots)
+      .filter(x => x.lot === lot && x.receivedQty == null)
+      .reduce((acc, x) => acc + x.dispatchedQty, 0);
+    if (qty > EPSILON) {
+      inTransit.push({
+        transfer: t._id,
+        code: t.code,
+        from: hInfo(t.fromHospital),
+        to: hInfo(t.toHospital),
+        dispatchedAt: t.dispatchedAt,
+        qty,
+      });
+    }
+  }
+
+  const summary = new Map();
+  for (const t of txs) {
+    const key = String(t.hospital);
+    const s = summary.get(key) || { ...hInfo(t.hospital) };
+    const col = TRACE_COLUMNS[t.reason] || 'other';
+    const signed = t.type === 'IN' || (t.type === 'ADJUST' && t.adjustSign === 'IN') ? t.qty : -t.qty;
+    // Entradas suman positivo; salidas se reportan como cantidad positiva
+    s[col] = (s[col] || 0) + (col === 'adjusted' ? signed : Math.abs(signed));
+    s.firstMovementAt = s.firstMovementAt || t.createdAt;
+    s.lastMovementAt = t.createdAt;
+    summary.set(key, s);
+  }
+
+  return {
+    holders: [...holderMap.values()].sort((a, b) => b.qty - a.qty),
+    inTransit,
+    byHospital: [...summary.values()],
+    movements: txs.map(t => ({
+      ...hInfo(t.hospital),
+      type: t.type,
+      adjustSign: t.adjustSign,
+      qty: t.qty,
+      reason: t.reason,
+      refType: t.refType,
+      refId: t.refId,
+      refCode: t.refCode,
+      location: t.location,
+      expiryDate: t.expiryDate,
+      createdAt: t.createdAt,
+      createdBy: t.createdBy,
+    })),
+  };
+}
+
+/**
+ * Retiro de un lote: lo marca RECALLED a nivel global, en cada hospital que lo tiene (o lo tiene
+ * en camino) y en cada hospital que ya tenía registro propio del lote (ej. una liberación previa),
+ * notifica con prioridad crítica y devuelve la trazabilidad.
+ */
+async function recallLot({ medicationId, lot, reason, reference, authority, userId }) {
+  const med = await Medication.findById(medicationId, 'name code').lean();
+  if (!med) {
+    const err = new Error('Medication not found');
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const recall = { reference, authority, issuedAt: new Date() };
+  const trace = await buildLotTrace({ medicationId, lot });
+
+  const affected = new Map();
+  for (const h of trace.holders) affected.set(String(h.hospital), h.qty);
+  for (const t of trace.inTransit) {
+    const key = String(t.to.hospital);
+    affected.set(key, (affected.get(key) || 0) + t.qty);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await setLotStatus({ medication: med._id, lot, hospital: null, status: 'RECALLED', reason, recall, userId, session });
+      const ownRows = await LotStatus.find({ medication: med._id, lot, hospital: { $ne: null } }, 'hospital')
+        .session(session)
+        .lean();
+      const hospitals = new Set([...affected.keys(), ...ownRows.map(r => String(r.hospital))]);
+      for (const hospital of hospitals) {
+        await setLotStatus({ medication: med._id, lot, hospital, status: 'RECALLED', reason, recall, userId, session });
+      }
+      if (affected.size) {
+        await Notification.insertMany([...affected].map(([hospital, qty]) => ({
+          hospital,
+          type: 'LOT_RECALL',
+          title: `Retiro de lote: ${med.name} lote ${lot}`,
+          message: `Lote ${lot} retirado${authority ? ` por ${authority}` : ''}${reference ? ` (aviso ${reference})` : ''}. ` +
+            `${qty} unidad(es) en este hospital quedan bloqueadas. ${reason || ''}`.trim(),
+          medication: med._id,
+          priority: 'critical',
+          createdBy: userId,
+          meta: { stockQty: qty, lot, customData: { reference, authority } },
+        })), { session });
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return { medication: med, lot, recall, notifiedHospitals: affected.size, trace };
+}
+
+module.exports = {
+  setLotStatus,
+  buildLotTrace,
+  recallLot,
+};
@@ -0,0 +1,155 @@
+// Utils/mailer.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Correo saliente con transporte intercambiable (variables de entorno, se leen en cada envío).
+ * El armado MIME y el protocolo SMTP los hace nodemailer.
+ *  - MAIL_TRANSPORT: 'smtp' | 'file' | 'console' (default: smtp si hay SMTP_HOST). file y console
+ *    solo se usan si se piden explícitamente: sin SMTP_HOST ni MAIL_TRANSPORT el envío falla.
+ *  - MAIL_FROM: remitente, ej. "Compras HGP <compras@hospital.mx>"
+ *  - smtp: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' = TLS directo, típico en 465),
+ *          SMTP_USER / SMTP_PASS, SMTP_TIMEOUT_MS (20000).
+ *          Sin SMTP_SECURE usa STARTTLS cuando el servidor lo ofrece; con SMTP_USER lo exige (no manda
+ *          credenciales sin cifrar) salvo SMTP_ALLOW_INSECURE='true'.
+ *  - file: escribe cada mensaje como .eml en MAIL_FILE_DIR (default: <tmp>/backenderp-mail)
+ *  - console: imprime encabezados y cuerpo de texto (sin adjuntos) en consola
+ * setTransport({ name, send }) reemplaza el transporte (ej. para pruebas); setTransport(null) lo restablece.
+ * send recibe { from, recipients, raw, messageId, message } y devuelve { accepted, rejected, response }.
+ */
+let customTransport = null;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// "Nombre <correo>" → correo
+const bareAddress = (addr) => (/<([^>]+)>/.exec(addr)?.[1] || addr).trim();
+
+// Mensaje RFC 5322 ya armado (para file y transportes propios): { raw: Buffer, messageId }
+async function buildMessage(message) {
+  const info = await nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' })
+    .sendMail(message);
+  return { raw: info.message, messageId: info.messageId };
+}
+
+/* =========================
+   Transportes
+   ========================= */
+
+function smtpTransport() {
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const secure = process.env.SMTP_SECURE === 'true';
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS || '';
+  const timeoutMs = Number(process.env.SMTP_TIMEOUT_MS) || 20000;
+  const allowInsecure = process.env.SMTP_ALLOW_INSECURE === 'true';
+
+  return {
+    name: 'smtp',
+    composes: true,
+    async send({ message }) {
+      if (!host) throw new Error('SMTP_HOST no configurado');
+
+      const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        // Con credenciales, STARTTLS obligatorio: si el servidor no lo ofrece (o alguien lo quita) falla
+        requireTLS: !!user && !secure && !allowInsecure,
+        connectionTimeout: timeoutMs,
+        greetingTimeout: timeoutMs,
+        socketTimeout: timeoutMs,
+      });
+      try {
+        const info = await transport.sendMail(message);
+        const errors = new Map((info.rejectedErrors || []).map(e => [e.recipient, e.response || e.message]));
+        return {
+          messageId: info.messageId,
+          accepted: info.accepted,
+          rejected: info.rejected.map(address => ({ address, response: errors.get(address) || '' })),
+          response: info.response,
+        };
+      } finally {
+        transport.close();
+      }
+    },
+  };
+}
+
+function fileTransport() {
+  const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'backenderp-mail');
+  return {
+    name: 'file',
+    async send({ recipients, raw, messageId }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${messageId.replace(/[<>@]/g, '').slice(0, 60)}.eml`);
+      await fs.promises.writeFile(file, raw);
+      return { accepted: recipients, rejected: [], response: `guardado en ${file}` };
+    },
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    async send({ recipients, message }) {
+      const names = (message.attachments || []).map(a => `${a.filename} (${a.content?.length || 0} bytes)`);
+      console.log(
+        `📧 [mail] ${message.subject}\n   To: ${message.to.join(', ')}` +
+        (message.cc?.length ? `\n   Cc: ${message.cc.join(', ')}` : '') +
+        (names.length ? `\n   Adjuntos: ${names.join(', ')}` : '') +
+        `\n${message.text}\n`
+      );
+      return { accepted: recipients, rejected: [], response: 'console' };
+    },
+  };
+}
+
+// Transporte vigente según MAIL_TRANSPORT (o el fijado con setTransport)
+function getTransport() {
+  if (customTransport) return customTransport;
+  const name = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : '')).toLowerCase();
+  if (!name) throw new Error('Correo no configurado: define SMTP_HOST o MAIL_TRANSPORT (smtp | file | console)');
+  if (name === 'smtp') return smtpTransport();
+  if (name === 'file') return fileTransport();
+  if (name === 'console') return consoleTransport();
+  throw new Error(`MAIL_TRANSPORT no soportado: ${name}`);
+}
+
+function setTransport(transport) {
+  customTransport = transport || null;
+}
+
+/**
+ * Envía un correo.
+ * mail: { to: [..], cc?: [..], replyTo?, subject, text, attachments?: [{ filename, content: Buffer, contentType }] }
+ * Devuelve { messageId, transport, accepted, rejected, response }. Lanza 400 sin destinatarios;
+ * los errores del transporte se propagan tal cual.
+ */
+async function sendMail(mail) {
+  const to = (mail.to || []).filter(Boolean);
+  const cc = (mail.cc || []).filter(Boolean);
+  if (!to.length) throw httpError('El correo no tiene destinatarios', 400);
+
+  const from = process.env.MAIL_FROM || 'no-reply@localhost';
+  const message = { ...mail, from, to, cc };
+  const transport = getTransport();
+  const recipients = [...new Set([...to, ...cc].map(bareAddress))];
+
+  // smtp arma el mensaje al enviarlo; los demás transportes lo reciben ya armado (raw)
+  const { raw = null, messageId = null } = transport.composes ? {} : await buildMessage(message);
+  const result = await transport.send({ from, recipients, raw, messageId, message });
+  return { transport: transport.name, ...result, messageId: result.messageId || messageId };
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+};
@@ -0,0 +1,71 @@
+// Utils/medicationPolicy.js
+const mongoose = require('mongoose');
+const HospitalMedicationPolicy = require('../Models/HospitalMedicationPolicy');
+
+const POLICY_FIELDS = ['reorderPoint', 'safetyStock', 'avgMonthlyConsumption'];
+
+/**
+ * Combina los niveles de política campo por campo: ubicación -> hospital -> Medication.policy.
+ * source indica de qué nivel salió cada valor ('location' | 'hospital' | 'medication').
+ */
+function mergePolicy(medication, hospitalOverride, locationOverride) {
+  const policy = {};
+  const source = {};
+  for (const f of POLICY_FIELDS) {
+    if (locationOverride?.[f] != null) {
+      policy[f] = locationOverride[f];
+      source[f] = 'location';
+    } else if (hospitalOverride?.[f] != null) {
+      policy[f] = hospitalOverride[f];
+      source[f] = 'hospital';
+    } else {
+      policy[f] = medication?.policy?.[f] || 0;
+      source[f] = 'medication';
+    }
+  }
+  return { ...policy, source };
+}
+
+/**
+ * Política efectiva de un medicamento en un hospital (opcionalmente en una ubicación).
+ * - medication: documento (o lean) con policy; se usa como valor por defecto.
+ * Devuelve { reorderPoint, safetyStock, avgMonthlyConsumption, source }
+ */
+async function resolvePolicy({ hospitalId, medication, location, session }) {
+  const filter = {
+    hospital: new mongoose.Types.ObjectId(hospitalId),
+    medication: new mongoose.Types.ObjectId(medication._id),
+    location: location ? { $in: [null, new mongoose.Types.ObjectId(location)] } : null,
+  };
+  const overrides = await HospitalMedicationPolicy.find(filter).session(session || null).lean();
+
+  const hospitalOverride = overrides.find(o => !o.location);
+  const locationOverride = overrides.find(o => o.location);
+  return mergePolicy(medication, hospitalOverride, locationOverride);
+}
+
+/**
+ * Políticas efectivas (nivel hospital) de varios medicamentos en una sola consulta.
+ * - medications: documentos con _id y policy
+ * Devuelve Map<medicationId, política efectiva>
+ */
+async function resolvePolicies({ hospitalId, medications }) {
+  const overrides = await HospitalMedicationPolicy.find({
+    hospital: new mongoose.Types.ObjectId(hospitalId),
+    medication: { $in: medications.map(m => m._id) },
+    location: null,
+  }).lean();
+  const byMed = new Map(overrides.map(o => [String(o.medication), o]));
+
+  const map = new Map();
+  for (const m of medications) {
+    map.set(String(m._id), mergePolicy(m, byMed.get(String(m._id))));
+  }
+  return map;
+}
+
+module.exports = {
+  POLICY_FIELDS,
+  resolvePolicy,
+  resolvePolicies,
+};
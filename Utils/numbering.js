@@ -0,0 +1,95 @@
+// Utils/numbering.js
+const mongoose = require('mongoose');
+const Hospital = require('../Models/Hospital');
+const DocumentCounter = require('../Models/DocumentCounter');
+
+/**
+ * Folios de documentos: {prefijo}-{código del hospital}-{año}-{consecutivo}, ej. PO-HGP-001-2026-000042.
+ *  - Consecutivo por hospital, tipo (PO, TRANSFER, COUNT, DISPENSE) y año en la zona horaria
+ *    del hospital; se reinicia cada 1 de enero.
+ *  - Prefijo por tipo configurable en Hospital.settings.numbering.prefixes (default PO/TRF/CNT/DSP).
+ *  - El código del hospital va siempre en el folio: los códigos son únicos entre hospitales.
+ * createNumbered toma el folio y guarda el documento en la misma transacción: si el alta falla
+ * el contador no avanza y la numeración queda sin huecos.
+ */
+const DOC_TYPES = ['PO', 'TRANSFER', 'COUNT', 'DISPENSE'];
+const DEFAULT_PREFIXES = { PO: 'PO', TRANSFER: 'TRF', COUNT: 'CNT', DISPENSE: 'DSP' };
+const SEQ_DIGITS = 6;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Año calendario de una fecha en la zona horaria del hospital
+function yearIn(date, timezone) {
+  return Number(new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric' }).format(date));
+}
+
+// Valida los prefijos (settings): { PO?, TRANSFER?, COUNT?, DISPENSE? }; lanza 400 si alguno es inválido
+function parseNumberingPrefixes(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw httpError('numbering.prefixes debe ser un objeto { PO?, TRANSFER?, COUNT?, DISPENSE? }', 400);
+  }
+  const prefixes = {};
+  for (const [type, raw] of Object.entries(value)) {
+    if (!DOC_TYPES.includes(type)) throw httpError(`numbering.prefixes: tipo no soportado (${type})`, 400);
+    const prefix = String(raw || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{1,10}$/.test(prefix)) {
+      throw httpError(`numbering.prefixes.${type}: 1 a 10 letras o dígitos`, 400);
+    }
+    prefixes[type] = prefix;
+  }
+  return prefixes;
+}
+
+/**
+ * Siguiente folio del hospital para docType. Con session, el incremento queda en esa transacción.
+ * Lanza 400 si el tipo no existe y 404 si el hospital no existe.
+ */
+async function nextDocumentCode({ hospitalId, docType, session, date = new Date() }) {
+  if (!DOC_TYPES.includes(docType)) throw httpError(`Tipo de documento no soportado: ${docType}`, 400);
+
+  const h = await Hospital.findById(hospitalId, 'code settings.timezone settings.numbering')
+    .session(session || null)
+    .lean();
+  if (!h) throw httpError('Hospital not found', 404);
+
+  const prefix = h.settings?.numbering?.prefixes?.[docType] || DEFAULT_PREFIXES[docType];
+  const year = yearIn(date, h.settings?.timezone || 'America/Mexico_City');
+
+  const counter = await DocumentCounter.findOneAndUpdate(
+    { hospital: h._id, docType, year },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session: session || null }
+  );
+  return `${prefix}-${h.code}-${year}-${String(counter.seq).padStart(SEQ_DIGITS, '0')}`;
+}
+
+/**
+ * Crea un documento con folio sin huecos: build(code) arma el documento (sin guardar) y se guarda
+ * junto con el incremento del contador. build puede ejecutarse más de una vez si la transacción
+ * se reintenta, así que no debe tener efectos secundarios.
+ */
+async function createNumbered({ hospitalId, docType, build }) {
+  const session = await mongoose.startSession();
+  try {
+    let doc;
+    await session.withTransaction(async () => {
+      const code = await nextDocumentCode({ hospitalId, docType, session });
+      doc = build(code);
+      await doc.save({ session });
+    });
+    return doc;
+  } finally {
+    session.endSession();
+  }
+}
+
+module.exports = {
+  DOC_TYPES,
+  parseNumberingPrefixes,
+  nextDocumentCode,
+  createNumbered,
+};
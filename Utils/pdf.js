@@ -0,0 +1,226 @@
+// Utils/pdf.js
+const zlib = require('zlib');
+
+/**
+ * Generador mínimo de PDF (sin dependencias) para documentos impresos: texto con Helvetica /
+ * Helvetica-Bold (fuentes estándar, no se incrustan), líneas y rectángulos, varias páginas.
+ * Coordenadas en puntos con origen arriba a la izquierda (y crece hacia abajo).
+ * El texto se codifica en WinAnsi (acentos, ñ, ¿¡); caracteres fuera de ese juego salen como '?'.
+ */
+const PAGE_SIZES = {
+  LETTER: [612, 792],
+  A4: [595.28, 841.89],
+};
+
+// Anchos de Helvetica / Helvetica-Bold (1/1000 em) para ASCII 32..126
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Caracteres Unicode con código propio en WinAnsi (0x80..0x9F)
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+
+// Texto → bytes WinAnsi (como string latin1)
+function toWinAnsi(str) {
+  let out = '';
+  for (const ch of String(str ?? '')) {
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI_EXTRA[ch]) out += String.fromCharCode(WIN_ANSI_EXTRA[ch]);
+    else if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) out += ch;
+    else if (code === 9 || code === 10 || code === 13) out += ' ';
+    else out += '?';
+  }
+  return out;
+}
+
+// Ancho en puntos de un texto; los acentuados se miden como su letra base
+function textWidth(str, size, bold = false) {
+  const table = bold ? WIDTHS.bold : WIDTHS.regular;
+  let units = 0;
+  for (const ch of toWinAnsi(str)) {
+    const base = ch.normalize('NFD')[0].charCodeAt(0);
+    units += base >= 32 && base <= 126 ? table[base - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+// Recorta el texto (con '…') para que quepa en maxWidth
+function fitText(str, maxWidth, size, bold = false) {
+  const s = String(str ?? '');
+  if (textWidth(s, size, bold) <= maxWidth) return s;
+  let out = s;
+  while (out.length && textWidth(out + '…', size, bold) > maxWidth) out = out.slice(0, -1);
+  return out + '…';
+}
+
+// Parte el texto en renglones de a lo más maxWidth (por palabras)
+function wrapText(str, maxWidth, size, bold = false) {
+  const lines = [];
+  for (const paragraph of String(str ?? '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= maxWidth || !line) line = candidate;
+      else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(fitText(line, maxWidth, size, bold));
+  }
+  return lines;
+}
+
+const escapePdfString = (s) => s.replace(/[\\()]/g, m => `\\${m}`);
+const num = (n) => Number(n.toFixed(2)).toString();
+
+/**
+ * Documento nuevo. Devuelve { width, height, addPage, goToPage, pageCount, text, line, rect, toBuffer }.
+ * opts: { size: 'LETTER' | 'A4', title?, author? }
+ */
+function createPdf({ size = 'LETTER', title, author } = {}) {
+  const [width, height] = PAGE_SIZES[size] || PAGE_SIZES.LETTER;
+  const pages = [];
+  let current = -1;
+
+  const ops = () => pages[current];
+  const y0 = (y) => height - y;
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      pages.push([]);
+      current = pages.length - 1;
+      return doc;
+    },
+
+    goToPage(index) {
+      if (index < 0 || index >= pages.length) throw new Error(`Página inexistente: ${index}`);
+      current = index;
+      return doc;
+    },
+
+    pageCount: () => pages.length,
+
+    /**
+     * Texto en una línea. y es la línea base.
+     * opts: { size=9, bold=false, align='left'|'right'|'center', width (para right/center), gray=0 }
+     */
+    text(str, x, y, { size: fontSize = 9, bold = false, align = 'left', width: boxWidth = 0, gray = 0 } = {}) {
+      const s = toWinAnsi(str);
+      if (!s) return doc;
+      let tx = x;
+      if (align !== 'left') {
+        const w = textWidth(str, fontSize, bold);
+        tx = align === 'right' ? x + boxWidth - w : x + (boxWidth - w) / 2;
+      }
+      ops().push(
+        `BT ${num(gray)} g /${bold ? 'F2' : 'F1'} ${num(fontSize)} Tf ${num(tx)} ${num(y0(y))} Td (${escapePdfString(s)}) Tj ET`
+      );
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { lineWidth = 0.5, gray = 0 } = {}) {
+      ops().push(`${num(lineWidth)} w ${num(gray)} G ${num(x1)} ${num(y0(y1))} m ${num(x2)} ${num(y0(y2))} l S`);
+      return doc;
+    },
+
+    // Rectángulo (x, y = esquina superior izquierda); fill = gris 0..1, stroke = contorno
+    rect(x, y, w, h, { fill = null, stroke = true, lineWidth = 0.5 } = {}) {
+      const path = `${num(x)} ${num(y0(y + h))} ${num(w)} ${num(h)} re`;
+      if (fill != null) ops().push(`${num(fill)} g ${path} f 0 g`);
+      if (stroke) ops().push(`${num(lineWidth)} w 0 G ${path} S`);
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = []; // cuerpo de cada objeto (Buffer), número = índice + 1
+      const add = (body) => objects.push(Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'));
+
+      add('<< /Type /Catalog /Pages 2 0 R >>');
+      add(''); // Pages, se llena al final
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const info = [
+        title && `/Title (${escapePdfString(toWinAnsi(title))})`,
+        author && `/Author (${escapePdfString(toWinAnsi(author))})`,
+        '/Producer (BackendERP)',
+      ].filter(Boolean).join(' ');
+      add(`<< ${info} >>`);
+
+      const kids = [];
+      for (const pageOps of pages) {
+        const stream = zlib.deflateSync(Buffer.from(pageOps.join('\n'), 'latin1'));
+        add(Buffer.concat([
+          Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+          stream,
+          Buffer.from('\nendstream', 'latin1'),
+        ]));
+        const contentRef = objects.length;
+        add(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`
+        );
+        kids.push(`${objects.length} 0 R`);
+      }
+      objects[1] = Buffer.from(`<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`, 'latin1');
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(offset);
+        const chunk = Buffer.concat([
+          Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+          body,
+          Buffer.from('\nendobj\n', 'latin1'),
+        ]);
+        chunks.push(chunk);
+        offset += chunk.length;
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+      ].join('\n');
+      chunks.push(Buffer.from(xref + '\n', 'latin1'));
+      return Buffer.concat(chunks);
+    },
+  };
+
+  return doc.addPage();
+}
+
+module.exports = {
+  createPdf,
+  textWidth,
+  fitText,
+  wrapText,
+};
@@ -0,0 +1,124 @@
+// Utils/poApproval.js
+const Hospital = require('../Models/Hospital');
+const User = require('../Models/User');
+const Notification = require('../Models/Notification');
+
+/**
+ * Aprobación de órdenes de compra (entre DRAFT y SENT):
+ *  DRAFT | REJECTED -> (submit) PENDING_APPROVAL -> (un approve por nivel) APPROVED -> SENT
+ *  Cualquier nivel puede rechazar (REJECTED, con motivo); se corrige y se vuelve a enviar.
+ *
+ * Niveles por hospital (Hospital.settings.poApproval.levels): [{ minTotal, currency, role }].
+ * Una PO requiere, en orden ascendente de minTotal, todos los niveles de su moneda con
+ * minTotal <= total. Con los de fábrica: < 50k MXN solo manager; >= 50k manager y luego admin.
+ * Un rol mayor puede aprobar un nivel menor (admin aprueba nivel manager).
+ * Una moneda sin niveles configurados requiere un solo nivel con el rol más alto de los niveles.
+ * La aprobación es opcional: solo aplica si el hospital tiene settings.poApproval.required = true.
+ */
+const DEFAULT_LEVELS = [
+  { minTotal: 0, currency: 'MXN', role: 'manager' },
+  { minTotal: 50000, currency: 'MXN', role: 'admin' },
+];
+const ROLE_RANK = { clerk: 0, manager: 1, admin: 2 };
+const APPROVER_ROLES = ['manager', 'admin'];
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Valida y ordena los niveles (settings); lanza 400 si alguno es inválido
+function parseApprovalLevels(value) {
+  if (!Array.isArray(value)) throw httpError('poApproval.levels debe ser un arreglo [{ minTotal, currency, role }]', 400);
+  const levels = value.map(l => ({
+    minTotal: Number(l?.minTotal ?? 0),
+    currency: String(l?.currency || 'MXN').trim().toUpperCase(),
+    role: String(l?.role || '').trim().toLowerCase(),
+  }));
+  for (const l of levels) {
+    if (!Number.isFinite(l.minTotal) || l.minTotal < 0) throw httpError('poApproval.levels: minTotal debe ser >= 0', 400);
+    if (!/^[A-Z]{3}$/.test(l.currency)) throw httpError(`poApproval.levels: moneda inválida (${l.currency})`, 400);
+    if (!APPROVER_ROLES.includes(l.role)) {
+      throw httpError(`poApproval.levels: role debe ser ${APPROVER_ROLES.join(' o ')}`, 400);
+    }
+  }
+  return levels.sort((a, b) => a.currency.localeCompare(b.currency) || a.minTotal - b.minTotal);
+}
+
+// Configuración efectiva del hospital: { required, levels }
+async function getApprovalSettings(hospitalId) {
+  const h = await Hospital.findById(hospitalId, 'settings.poApproval').lean();
+  const cfg = h?.settings?.poApproval || {};
+  return {
+    required: cfg.required === true,
+    levels: cfg.levels?.length ? cfg.levels : DEFAULT_LEVELS,
+  };
+}
+
+/**
+ * Niveles que requiere una PO según su total y moneda: [{ level, role, minTotal, currency }].
+ * Sin umbrales en la moneda de la PO (no se pueden comparar montos) pide un solo nivel con el rol más alto.
+ */
+function buildApprovalRoute({ levels, total, currency }) {
+  const cur = String(currency || 'MXN').toUpperCase();
+  const inCurrency = levels.filter(l => l.currency === cur);
+  if (!inCurrency.length) {
+    const role = levels.reduce((top, l) => (ROLE_RANK[l.role] > ROLE_RANK[top] ? l.role : top), 'manager');
+    return [{ level: 1, role, minTotal: 0, currency: cur }];
+  }
+
+  return inCurrency
+    .filter(l => l.minTotal <= total)
+    .sort((a, b) => a.minTotal - b.minTotal)
+    .map((l, i) => ({ level: i + 1, role: l.role, minTotal: l.minTotal, currency: cur }));
+}
+
+/**
+ * Valida que el usuario pueda actuar sobre el nivel pendiente de la PO: rol suficiente,
+ * mismo hospital (salvo superuser) y distinto a quien la envió o aprobó un nivel previo.
+ * Devuelve el User; lanza 403 si no procede.
+ */
+async function assertCanApprove({ po, step, userId }) {
+  const user = await User.findById(userId);
+  if (!user || user.status !== 'active') throw httpError('Usuario no válido', 403);
+  if (user.isSuperUser) return user;
+
+  if ((ROLE_RANK[user.role] ?? -1) < ROLE_RANK[step.role]) {
+    throw httpError(`El nivel ${step.level} requiere rol ${step.role}`, 403);
+  }
+  if (user.hospital && String(user.hospital) !== String(po.hospital)) {
+    throw httpError('El aprobador no pertenece al hospital de la PO', 403);
+  }
+  const involved = (po.approvalHistory || [])
+    .filter(h => ['SUBMITTED', 'APPROVED'].includes(h.action) && h.at >= (po.submittedAt || 0))
+    .map(h => String(h.by));
+  if (involved.includes(String(user._id))) {
+    throw httpError('Quien envía o aprobó un nivel previo no puede aprobar otro nivel de la misma PO', 403);
+  }
+  return user;
+}
+
+// ORDER_STATUS dirigida al rol del siguiente nivel
+function notifyNextApprover(po, step) {
+  return Notification.create({
+    hospital: po.hospital,
+    type: 'ORDER_STATUS',
+    recipientRole: step.role,
+    title: `OC por aprobar: ${po.code}`,
+    message: `Nivel ${step.level} (${step.role}): ${po.total.toFixed(2)} ${po.currency}.`,
+    purchaseOrder: po._id,
+    priority: 'high',
+    meta: { poCode: po.code, status: po.status },
+  });
+}
+
+module.exports = {
+  DEFAULT_LEVELS,
+  ROLE_RANK,
+  parseApprovalLevels,
+  getApprovalSettings,
+  buildApprovalRoute,
+  assertCanApprove,
+  notifyNextApprover,
+};
@@ -0,0 +1,157 @@
+// Utils/poEmail.js
+const PurchaseOrder = require('../Models/PurchaseOrder');
+const Notification = require('../Models/Notification');
+const { sendMail } = require('./mailer');
+const { renderPurchaseOrderPdf } = require('./poPdf');
+
+/**
+ * Envío de la OC al proveedor por correo (PDF adjunto + resumen en texto).
+ * Destinatarios: contactos del proveedor con rol de compras/ventas; si no hay, todos los contactos
+ * con correo más Supplier.emails. Reply-To: primer correo de contacto del hospital.
+ * El resultado queda en po.emailDelivery (PENDING -> SENT | FAILED, con intentos y error);
+ * un fallo no revierte el SENT de la OC y genera Notification(ORDER_STATUS) para reintentar.
+ * Cada intento se reclama con una actualización condicional: no se envía mientras otro intento siga
+ * PENDING (salvo que lleve más de PENDING_STALE_MS, p.ej. el proceso se cayó a medio envío).
+ */
+const PURCHASING_ROLE = /compra|purchas|venta|sales|pedido|order|comercial/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SUMMARY_MAX_LINES = 30;
+const PENDING_STALE_MS = 10 * 60 * 1000;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Correos destino de la OC a partir del proveedor: { to, cc }
+function supplierRecipients(supplier) {
+  const valid = (list) => [...new Set(list.map(e => String(e || '').trim().toLowerCase()).filter(e => EMAIL_RE.test(e)))];
+  const contacts = (supplier?.contacts || []).filter(c => c.email);
+  const purchasing = valid(contacts.filter(c => PURCHASING_ROLE.test(c.role || '')).map(c => c.email));
+  if (purchasing.length) return { to: purchasing, cc: [] };
+  return { to: valid([...contacts.map(c => c.email), ...(supplier?.emails || [])]), cc: [] };
+}
+
+function buildSummary(po) {
+  const money = new Intl.NumberFormat('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const date = (d) => (d ? new Date(d).toLocaleDateString('es-MX', {
+    timeZone: po.hospital?.settings?.timezone || 'America/Mexico_City',
+  }) : 'por confirmar');
+  const terms = po.supplier?.paymentTerms || {};
+
+  const lines = po.lines.slice(0, SUMMARY_MAX_LINES).map((l, i) => {
+    const med = l.medication || {};
+    const desc = l.description || med.name || '';
+    return `${i + 1}. ${med.code ? `[${med.code}] ` : ''}${desc} — ${l.qty} ${l.uom} x $${money.format(l.unitPrice)}` +
+      ` = $${money.format(l.subtotal ?? l.qty * l.unitPrice)}`;
+  });
+  if (po.lines.length > SUMMARY_MAX_LINES) lines.push(`... y ${po.lines.length - SUMMARY_MAX_LINES} línea(s) más (ver PDF).`);
+
+  return [
+    `Estimado proveedor ${po.supplier?.name || ''}:`,
+    '',
+    `${po.hospital?.name || 'El hospital'} le envía la orden de compra ${po.code} (se adjunta en PDF).`,
+    '',
+    ...lines,
+    '',
+    `Subtotal: $${money.format(po.subtotal)} ${po.currency}`,
+    `IVA: $${money.format(po.taxAmount)} ${po.currency}`,
+    `Total: $${money.format(po.total)} ${po.currency}`,
+    '',
+    `Entrega estimada: ${date(po.expectedDelivery)}`,
+    `Condiciones de pago: ${terms.days ? `${terms.days} días de crédito` : 'contado'} (${terms.currency || po.currency})`,
+    po.notes ? `Observaciones: ${po.notes}` : null,
+    '',
+    'Favor de confirmar de recibido y fecha de entrega respondiendo a este correo.',
+  ].filter(l => l !== null).join('\n');
+}
+
+/**
+ * Envía la OC por correo y registra el resultado en po.emailDelivery.
+ * opts: { poId, userId?, to?: [..] (reemplaza los destinatarios del proveedor) }
+ * Devuelve el emailDelivery final; no lanza por fallas de envío ni de PDF (quedan como FAILED).
+ * Lanza 404 si la OC no existe y 409 si otro envío de la misma OC sigue en curso.
+ */
+async function sendPurchaseOrderEmail({ poId, userId, to }) {
+  const po = await PurchaseOrder.findById(poId, 'code hospital supplier')
+    .populate('supplier', 'name emails contacts')
+    .lean();
+  if (!po) throw httpError('PO no encontrada', 404);
+
+  const recipients = to?.length
+    ? { to: [...new Set(to.map(e => String(e).trim().toLowerCase()))], cc: [] }
+    : supplierRecipients(po.supplier);
+
+  const now = new Date();
+  const attempt = {
+    'emailDelivery.status': 'PENDING',
+    'emailDelivery.to': recipients.to,
+    'emailDelivery.cc': recipients.cc,
+    'emailDelivery.lastAttemptAt': now,
+    'emailDelivery.lastAttemptBy': userId,
+  };
+  const claimed = await PurchaseOrder.updateOne(
+    {
+      _id: po._id,
+      $or: [
+        { 'emailDelivery.status': { $ne: 'PENDING' } },
+        { 'emailDelivery.lastAttemptAt': { $lt: new Date(now.getTime() - PENDING_STALE_MS) } },
+      ],
+    },
+    { $set: attempt, $inc: { 'emailDelivery.attempts': 1 } }
+  );
+  if (claimed.matchedCount !== 1) throw httpError(`Ya hay un envío en curso del correo de ${po.code}`, 409);
+
+  let result;
+  try {
+    if (!recipients.to.length) throw new Error('El proveedor no tiene correos de contacto registrados');
+    const invalid = recipients.to.filter(e => !EMAIL_RE.test(e));
+    if (invalid.length) throw new Error(`Correos inválidos: ${invalid.join(', ')}`);
+
+    const { po: full, buffer, filename } = await renderPurchaseOrderPdf(po._id);
+    const sent = await sendMail({
+      to: recipients.to,
+      cc: recipients.cc,
+      replyTo: full.hospital?.contact?.emails?.[0],
+      subject: `Orden de compra ${full.code} — ${full.hospital?.name || ''}`.trim(),
+      text: buildSummary(full),
+      attachments: [{ filename, content: buffer, contentType: 'application/pdf' }],
+    });
+    result = {
+      'emailDelivery.status': 'SENT',
+      'emailDelivery.transport': sent.transport,
+      'emailDelivery.messageId': sent.messageId,
+      'emailDelivery.response': sent.rejected?.length
+        ? `${sent.response} (rechazados: ${sent.rejected.map(r => r.address).join(', ')})`
+        : sent.response,
+      'emailDelivery.error': null,
+      'emailDelivery.sentAt': new Date(),
+    };
+  } catch (err) {
+    result = {
+      'emailDelivery.status': 'FAILED',
+      'emailDelivery.error': String(err.message || err).slice(0, 500),
+    };
+  }
+
+  const updated = await PurchaseOrder.findByIdAndUpdate(po._id, { $set: result }, { new: true, projection: 'emailDelivery' }).lean();
+
+  if (result['emailDelivery.status'] === 'FAILED') {
+    await Notification.create({
+      hospital: po.hospital,
+      type: 'ORDER_STATUS',
+      title: `No se pudo enviar por correo: ${po.code}`,
+      message: `${result['emailDelivery.error']} — revisa los contactos del proveedor y reintenta el envío.`,
+      purchaseOrder: po._id,
+      priority: 'high',
+      meta: { poCode: po.code, supplierName: po.supplier?.name, customData: { email: 'FAILED' } },
+    });
+  }
+
+  return updated.emailDelivery;
+}
+
+module.exports = {
+  sendPurchaseOrderEmail,
+};
@@ -0,0 +1,272 @@
+// Utils/poPdf.js
+const PurchaseOrder = require('../Models/PurchaseOrder');
+const { createPdf, fitText, wrapText } = require('./pdf');
+
+/**
+ * Orden de compra impresa (PDF) para el proveedor: encabezado del hospital, datos fiscales y
+ * domicilio del proveedor, líneas en la unidad pedida (uom), subtotal/IVA/total tal como están
+ * en la PO, condiciones de pago del proveedor y firmas (elaboró / autorizó).
+ */
+const STATUS_LABELS = {
+  DRAFT: 'BORRADOR',
+  PENDING_APPROVAL: 'PENDIENTE DE APROBACIÓN',
+  APPROVED: 'APROBADA',
+  REJECTED: 'RECHAZADA',
+  SENT: 'ENVIADA',
+  RECEIVED: 'RECIBIDA',
+  CANCELLED: 'CANCELADA',
+};
+const PAYMENT_METHODS = {
+  transfer: 'Transferencia',
+  cash: 'Efectivo',
+  card: 'Tarjeta',
+  check: 'Cheque',
+  other: 'Otro',
+};
+
+const MARGIN = 40;
+const BOTTOM = 60; // espacio reservado para el pie de página
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function formatters(timezone) {
+  const money = new Intl.NumberFormat('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const qty = new Intl.NumberFormat('es-MX', { maximumFractionDigits: 4 });
+  const date = new Intl.DateTimeFormat('es-MX', { timeZone: timezone, day: '2-digit', month: '2-digit', year: 'numeric' });
+  return {
+    money: (n) => money.format(Number(n) || 0),
+    qty: (n) => qty.format(Number(n) || 0),
+    date: (d) => (d ? date.format(new Date(d)) : ''),
+  };
+}
+
+// Renglones de un domicilio (Hospital/Supplier addressSchema)
+function addressLines(a) {
+  if (!a) return [];
+  const cityLine = [a.city, a.state, a.zip && `C.P. ${a.zip}`].filter(Boolean).join(', ');
+  return [a.line1, a.line2, cityLine, a.country && a.country !== 'MX' ? a.country : null].filter(Boolean);
+}
+
+/**
+ * Carga la PO con hospital, proveedor, medicamentos y usuarios para imprimirla.
+ * Lanza 404 si no existe.
+ */
+async function loadPOForPrint(poId) {
+  const po = await PurchaseOrder.findById(poId)
+    .populate('hospital', 'name code address contact settings.timezone')
+    .populate('supplier', 'name rfc address emails phones contacts paymentTerms')
+    .populate('lines.medication', 'code name strength form')
+    .populate('createdBy', 'name email')
+    .populate('approvedBy', 'name email')
+    .lean();
+  if (!po) throw httpError('PO no encontrada', 404);
+  return po;
+}
+
+/**
+ * Genera el PDF de una PO. Devuelve { po, buffer, filename }.
+ */
+async function renderPurchaseOrderPdf(poId) {
+  const po = await loadPOForPrint(poId);
+  const hospital = po.hospital || {};
+  const supplier = po.supplier || {};
+  const fmt = formatters(hospital.settings?.timezone || 'America/Mexico_City');
+
+  const doc = createPdf({ title: `Orden de compra ${po.code}`, author: hospital.name });
+  const right = doc.width - MARGIN;
+  const contentWidth = right - MARGIN;
+
+  /* ---- Encabezado: hospital (izq.) y folio (der.) ---- */
+  let y = MARGIN + 14;
+  doc.text(fitText(hospital.name, 300, 14, true), MARGIN, y, { size: 14, bold: true });
+  let hy = y + 14;
+  const hospitalInfo = [
+    ...addressLines(hospital.address),
+    [hospital.contact?.phones?.[0], hospital.contact?.emails?.[0]].filter(Boolean).join('  ·  '),
+  ].filter(Boolean);
+  for (const line of hospitalInfo) {
+    doc.text(fitText(line, 300, 8), MARGIN, hy, { size: 8, gray: 0.25 });
+    hy += 10;
+  }
+
+  doc.text('ORDEN DE COMPRA', right - 200, y, { size: 14, bold: true, align: 'right', width: 200 });
+  const headerRows = [
+    ['Folio', po.code],
+    ['Fecha', fmt.date(po.createdAt)],
+    ['Estado', STATUS_LABELS[po.status] || po.status],
+    ['Moneda', po.currency],
+  ];
+  let ry = y + 16;
+  for (const [label, value] of headerRows) {
+    doc.text(`${label}:`, right - 200, ry, { size: 8, bold: true });
+    doc.text(value, right - 140, ry, { size: 8, align: 'right', width: 140 });
+    ry += 11;
+  }
+
+  y = Math.max(hy, ry) + 8;
+  doc.line(MARGIN, y, right, y, { lineWidth: 1 });
+  y += 12;
+
+  /* ---- Proveedor (izq.) y entrega / pago (der.) ---- */
+  const boxTop = y;
+  const colW = contentWidth / 2 - 6;
+  const terms = supplier.paymentTerms || {};
+  const contact = (supplier.contacts || []).find(c => c.email || c.phone);
+
+  const supplierLines = [
+    supplier.rfc ? `RFC: ${supplier.rfc}` : 'RFC: —',
+    ...addressLines(supplier.address),
+    contact
+      ? [contact.name, contact.email, contact.phone].filter(Boolean).join('  ·  ')
+      : [supplier.phones?.[0], supplier.emails?.[0]].filter(Boolean).join('  ·  '),
+  ].filter(Boolean);
+  const termsLines = [
+    ['Entrega estimada', fmt.date(po.expectedDelivery) || 'Por confirmar'],
+    ['Forma de pago', PAYMENT_METHODS[terms.method] || terms.method || '—'],
+    ['Crédito', terms.days ? `${terms.days} días` : 'Contado'],
+    ['Moneda de pago', terms.currency || po.currency],
+  ];
+
+  const boxH = 24 + Math.max(supplierLines.length, termsLines.length) * 10;
+  doc.rect(MARGIN, boxTop, colW, boxH);
+  doc.rect(MARGIN + colW + 12, boxTop, colW, boxH);
+
+  doc.text('PROVEEDOR', MARGIN + 6, boxTop + 11, { size: 7, bold: true, gray: 0.35 });
+  doc.text(fitText(supplier.name, colW - 12, 9, true), MARGIN + 6, boxTop + 22, { size: 9, bold: true });
+  supplierLines.slice(0, 6).forEach((line, i) => {
+    doc.text(fitText(line, colW - 12, 8), MARGIN + 6, boxTop + 33 + i * 10, { size: 8 });
+  });
+
+  const tx = MARGIN + colW + 18;
+  doc.text('ENTREGA Y CONDICIONES DE PAGO', tx, boxTop + 11, { size: 7, bold: true, gray: 0.35 });
+  termsLines.forEach(([label, value], i) => {
+    doc.text(`${label}:`, tx, boxTop + 22 + i * 10, { size: 8, bold: true });
+    doc.text(value, tx + 85, boxTop + 22 + i * 10, { size: 8 });
+  });
+
+  y = boxTop + boxH + 18;
+
+  /* ---- Líneas ---- */
+  const cols = [
+    { key: 'n', title: '#', width: 20, align: 'right' },
+    { key: 'code', title: 'Código', width: 62 },
+    { key: 'description', title: 'Descripción', width: contentWidth - 20 - 62 - 55 - 40 - 75 - 80 },
+    { key: 'qty', title: 'Cantidad', width: 55, align: 'right' },
+    { key: 'uom', title: 'UdM', width: 40, align: 'center' },
+    { key: 'unitPrice', title: 'P. unitario', width: 75, align: 'right' },
+    { key: 'subtotal', title: 'Importe', width: 80, align: 'right' },
+  ];
+
+  const drawTableHeader = () => {
+    doc.rect(MARGIN, y - 10, contentWidth, 15, { fill: 0.9, stroke: false });
+    let x = MARGIN;
+    for (const c of cols) {
+      doc.text(c.title, x + 3, y, { size: 8, bold: true, align: c.align || 'left', width: c.width - 6 });
+      x += c.width;
+    }
+    y += 14;
+  };
+  drawTableHeader();
+
+  po.lines.forEach((l, i) => {
+    const med = l.medication || {};
+    const description = l.description || [med.name, med.strength, med.form].filter(Boolean).join(' ');
+    const descLines = wrapText(description, cols[2].width - 6, 8).slice(0, 3);
+    const lotLine = l.lot ? `Lote: ${l.lot}${l.expiryDate ? `  Cad.: ${fmt.date(l.expiryDate)}` : ''}` : null;
+    const rowH = (descLines.length + (lotLine ? 1 : 0)) * 10 + 4;
+
+    if (y + rowH > doc.height - BOTTOM) {
+      doc.addPage();
+      y = MARGIN + 10;
+      drawTableHeader();
+    }
+
+    const values = {
+      n: String(i + 1),
+      code: fitText(med.code || '', cols[1].width - 6, 8),
+      qty: fmt.qty(l.qty),
+      uom: l.uom,
+      unitPrice: fmt.money(l.unitPrice),
+      subtotal: fmt.money(l.subtotal ?? l.qty * l.unitPrice),
+    };
+    let x = MARGIN;
+    for (const c of cols) {
+      if (c.key === 'description') {
+        descLines.forEach((d, k) => doc.text(d, x + 3, y + k * 10, { size: 8 }));
+        if (lotLine) doc.text(fitText(lotLine, c.width - 6, 7), x + 3, y + descLines.length * 10, { size: 7, gray: 0.35 });
+      } else {
+        doc.text(values[c.key], x + 3, y, { size: 8, align: c.align || 'left', width: c.width - 6 });
+      }
+      x += c.width;
+    }
+    y += rowH;
+    doc.line(MARGIN, y - 7, right, y - 7, { lineWidth: 0.25, gray: 0.7 });
+  });
+
+  /* ---- Totales ---- */
+  const totalsH = 50;
+  const notesLines = po.notes ? wrapText(po.notes, contentWidth - 230, 8).slice(0, 6) : [];
+  const signaturesH = 80;
+  if (y + Math.max(totalsH, notesLines.length * 10 + 14) + signaturesH > doc.height - BOTTOM) {
+    doc.addPage();
+    y = MARGIN + 10;
+  }
+
+  const tw = 200;
+  const totals = [
+    ['Subtotal', fmt.money(po.subtotal)],
+    [`IVA (${fmt.qty((po.taxRate || 0) * 100)}%)`, fmt.money(po.taxAmount)],
+    [`Total ${po.currency}`, fmt.money(po.total)],
+  ];
+  let ty = y + 6;
+  totals.forEach(([label, value], i) => {
+    const last = i === totals.length - 1;
+    if (last) doc.line(right - tw, ty - 9, right, ty - 9);
+    doc.text(label, right - tw, ty, { size: last ? 10 : 8, bold: last });
+    doc.text(`$${value}`, right - 110, ty, { size: last ? 10 : 8, bold: last, align: 'right', width: 110 });
+    ty += last ? 14 : 12;
+  });
+
+  if (notesLines.length) {
+    doc.text('Observaciones', MARGIN, y + 6, { size: 8, bold: true });
+    notesLines.forEach((line, i) => doc.text(line, MARGIN, y + 17 + i * 10, { size: 8 }));
+  }
+
+  /* ---- Firmas ---- */
+  y = Math.max(ty, y + 17 + notesLines.length * 10) + 50;
+  const sigW = 200;
+  const signatures = [
+    { title: 'Elaboró', name: po.createdBy?.name, at: po.createdAt, x: MARGIN + 20 },
+    {
+      title: 'Autorizó',
+      name: po.approvedBy?.name || (po.approvedAt ? '' : 'Pendiente de aprobación'),
+      at: po.approvedAt,
+      x: right - sigW - 20,
+    },
+  ];
+  for (const s of signatures) {
+    doc.line(s.x, y, s.x + sigW, y);
+    doc.text(s.title, s.x, y + 11, { size: 8, bold: true, align: 'center', width: sigW });
+    doc.text(s.name || '', s.x, y + 21, { size: 8, align: 'center', width: sigW });
+    if (s.at && s.name) doc.text(fmt.date(s.at), s.x, y + 31, { size: 7, gray: 0.35, align: 'center', width: sigW });
+  }
+
+  /* ---- Pie de página ---- */
+  const pages = doc.pageCount();
+  for (let p = 0; p < pages; p++) {
+    doc.goToPage(p);
+    doc.line(MARGIN, doc.height - 40, right, doc.height - 40, { lineWidth: 0.25, gray: 0.6 });
+    doc.text(`${hospital.name || ''} · ${po.code}`, MARGIN, doc.height - 28, { size: 7, gray: 0.4 });
+    doc.text(`Página ${p + 1} de ${pages}`, right - 100, doc.height - 28, { size: 7, gray: 0.4, align: 'right', width: 100 });
+  }
+
+  return { po, buffer: doc.toBuffer(), filename: `${po.code}.pdf` };
+}
+
+module.exports = {
+  renderPurchaseOrderPdf,
+};
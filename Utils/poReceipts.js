@@ -0,0 +1,62 @@
+// Utils/poReceipts.js
+const mongoose = require('mongoose');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const { EPSILON, signedQtyExpr } = require('./stockLedger');
+
+/**
+ * Recibido de una orden de compra, derivado del ledger: transacciones con refType 'PO' y refId = la PO
+ * (los reversos restan). El estado RECEIVED de la PO se recalcula a partir de aquí tanto al recibir
+ * como al anular una recepción.
+ */
+
+// Suma recibida por medicamento para una PO, en unidad base
+async function getReceivedQtyByMedication(poId, session) {
+  const rows = await InventoryTransaction.aggregate([
+    { $match: { refType: 'PO', refId: new mongoose.Types.ObjectId(poId), type: { $in: ['IN', 'OUT'] } } },
+    { $group: { _id: '$medication', received: { $sum: signedQtyExpr } } }
+  ]).session(session || null);
+  const map = new Map();
+  for (const r of rows) map.set(String(r._id), Number(r.received));
+  return map;
+}
+
+// Cantidad pedida por medicamento en unidad base (varias líneas del mismo medicamento se suman)
+function orderedBaseQtyByMedication(lines) {
+  const map = new Map();
+  for (const l of lines) {
+    const medId = String(l.medication?._id || l.medication);
+    map.set(medId, (map.get(medId) || 0) + (l.baseQty ?? Number(l.qty)));
+  }
+  return map;
+}
+
+/**
+ * Ajusta el estado de la PO (documento, no lean) a lo recibido según el ledger, dentro de la sesión:
+ *  - todo recibido -> RECEIVED
+ *  - faltante: RECEIVED (se anuló una recepción), DRAFT o APPROVED (se recibió sin marcarla enviada) -> SENT
+ * Guarda solo si el estado cambia. Devuelve la PO.
+ */
+async function syncReceiptStatus({ po, userId, session }) {
+  const receivedMap = await getReceivedQtyByMedication(po._id, session);
+  const orderedMap = orderedBaseQtyByMedication(po.lines);
+  const allReceived = [...orderedMap].every(([medId, ordered]) => (receivedMap.get(medId) || 0) >= ordered - EPSILON);
+
+  if (allReceived && po.status !== 'RECEIVED') {
+    po.status = 'RECEIVED';
+    po.receivedAt = new Date();
+  } else if (!allReceived && ['DRAFT', 'APPROVED', 'RECEIVED'].includes(po.status)) {
+    po.status = 'SENT';
+    po.receivedAt = undefined;
+  } else {
+    return po;
+  }
+  po.updatedBy = userId;
+  await po.save({ session });
+  return po;
+}
+
+module.exports = {
+  getReceivedQtyByMedication,
+  orderedBaseQtyByMedication,
+  syncReceiptStatus,
+};
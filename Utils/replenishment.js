@@ -0,0 +1,385 @@
+// Utils/replenishment.js
+const mongoose = require('mongoose');
+const Hospital = require('../Models/Hospital');
+const Medication = require('../Models/Medication');
+const Supplier = require('../Models/Supplier');
+const PurchaseOrder = require('../Models/PurchaseOrder');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const StockBalance = require('../Models/StockBalance');
+const Notification = require('../Models/Notification');
+const { signedQtyExpr, getCurrentStock } = require('./stockLedger');
+const { resolvePolicy, resolvePolicies } = require('./medicationPolicy');
+const { createNumbered } = require('./numbering');
+
+// Estados de PO que aún traen mercancía en camino
+const OPEN_PO_STATUSES = ['DRAFT', 'PENDING_APPROVAL', 'APPROVED', 'SENT'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+/**
+ * Cantidad en camino por medicamento: ordenado en POs abiertas menos lo ya recibido (neto de reversos).
+ * Devuelve Map<medicationId, qty> en unidad base
+ */
+async function getOnOrderQty({ hospitalId, medicationIds }) {
+  const hId = new mongoose.Types.ObjectId(hospitalId);
+  const medIds = medicationIds.map(id => new mongoose.Types.ObjectId(id));
+  const wanted = new Set(medIds.map(String));
+
+  const pos = await PurchaseOrder.find(
+    { hospital: hId, status: { $in: OPEN_PO_STATUSES }, 'lines.medication': { $in: medIds } },
+    'lines.medication lines.qty lines.baseQty'
+  ).lean();
+  if (!pos.length) return new Map();
+
+  const received = await InventoryTransaction.aggregate([
+    { $match: { refType: 'PO', refId: { $in: pos.map(p => p._id) }, medication: { $in: medIds } } },
+    { $group: { _id: { po: '$refId', medication: '$medication' }, qty: { $sum: signedQtyExpr } } },
+  ]);
+  const receivedMap = new Map(received.map(r => [`${r._id.po}|${r._id.medication}`, r.qty]));
+
+  const map = new Map();
+  for (const po of pos) {
+    const ordered = new Map();
+    for (const l of po.lines) {
+      const medId = String(l.medication);
+      // baseQty: lo pedido en unidad base (la línea puede ir en cajas); POs anteriores no lo tienen
+      if (wanted.has(medId)) ordered.set(medId, (ordered.get(medId) || 0) + (l.baseQty ?? l.qty));
+    }
+    for (const [medId, qty] of ordered) {
+      const pending = Math.max(0, qty - (receivedMap.get(`${po._id}|${medId}`) || 0));
+      map.set(medId, (map.get(medId) || 0) + pending);
+    }
+  }
+  return map;
+}
+
+/**
+ * Cantidad sugerida a pedir para volver al nivel objetivo:
+ *  objetivo = max(reorderPoint, safetyStock + consumo diario × leadTime) + un mes de consumo
+ *  sugerido = objetivo - (stock + en camino), redondeado hacia arriba
+ */
+function suggestOrderQty({ policy, position, leadTimeDays }) {
+  const daily = policy.avgMonthlyConsumption > 0 ? policy.avgMonthlyConsumption / 30 : 0;
+  const target = Math.max(policy.reorderPoint, policy.safetyStock + daily * leadTimeDays) + policy.avgMonthlyConsumption;
+  return Math.max(0, Math.ceil(target - position));
+}
+
+// LOW_STOCK sin duplicar: si ya hay una no leída para el medicamento, se reutiliza
+async function notifyLowStock({ hospitalId, medication, stock, reorderPoint, message }) {
+  const existing = await Notification.findOne(
+    { hospital: hospitalId, medication: medication._id, type: 'LOW_STOCK', read: false },
+    '_id'
+  ).lean();
+  if (existing) return { created: false, notificationId: existing._id };
+
+  const notif = await Notification.create({
+    hospital: hospitalId,
+    type: 'LOW_STOCK',
+    title: `Stock bajo: ${medication.name}`,
+    message,
+    medication: medication._id,
+    priority: 'high',
+    meta: { stockQty: stock, reorderPoint },
+  });
+  return { created: true, notificationId: notif._id };
+}
+
+/* =========================
+   Disparo puntual (por movimiento)
+   ========================= */
+
+/**
+ * Si el stock del hospital cae a <= reorderPoint (política efectiva): notifica LOW_STOCK y,
+ * si hay proveedor preferido y nada en camino lo cubre, crea una PO DRAFT sugerida.
+ * Devuelve { created, notificationId?, purchaseOrderId? }
+ */
+async function maybeTriggerReorder({ hospitalId, medication }) {
+  const stock = await getCurrentStock({ hospitalId, medicationId: medication._id });
+  const policy = await resolvePolicy({ hospitalId, medication });
+
+  if (stock > policy.reorderPoint) return { created: false };
+
+  const onOrder = (await getOnOrderQty({ hospitalId, medicationIds: [medication._id] })).get(String(medication._id)) || 0;
+  const notif = await notifyLowStock({
+    hospitalId,
+    medication,
+    stock,
+    reorderPoint: policy.reorderPoint,
+    message: `Stock ${stock} ≤ Reorden ${policy.reorderPoint}` +
+      (onOrder > 0 ? ` (${onOrder} en camino).` : '. Considera generar OC.'),
+  });
+
+  // PO DRAFT sugerida si hay proveedor preferido y lo pendiente no cubre el punto de reorden
+  let po = null;
+  if (medication.preferredSupplier && stock + onOrder <= policy.reorderPoint) {
+    const supplier = await Supplier.findById(medication.preferredSupplier);
+    if (supplier) {
+      const leadTimeDays = supplier.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+      const toBuy = suggestOrderQty({ policy, position: stock + onOrder, leadTimeDays });
+
+      if (toBuy > 0) {
+        po = await createNumbered({ hospitalId, docType: 'PO', build: code => new PurchaseOrder({
+          code,
+          hospital: hospitalId,
+          supplier: supplier._id,
+          status: 'DRAFT',
+          source: 'REORDER',
+          currency: supplier.defaultCurrency || 'MXN',
+          taxRate: 0.16,
+          expectedDelivery: new Date(Date.now() + leadTimeDays * DAY_MS),
+          lines: [{
+            medication: medication._id,
+            description: medication.name,
+            qty: toBuy,
+            uom: medication.uom || 'unit',
+            unitPrice: medication.unitPrice || 0,
+            subtotal: (medication.unitPrice || 0) * toBuy
+          }]
+        }) });
+        await Notification.create({
+          hospital: hospitalId,
+          type: 'ORDER_STATUS',
+          title: `PO sugerida: ${po.code}`,
+          message: `Borrador de OC por ${toBuy} de ${medication.name}.`,
+          purchaseOrder: po._id,
+          priority: 'medium',
+          meta: { poCode: po.code }
+        });
+      }
+    }
+  }
+
+  return {
+    created: notif.created || !!po,
+    notificationId: notif.notificationId,
+    purchaseOrderId: po?._id || null
+  };
+}
+
+/* =========================
+   Corrida programada (MRP)
+   ========================= */
+
+/**
+ * Plan de reabasto de un hospital: compara stock + en camino contra el punto de reorden
+ * efectivo de cada medicamento activo y agrupa los faltantes por proveedor preferido.
+ * Devuelve { orders: [{ supplier, ..., lines }], covered: [...], unassigned: [...] }
+ */
+async function planReplenishment({ hospitalId }) {
+  const hId = new mongoose.Types.ObjectId(hospitalId);
+
+  const meds = await Medication.find(
+    { isActive: true },
+    'name code uom unitPrice policy preferredSupplier'
+  ).lean();
+  const policies = await resolvePolicies({ hospitalId: hId, medications: meds });
+
+  const stockRows = await StockBalance.aggregate([
+    { $match: { hospital: hId } },
+    { $group: { _id: '$medication', stock: { $sum: '$qty' } } },
+  ]);
+  const stockMap = new Map(stockRows.map(r => [String(r._id), r.stock]));
+
+  // Solo medicamentos con política de reorden y stock en/bajo el punto
+  const low = meds.filter(m => {
+    const p = policies.get(String(m._id));
+    return p.reorderPoint > 0 && (stockMap.get(String(m._id)) || 0) <= p.reorderPoint;
+  });
+  if (!low.length) return { orders: [], covered: [], unassigned: [] };
+
+  const [onOrderMap, suppliers] = await Promise.all([
+    getOnOrderQty({ hospitalId: hId, medicationIds: low.map(m => m._id) }),
+    Supplier.find(
+      { _id: { $in: low.map(m => m.preferredSupplier).filter(Boolean) }, isActive: true },
+      'name leadTimeDays defaultCurrency'
+    ).lean(),
+  ]);
+  const supplierMap = new Map(suppliers.map(s => [String(s._id), s]));
+
+  const orders = new Map();
+  const covered = [];
+  const unassigned = [];
+
+  for (const m of low) {
+    const policy = policies.get(String(m._id));
+    const stock = stockMap.get(String(m._id)) || 0;
+    const onOrder = onOrderMap.get(String(m._id)) || 0;
+    const row = {
+      medication: m._id,
+      medicationName: m.name,
+      medicationCode: m.code,
+      stock,
+      onOrder,
+      reorderPoint: policy.reorderPoint,
+      safetyStock: policy.safetyStock,
+      avgMonthlyConsumption: policy.avgMonthlyConsumption,
+    };
+
+    // Lo que ya viene en POs abiertas cubre el punto de reorden: no duplicar
+    if (stock + onOrder > policy.reorderPoint) {
+      covered.push(row);
+      continue;
+    }
+
+    const supplier = m.preferredSupplier && supplierMap.get(String(m.preferredSupplier));
+    if (!supplier) {
+      unassigned.push(row);
+      continue;
+    }
+
+    const leadTimeDays = supplier.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+    const qty = suggestOrderQty({ policy, position: stock + onOrder, leadTimeDays });
+    if (qty <= 0) continue;
+
+    const key = String(supplier._id);
+    if (!orders.has(key)) {
+      orders.set(key, {
+        supplier: supplier._id,
+        supplierName: supplier.name,
+        currency: supplier.defaultCurrency || 'MXN',
+        leadTimeDays,
+        expectedDelivery: new Date(Date.now() + leadTimeDays * DAY_MS),
+        lines: [],
+      });
+    }
+    orders.get(key).lines.push({
+      ...row,
+      leadTimeDays,
+      qty,
+      uom: m.uom || 'unit',
+      unitPrice: m.unitPrice || 0,
+      subtotal: (m.unitPrice || 0) * qty,
+    });
+  }
+
+  return { orders: [...orders.values()], covered, unassigned };
+}
+
+/**
+ * Genera (o consolida) una PO DRAFT por proveedor a partir del plan.
+ * Si ya existe una DRAFT de reabasto para el hospital+proveedor, se le agregan las líneas.
+ */
+async function applyOrder({ hospitalId, order, userId }) {
+  const lines = order.lines.map(l => ({
+    medication: l.medication,
+    description: l.medicationName,
+    qty: l.qty,
+    uom: l.uom,
+    unitPrice: l.unitPrice,
+    subtotal: l.subtotal,
+  }));
+
+  let po = await PurchaseOrder.findOne({
+    hospital: hospitalId,
+    supplier: order.supplier,
+    status: 'DRAFT',
+    source: 'REPLENISHMENT',
+  });
+
+  if (po) {
+    // Mismo medicamento y unidad ya en el borrador: se suma a su línea en vez de duplicarla
+    for (const l of lines) {
+      const existing = po.lines.find(x => String(x.medication) === String(l.medication) && x.uom === l.uom);
+      if (existing) {
+        existing.qty += l.qty;
+        existing.subtotal = existing.qty * existing.unitPrice;
+      } else {
+        po.lines.push(l);
+      }
+    }
+    if (!po.expectedDelivery || po.expectedDelivery < order.expectedDelivery) {
+      po.expectedDelivery = order.expectedDelivery;
+    }
+    po.updatedBy = userId;
+    await po.save();
+  } else {
+    po = await createNumbered({ hospitalId, docType: 'PO', build: code => new PurchaseOrder({
+      code,
+      hospital: hospitalId,
+      supplier: order.supplier,
+      status: 'DRAFT',
+      source: 'REPLENISHMENT',
+      currency: order.currency,
+      taxRate: 0.16,
+      expectedDelivery: order.expectedDelivery,
+      lines,
+      notes: 'Generada por reabasto automático',
+      createdBy: userId,
+    }) });
+  }
+
+  await Notification.create({
+    hospital: hospitalId,
+    type: 'ORDER_STATUS',
+    title: `Reabasto: ${po.code}`,
+    message: `${lines.length} línea(s) sugeridas para ${order.supplierName}. Revisa y envía la OC.`,
+    purchaseOrder: po._id,
+    priority: 'medium',
+    meta: { poCode: po.code, supplierName: order.supplierName },
+  });
+
+  return po;
+}
+
+/**
+ * Corrida de reabasto sobre uno o todos los hospitales activos.
+ * - dryRun: solo calcula el plan (no crea POs ni notificaciones).
+ * Devuelve { dryRun, hospitals: [{ hospital, code, orders, covered, unassigned, purchaseOrders }], totals }
+ */
+async function runReplenishment({ hospitalId, dryRun = false, userId } = {}) {
+  const hospitals = await Hospital.find(
+    hospitalId ? { _id: hospitalId } : { status: 'active' },
+    'name code'
+  ).lean();
+
+  const result = [];
+  const totals = { hospitals: hospitals.length, lines: 0, purchaseOrders: 0, unassigned: 0 };
+
+  for (const h of hospitals) {
+    const plan = await planReplenishment({ hospitalId: h._id });
+    const purchaseOrders = [];
+
+    if (!dryRun) {
+      for (const order of plan.orders) {
+        const po = await applyOrder({ hospitalId: h._id, order, userId });
+        purchaseOrders.push({ id: po._id, code: po.code, supplier: order.supplier, lines: order.lines.length });
+      }
+      for (const u of plan.unassigned) {
+        await notifyLowStock({
+          hospitalId: h._id,
+          medication: { _id: u.medication, name: u.medicationName },
+          stock: u.stock,
+          reorderPoint: u.reorderPoint,
+          message: `Stock ${u.stock} ≤ Reorden ${u.reorderPoint}. Sin proveedor preferido activo para generar OC.`,
+        });
+      }
+    }
+
+    totals.lines += plan.orders.reduce((acc, o) => acc + o.lines.length, 0);
+    totals.purchaseOrders += dryRun ? plan.orders.length : purchaseOrders.length;
+    totals.unassigned += plan.unassigned.length;
+    result.push({ hospital: h._id, code: h.code, name: h.name, ...plan, purchaseOrders });
+  }
+
+  return { dryRun, hospitals: result, totals };
+}
+
+// Resumen compacto de una corrida (lo que se guarda en JobRun)
+function summarizeRun(result) {
+  return {
+    dryRun: result.dryRun,
+    totals: result.totals,
+    purchaseOrders: result.hospitals.flatMap(h => h.purchaseOrders.map(po => ({ hospital: h.hospital, ...po }))),
+  };
+}
+
+module.exports = {
+  OPEN_PO_STATUSES,
+  getOnOrderQty,
+  suggestOrderQty,
+  maybeTriggerReorder,
+  planReplenishment,
+  runReplenishment,
+  summarizeRun,
+};
@@ -0,0 +1,121 @@
+// Utils/scheduler.js
+const JobRun = require('../Models/JobRun');
+
+// Una corrida RUNNING más vieja que esto se considera abandonada (proceso caído) y libera el lock
+const STALE_RUN_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Ejecuta un job registrando la corrida en JobRun.
+ * - Las corridas reales toman lock (una a la vez por job); las dry-run no.
+ * - task recibe { dryRun } y devuelve el resumen que se guarda en la corrida.
+ * Lanza 409 si ya hay una corrida en curso.
+ */
+async function runJob({ job, task, dryRun = false, trigger = 'SCHEDULE', params, userId }) {
+  await JobRun.updateMany(
+    { job, status: 'RUNNING', startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } },
+    { $set: { status: 'FAILED', finishedAt: new Date(), error: 'Corrida abandonada (timeout)' } }
+  );
+
+  let run;
+  try {
+    run = await JobRun.create({ job, dryRun, trigger, params, triggeredBy: userId });
+  } catch (err) {
+    if (err.code === 11000) {
+      const conflict = new Error(`El job ${job} ya se está ejecutando`);
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw err;
+  }
+
+  try {
+    const summary = await task({ dryRun });
+    run.status = 'SUCCEEDED';
+    run.summary = summary;
+    run.finishedAt = new Date();
+    await run.save();
+    return run;
+  } catch (err) {
+    run.status = 'FAILED';
+    run.error = err.message;
+    run.finishedAt = new Date();
+    await run.save();
+    throw err;
+  }
+}
+
+// Milisegundos hasta la siguiente ocurrencia de HH:MM (hora local del servidor);
+// con day (0 = domingo … 6 = sábado) solo cuenta ese día de la semana
+function msUntil(at, now = new Date(), day = null) {
+  const [h, m] = String(at).split(':').map(Number);
+  const next = new Date(now);
+  next.setHours(h, m || 0, 0, 0);
+  if (day != null) {
+    next.setDate(next.getDate() + ((day - next.getDay() + 7) % 7));
+    if (next <= now) next.setDate(next.getDate() + 7);
+  } else if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime() - now.getTime();
+}
+
+// Timer autoreprogramable compartido por scheduleDaily / scheduleWeekly
+function scheduleAt({ job, at, day = null, task, label }) {
+  if (!at || at === 'off') {
+    console.log(`⏸️  Job ${job} desactivado`);
+    return { stop() {} };
+  }
+  if (!/^\d{1,2}:\d{2}$/.test(String(at))) {
+    throw new Error(`Hora inválida para el job ${job}: ${at} (usa HH:MM)`);
+  }
+
+  let timer = null;
+  const scheduleNext = () => {
+    timer = setTimeout(tick, msUntil(at, new Date(), day));
+    // No mantener vivo el proceso solo por el timer
+    timer.unref?.();
+  };
+  const tick = async () => {
+    try {
+      const run = await runJob({ job, task });
+      console.log(`⏰ Job ${job} terminado`, run.summary);
+    } catch (err) {
+      console.error(`❌ Job ${job} falló:`, err.message);
+    } finally {
+      scheduleNext();
+    }
+  };
+
+  scheduleNext();
+  console.log(`⏰ Job ${job} programado ${label} a las ${at}`);
+
+  return { stop() { clearTimeout(timer); } };
+}
+
+/**
+ * Programa un job diario dentro del proceso del API.
+ * - at: 'HH:MM' (hora local); 'off' desactiva el job.
+ * Los errores se registran en la corrida (JobRun) y en consola; el siguiente día se reintenta.
+ * Devuelve { stop } para cancelar el timer.
+ */
+function scheduleDaily({ job, at, task }) {
+  return scheduleAt({ job, at, task, label: 'diario' });
+}
+
+/**
+ * Igual que scheduleDaily pero una vez por semana.
+ * - day: 0 = domingo … 6 = sábado
+ */
+function scheduleWeekly({ job, day, at, task }) {
+  day = Number(day);
+  if (!Number.isInteger(day) || day < 0 || day > 6) {
+    throw new Error(`Día inválido para el job ${job}: ${day} (0 = domingo … 6 = sábado)`);
+  }
+  return scheduleAt({ job, at, day, task, label: `semanal (día ${day})` });
+}
+
+module.exports = {
+  runJob,
+  scheduleDaily,
+  scheduleWeekly,
+};
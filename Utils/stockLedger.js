@@ -0,0 +1,301 @@
+// Utils/stockLedger.js
+const mongoose = require('mongoose');
+const InventoryTransaction = require('../Models/InventoryTransaction');
+const StockBalance = require('../Models/StockBalance');
+const Location = require('../Models/Location');
+const LotStatus = require('../Models/LotStatus');
+const { resolvePolicy } = require('./medicationPolicy');
+
+// Tolerancia para comparar cantidades con decimales
+const EPSILON = 1e-6;
+
+// Expresión para qty con signo en pipelines
+const signedQtyExpr = {
+  $switch: {
+    branches: [
+      { case: { $eq: ['$type', 'IN'] }, then: '$qty' },
+      { case: { $eq: ['$type', 'OUT'] }, then: { $multiply: ['$qty', -1] } },
+      {
+        case: { $and: [{ $eq: ['$type', 'ADJUST'] }, { $eq: ['$adjustSign', 'IN'] }] },
+        then: '$qty'
+      },
+      {
+        case: { $and: [{ $eq: ['$type', 'ADJUST'] }, { $eq: ['$adjustSign', 'OUT'] }] },
+        then: { $multiply: ['$qty', -1] }
+      }
+    ],
+    default: 0
+  }
+};
+
+// Filtro por ubicación: incluye todo el subárbol (ej. farmacia central + sus anaqueles)
+async function locationFilter(locationId) {
+  return { $in: await Location.subtreeIds(locationId) };
+}
+
+// Stock actual por hospital+medicación (opcional por ubicación/lote/caducidad), leído del saldo materializado
+async function getCurrentStock({ hospitalId, medicationId, location, lot, expiryDate, session }) {
+  const match = {
+    hospital: new mongoose.Types.ObjectId(hospitalId),
+    medication: new mongoose.Types.ObjectId(medicationId),
+  };
+  if (location) match.location = await locationFilter(location);
+  if (lot) match.lot = lot;
+  if (expiryDate) match.expiryDate = new Date(expiryDate);
+
+  const agg = await StockBalance.aggregate([
+    { $match: match },
+    { $group: { _id: null, stock: { $sum: '$qty' } } },
+  ]).session(session || null);
+  return agg[0]?.stock || 0;
+}
+
+// Stock por ubicación de un hospital (opcional por medicamento); location null = sin ubicación
+async function getStockByLocation({ hospitalId, medicationId, location }) {
+  const match = { hospital: new mongoose.Types.ObjectId(hospitalId) };
+  if (medicationId) match.medication = new mongoose.Types.ObjectId(medicationId);
+  if (location) match.location = await locationFilter(location);
+
+  return StockBalance.aggregate([
+    { $match: match },
+    { $group: { _id: { location: '$location', medication: '$medication' }, stock: { $sum: '$qty' } } },
+    { $match: { $or: [{ stock: { $gt: EPSILON } }, { stock: { $lt: -EPSILON } }] } },
+    { $project: { _id: 0, location: '$_id.location', medication: '$_id.medication', stock: 1 } },
+  ]);
+}
+
+// Saldos por lote con stock positivo (filtro libre sobre StockBalance)
+async function listLotBalances(filter = {}, { session } = {}) {
+  return StockBalance.find({ ...filter, qty: { $gt: EPSILON } })
+    .sort({ expiryDate: 1, lot: 1 })
+    .session(session || null)
+    .lean();
+}
+
+/**
+ * Costo unitario promedio por lote a partir de las entradas con unitCost.
+ * - match: filtro sobre InventoryTransaction (ej. { hospital, medication })
+ * Devuelve Map<'medication|lot|expiryTs', unitCost>
+ */
+async function getLotUnitCosts(match) {
+  const rows = await InventoryTransaction.aggregate([
+    {
+      $match: {
+        ...match,
+        unitCost: { $ne: null },
+        $or: [{ type: 'IN' }, { type: 'ADJUST', adjustSign: 'IN' }]
+      }
+    },
+    {
+      $group: {
+        _id: { medication: '$medication', lot: '$lot', expiryDate: '$expiryDate' },
+        qty: { $sum: '$qty' },
+        cost: { $sum: { $multiply: ['$qty', '$unitCost'] } }
+      }
+    }
+  ]);
+
+  const map = new Map();
+  for (const r of rows) {
+    if (r.qty > 0) map.set(lotKey(r._id), r.cost / r.qty);
+  }
+  return map;
+}
+
+// Clave de lote para mapas en memoria (medicamento + lote + caducidad)
+function lotKey({ medication, lot, expiryDate }) {
+  return [String(medication), lot || '', expiryDate ? new Date(expiryDate).getTime() : ''].join('|');
+}
+
+// Error de negocio con status HTTP (lo resuelve el error handler central)
+function stockConflict(message) {
+  const err = new Error(message);
+  err.statusCode = 409;
+  return err;
+}
+
+// Valida que la operación no deje el stock por debajo de safetyStock (política efectiva del hospital)
+async function assertSafetyStock({ hospitalId, medication, projected, session }) {
+  const { safetyStock: safety } = await resolvePolicy({ hospitalId, medication, session });
+  if (safety > 0 && projected < safety) {
+    const name = medication.name || 'medication';
+    throw stockConflict(`Operación bloqueada: el stock proyectado de ${name} (${projected}) quedaría por debajo del safetyStock (${safety}).`);
+  }
+}
+
+/**
+ * Asigna una salida a lotes por FEFO (First-Expired-First-Out) a partir de StockBalance.
+ * - Sin lot/expiryDate: reparte entre los lotes con stock > 0 y caducidad más próxima
+ *   (los lotes sin caducidad van al final); los lotes vencidos se omiten.
+ * - Con lot y/o expiryDate: solo usa esos saldos y rechaza si están vencidos.
+ * - Con location: solo toma de esa ubicación (y su subárbol); location === null: solo stock sin ubicación.
+ * - excludeLocation: no toma de esa ubicación ni de su subárbol (ej. el destino de un movimiento).
+ * - Los lotes bloqueados (LotStatus QUARANTINE/RECALLED/REJECTED) se omiten y, pedidos explícitamente,
+ *   se rechazan; allowBlocked los permite (devolución a proveedor, baja, ajustes, movimientos internos).
+ * Lanza 409 si el stock disponible no alcanza; con partial devuelve lo que haya (puede ser []).
+ * Devuelve [{ location, lot, expiryDate, qty }]
+ */
+async function allocateFEFO({
+  hospitalId, medicationId, qty, location, lot, expiryDate, excludeLocation,
+  allowBlocked = false, partial = false, asOf = new Date(), session
+}) {
+  const filter = {
+    hospital: new mongoose.Types.ObjectId(hospitalId),
+    medication: new mongoose.Types.ObjectId(medicationId),
+  };
+  if (location) filter.location = await locationFilter(location);
+  else if (location === null) filter.location = null; // solo stock sin ubicación asignada
+  if (lot) filter.lot = lot;
+  if (expiryDate) filter.expiryDate = new Date(expiryDate);
+  const explicit = !!(lot || expiryDate);
+
+  let rows = await listLotBalances(filter, { session });
+  if (excludeLocation) {
+    const excluded = new Set((await Location.subtreeIds(excludeLocation)).map(String));
+    rows = rows.filter(r => !r.location || !excluded.has(String(r.location)));
+  }
+  const isExpired = (r) => r.expiryDate && new Date(r.expiryDate) <= asOf;
+
+  const expired = rows.filter(isExpired);
+  if (explicit && expired.length) {
+    throw stockConflict(`Lote vencido: ${lot || expired[0].lot || 's/lote'} (caducó ${new Date(expired[0].expiryDate).toISOString().slice(0, 10)})`);
+  }
+
+  const blockedLots = allowBlocked
+    ? new Map()
+    : await LotStatus.blockedLots({ hospitalId: filter.hospital, medicationId: filter.medication, session });
+  const isBlocked = (r) => r.lot && blockedLots.has(r.lot);
+  const blocked = rows.filter(r => !isExpired(r) && isBlocked(r));
+  if (explicit && blocked.length) {
+    throw stockConflict(`Lote ${blocked[0].lot} bloqueado (${blockedLots.get(blocked[0].lot)})`);
+  }
+
+  const candidates = rows
+    .filter(r => !isExpired(r) && !isBlocked(r))
+    .sort((a, b) => {
+      const ea = a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity;
+      const eb = b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity;
+      if (ea !== eb) return ea - eb;
+      return String(a.lot || '').localeCompare(String(b.lot || ''));
+    });
+
+  const allocation = [];
+  let remaining = Number(qty);
+  for (const r of candidates) {
+    if (remaining <= EPSILON) break;
+    const take = Math.min(r.qty, remaining);
+    allocation.push({ location: r.location, lot: r.lot, expiryDate: r.expiryDate, qty: take });
+    remaining -= take;
+  }
+
+  if (remaining > EPSILON && !partial) {
+    const available = Number(qty) - remaining;
+    const expiredQty = expired.reduce((acc, r) => acc + r.qty, 0);
+    const blockedQty = blocked.reduce((acc, r) => acc + r.qty, 0);
+    let msg = `Stock por lote insuficiente: disponible ${available}, solicitado ${qty}`;
+    if (lot) msg += ` (lote ${lot})`;
+    if (expiredQty > 0) msg += `; ${expiredQty} en lotes vencidos`;
+    if (blockedQty > 0) msg += `; ${blockedQty} en lotes bloqueados`;
+    throw stockConflict(msg);
+  }
+
+  return allocation;
+}
+
+/**
+ * Recalcula los saldos desde el ledger y los compara con StockBalance.
+ * - scope: { hospitalId?, medicationId? }
+ * - fix=true corrige cada diferencia en una transacción (filas sin movimientos quedan en 0).
+ * Devuelve { checked, drift: [{ hospital, medication, location, lot, expiryDate, ledger, balance, diff }] }
+ */
+async function reconcileBalances({ hospitalId, medicationId, fix = false } = {}) {
+  const match = {};
+  if (hospitalId) match.hospital = new mongoose.Types.ObjectId(hospitalId);
+  if (medicationId) match.medication = new mongoose.Types.ObjectId(medicationId);
+
+  const [ledgerRows, balanceRows] = await Promise.all([
+    InventoryTransaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            hospital: '$hospital', medication: '$medication', location: '$location',
+            lot: '$lot', expiryDate: '$expiryDate'
+          },
+          stock: { $sum: signedQtyExpr }
+        }
+      }
+    ]),
+    StockBalance.find(match).lean(),
+  ]);
+
+  const keyString = (k) => [
+    String(k.hospital),
+    String(k.medication),
+    k.location ? String(k.location) : '',
+    k.lot || '',
+    k.expiryDate ? new Date(k.expiryDate).getTime() : ''
+  ].join('|');
+
+  const entries = new Map();
+  for (const r of ledgerRows) {
+    const key = StockBalance.keyOf(r._id);
+    const prev = entries.get(keyString(key));
+    // lote '' y lote ausente colapsan en la misma clave
+    entries.set(keyString(key), { key, ledger: (prev?.ledger || 0) + r.stock, balance: 0 });
+  }
+  for (const b of balanceRows) {
+    const key = StockBalance.keyOf(b);
+    const entry = entries.get(keyString(key)) || { key, ledger: 0, balance: 0 };
+    entry.balance += b.qty;
+    entries.set(keyString(key), entry);
+  }
+
+  const drift = [];
+  for (const { key, ledger, balance } of entries.values()) {
+    if (Math.abs(ledger - balance) > EPSILON) {
+      drift.push({ ...key, ledger, balance, diff: balance - ledger });
+    }
+  }
+
+  if (fix && drift.length) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        for (const d of drift) {
+          const key = StockBalance.keyOf(d);
+          // El ledger se vuelve a sumar dentro de la sesión: un movimiento que entró después del
+          // diagnóstico ya está en la suma (o choca con esta escritura y la transacción se reintenta)
+          const [row] = await InventoryTransaction.aggregate([
+            { $match: { ...key, lot: key.lot ? key.lot : { $in: [null, ''] } } },
+            { $group: { _id: null, stock: { $sum: signedQtyExpr } } }
+          ]).session(session);
+          await StockBalance.updateOne(
+            key,
+            { $set: { qty: row ? row.stock : 0, lastTxAt: new Date() } },
+            { upsert: true, session }
+          );
+        }
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return { checked: entries.size, drift };
+}
+
+module.exports = {
+  EPSILON,
+  signedQtyExpr,
+  locationFilter,
+  getCurrentStock,
+  getStockByLocation,
+  listLotBalances,
+  getLotUnitCosts,
+  lotKey,
+  stockConflict,
+  assertSafetyStock,
+  allocateFEFO,
+  reconcileBalances,
+};
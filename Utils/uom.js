@@ -0,0 +1,71 @@
+// Utils/uom.js
+
+/**
+ * Unidades de medida por medicamento:
+ *  - Medication.uom es la unidad base: transacciones, saldos, costos y políticas siempre van en ella.
+ *  - Medication.conversions: [{ uom, factor }] con factor = unidades base por 1 uom
+ *    (ej. base 'tablet', blister = 10, box = 20).
+ *  - Sin conversión 'pack' explícita, 'pack' equivale a packSize (si es > 1).
+ * Lo capturado (qty + uom) se guarda aparte como enteredQty/enteredUom solo para mostrarlo.
+ */
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+const sameUom = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Evita arrastrar errores de punto flotante (0.1 * 3) al ledger
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * Unidades base por 1 `uom` del medicamento. Sin uom (o la base) = 1.
+ * Lanza 400 si la unidad no tiene conversión configurada.
+ */
+function uomFactor(medication, uom) {
+  const base = medication.uom || 'unit';
+  if (uom == null || uom === '' || sameUom(uom, base)) return 1;
+
+  const conv = (medication.conversions || []).find(c => sameUom(c.uom, uom));
+  if (conv) return conv.factor;
+  if (sameUom(uom, 'pack') && medication.packSize > 1) return medication.packSize;
+
+  throw badRequest(`Unidad '${uom}' sin conversión para ${medication.code || medication._id} (unidad base: ${base})`);
+}
+
+/**
+ * Normaliza una cantidad capturada a la unidad base.
+ * Devuelve { qty, uom, factor, enteredQty, enteredUom } (qty/uom ya en base).
+ */
+function toBaseQty(medication, qty, uom) {
+  const factor = uomFactor(medication, uom);
+  const enteredQty = Number(qty);
+  return {
+    qty: round(enteredQty * factor),
+    uom: medication.uom || 'unit',
+    factor,
+    enteredQty,
+    enteredUom: uom || medication.uom || 'unit',
+  };
+}
+
+/**
+ * Campos de transacción para una porción (en base) de lo capturado: qty/uom base y la parte
+ * proporcional de enteredQty en la unidad capturada (un movimiento FEFO se reparte en lotes).
+ */
+function txQtyFields(conv, baseQty) {
+  return {
+    qty: baseQty,
+    uom: conv.uom,
+    enteredQty: round(baseQty / conv.factor),
+    enteredUom: conv.enteredUom,
+  };
+}
+
+module.exports = {
+  uomFactor,
+  toBaseQty,
+  txQtyFields,
+};
@@ -5,6 +5,12 @@ const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const ensureSuperUser = require('./Utils/ensureSuperUser');
+const { scheduleDaily, scheduleWeekly } = require('./Utils/scheduler');
+const { runReplenishment, summarizeRun } = require('./Utils/replenishment');
+const { runForecastAutoApply } = require('./Utils/forecasting');
+const { runClassificationAll } = require('./Utils/classification');
+const { runDeadStockAlerts } = require('./Utils/deadStock');
+const { runExpiryScan } = require('./Utils/expiry');
 
 // ====== Crear app ======
 const app = express();
@@ -43,6 +49,19 @@ const supplierRoutes = require('./Routes/supplierRoutes');
 const inventoryTxRoutes = require('./Routes/inventoryTransactionRoutes');
 const purchaseOrderRoutes = require('./Routes/purchaseOrderRoutes');
 const notificationRoutes = require('./Routes/notificationRoutes');
+const stockBalanceRoutes = require('./Routes/stockBalanceRoutes');
+const inventoryReportRoutes = require('./Routes/inventoryReportRoutes');
+const countSessionRoutes = require('./Routes/countSessionRoutes');
+const transferRoutes = require('./Routes/transferRoutes');
+const locationRoutes = require('./Routes/locationRoutes');
+const medicationPolicyRoutes = require('./Routes/medicationPolicyRoutes');
+const replenishmentRoutes = require('./Routes/replenishmentRoutes');
+const forecastRoutes = require('./Routes/forecastRoutes');
+const classificationRoutes = require('./Routes/classificationRoutes');
+const lotRoutes = require('./Routes/lotRoutes');
+const controlledLogRoutes = require('./Routes/controlledLogRoutes');
+const scanRoutes = require('./Routes/scanRoutes');
+const dispenseOrderRoutes = require('./Routes/dispenseOrderRoutes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/hospitals', hospitalRoutes);
@@ -51,6 +70,19 @@ app.use('/api/suppliers', supplierRoutes);
 app.use('/api/inventory-transactions', inventoryTxRoutes);
 app.use('/api/purchase-orders', purchaseOrderRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/stock-balances', stockBalanceRoutes);
+app.use('/api/inventory-reports', inventoryReportRoutes);
+app.use('/api/count-sessions', countSessionRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/medication-policies', medicationPolicyRoutes);
+app.use('/api/replenishment', replenishmentRoutes);
+app.use('/api/forecasts', forecastRoutes);
+app.use('/api/classifications', classificationRoutes);
+app.use('/api/lots', lotRoutes);
+app.use('/api/controlled-log', controlledLogRoutes);
+app.use('/api/scan', scanRoutes);
+app.use('/api/dispense-orders', dispenseOrderRoutes);
 
 // ====== 404 handler ======
 app.use((req, res, _next) => {
@@ -91,6 +123,38 @@ mongoose
     // 🔥 Asegurar superusuario automático al levantar el servidor
     await ensureSuperUser();
 
+    // ⏰ Jobs programados (hora local; 'off' desactiva)
+    scheduleDaily({
+      job: 'replenishment',
+      at: process.env.REPLENISHMENT_RUN_AT || '02:00',
+      task: async () => summarizeRun(await runReplenishment()),
+    });
+    // Pronóstico: solo hospitales con settings.forecast.autoApply; corre antes del reabasto
+    scheduleDaily({
+      job: 'forecast',
+      at: process.env.FORECAST_RUN_AT || '01:30',
+      task: () => runForecastAutoApply(),
+    });
+    // Clasificación ABC/XYZ de todos los hospitales activos
+    scheduleDaily({
+      job: 'classification',
+      at: process.env.CLASSIFICATION_RUN_AT || '01:00',
+      task: () => runClassificationAll(),
+    });
+    // Alertas EXPIRY_SOON por horizonte (y baja automática de caducados donde esté activa)
+    scheduleDaily({
+      job: 'expiry-scan',
+      at: process.env.EXPIRY_SCAN_AT || '00:30',
+      task: () => runExpiryScan(),
+    });
+    // Resumen de stock sin movimiento: solo hospitales con settings.deadStock.notify (default lunes)
+    scheduleWeekly({
+      job: 'dead-stock',
+      day: process.env.DEAD_STOCK_ALERT_DAY || 1,
+      at: process.env.DEAD_STOCK_ALERT_AT || '07:00',
+      task: () => runDeadStockAlerts(),
+    });
+
     // 🔥 Arrancar servidor una vez listo el superuser (o al menos intentado)
     app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
   })